@@ -0,0 +1,40 @@
+const { REST, Routes } = require('discord.js');
+const CONFIG = require('./src/config');
+const { getCommands } = require('./src/commands');
+
+/**
+ * Registers the bot's slash commands with Discord.
+ *
+ * Usage:
+ *   npm run deploy-commands                 (to GUILD_ID if set, otherwise globally)
+ *   npm run deploy-commands -- --guild <id> (to a specific guild)
+ *   npm run deploy-commands -- --global     (globally, may take up to an hour to appear)
+ */
+async function deployCommands() {
+    if (!CONFIG.TOKEN || !CONFIG.CLIENT_ID) {
+        console.error('❌ DISCORD_BOT_TOKEN and CLIENT_ID must be set in environment variables!');
+        process.exit(1);
+    }
+
+    const args = process.argv.slice(2);
+    const guildFlag = args.indexOf('--guild');
+    const guildId = args.includes('--global')
+        ? null
+        : (guildFlag !== -1 ? args[guildFlag + 1] : CONFIG.GUILD_ID);
+
+    const body = getCommands().map(command => command.data.toJSON());
+    const rest = new REST().setToken(CONFIG.TOKEN);
+
+    try {
+        const route = guildId
+            ? Routes.applicationGuildCommands(CONFIG.CLIENT_ID, guildId)
+            : Routes.applicationCommands(CONFIG.CLIENT_ID);
+        const data = await rest.put(route, { body });
+        console.log(`✅ Registered ${data.length} command(s) ${guildId ? `to guild ${guildId}` : 'globally'}.`);
+    } catch (error) {
+        console.error('❌ Error registering commands:', error);
+        process.exit(1);
+    }
+}
+
+deployCommands();
@@ -0,0 +1,124 @@
+const CONFIG = require('./config');
+const { getGuildSettings } = require('./guilds');
+const { getLocale, translate } = require('./i18n');
+const { createLogger } = require('./logger');
+
+/**
+ * Reports problems to a guild's admin alert channel. Problems seen during
+ * update cycles (missing channel, API down, ...) are only reported once they
+ * have lasted ALERT_AFTER_CYCLES cycles, and again when they are resolved.
+ */
+
+const log = createLogger('alerts');
+
+// Ongoing problems per guild (key "guildId:problem"): { cycles, alerted, key, vars, since }
+// where key and vars describe the problem as a translatable message
+const problems = new Map();
+
+/**
+ * Gets a guild's alert channel
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @returns {TextChannel|null} The configured channel, or null if unset or missing
+ */
+function getAlertChannel(client, guildId) {
+    const { alertChannelId } = getGuildSettings(guildId);
+    if (!alertChannelId) {
+        return null;
+    }
+    return client.channels.cache.get(alertChannelId) || null;
+}
+
+/**
+ * Sends a message to a guild's admins: to the alert channel, or a fallback channel if none is set
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {Object} payload - Message options
+ * @param {TextChannel|null} fallbackChannel - Channel used when there is no alert channel
+ * @returns {Promise<boolean>} True if the message was sent
+ */
+async function notifyAdmins(client, guildId, payload, fallbackChannel = null) {
+    const channel = getAlertChannel(client, guildId) || fallbackChannel;
+    if (!channel) {
+        log.warn('No alert channel to notify admins in', { guildId, message: payload.content });
+        return false;
+    }
+    try {
+        await channel.send(payload);
+        return true;
+    } catch (error) {
+        log.error('Error sending admin alert', { guildId, channelId: channel.id, error: error.message });
+        return false;
+    }
+}
+
+/**
+ * Reports that a problem was seen in an update cycle
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {string} problem - Problem kind, e.g. "channel" or "api"
+ * @param {string} messageKey - Message key of the description for admins
+ * @param {Object} [vars] - Placeholder values of the description
+ */
+async function reportProblem(client, guildId, problem, messageKey, vars = {}) {
+    const key = `${guildId}:${problem}`;
+    const entry = problems.get(key) || { cycles: 0, alerted: false, since: new Date() };
+    entry.cycles++;
+    entry.key = messageKey;
+    entry.vars = vars;
+    problems.set(key, entry);
+
+    log.warn(translate('en', messageKey, vars), { guildId, problem, cycles: entry.cycles });
+    if (entry.alerted || entry.cycles < CONFIG.ALERT_AFTER_CYCLES) {
+        return;
+    }
+
+    const locale = getLocale(guildId);
+    entry.alerted = await notifyAdmins(client, guildId, {
+        content: translate(locale, 'alerts.problem', { message: translate(locale, messageKey, vars), cycles: entry.cycles }),
+        allowedMentions: { parse: [] }
+    });
+}
+
+/**
+ * Reports that a problem is gone; admins hear about it if they were alerted
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {string} problem - Problem kind
+ */
+async function resolveProblem(client, guildId, problem) {
+    const key = `${guildId}:${problem}`;
+    const entry = problems.get(key);
+    if (!entry) {
+        return;
+    }
+    problems.delete(key);
+
+    log.info(`Resolved: ${translate('en', entry.key, entry.vars)}`, { guildId, problem });
+    if (entry.alerted) {
+        const locale = getLocale(guildId);
+        await notifyAdmins(client, guildId, {
+            content: translate(locale, 'alerts.resolved', { message: translate(locale, entry.key, entry.vars) }),
+            allowedMentions: { parse: [] }
+        });
+    }
+}
+
+/**
+ * Gets the ongoing problems of a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Array<{problem: string, cycles: number, alerted: boolean, key: string, vars: Object, since: Date}>} Problems
+ */
+function getProblems(guildId) {
+    return [...problems.entries()]
+        .filter(([key]) => key.startsWith(`${guildId}:`))
+        .map(([key, entry]) => ({ problem: key.slice(guildId.length + 1), ...entry }));
+}
+
+module.exports = {
+    getAlertChannel,
+    notifyAdmins,
+    reportProblem,
+    resolveProblem,
+    getProblems
+};
@@ -0,0 +1,236 @@
+const CONFIG = require('./config');
+const { ApiClient } = require('./apiClient');
+const { createLogger } = require('./logger');
+
+const log = createLogger('api');
+
+// Shared client: every GameTools request goes through its rate limiter and cache
+const client = new ApiClient({
+    baseUrl: CONFIG.API_BASE_URL,
+    timeout: CONFIG.API_TIMEOUT,
+    maxRetries: CONFIG.API_MAX_RETRIES,
+    concurrency: CONFIG.API_CONCURRENCY,
+    minInterval: CONFIG.API_MIN_INTERVAL,
+    cacheTtl: CONFIG.API_CACHE_TTL
+});
+
+/**
+ * Checks whether an API response describes a player
+ * @param {Object} data - API response
+ * @returns {boolean} True if the response has player data
+ */
+function isPlayerData(data) {
+    return Boolean(data && (data.userName || data.name || data.personaId));
+}
+
+/**
+ * Caches a player response under the other ways the same player is looked up,
+ * so e.g. /search followed by /track doesn't hit the API twice
+ * @param {string} platform - Platform the response is for
+ * @param {Object} data - API response
+ */
+function rememberPlayer(platform, data) {
+    if (!isPlayerData(data) || !data.personaId) return;
+    const personaId = String(data.personaId);
+    const name = data.userName || data.name;
+
+    client.prime({ personaId, platform }, data);
+    if (name) {
+        client.prime({ name, platform }, data);
+        client.prime({ name, platform, personaId }, data);
+    }
+}
+
+/**
+ * Fetches player stats from GameTools Network API
+ * @param {string} playerName - Player's username
+ * @param {string} platform - Platform: 'pc', 'xbox', or 'psn'
+ * @param {string} personaId - Optional player ID
+ * @returns {Promise<Object|null>} Player stats or null if error
+ */
+async function fetchPlayerStats(playerName, platform, personaId = null) {
+    try {
+        const data = await client.get({ name: playerName, platform, personaId });
+        rememberPlayer(platform, data);
+        return data;
+    } catch (error) {
+        log.error(`Error fetching stats for ${playerName}`, { error: error.message });
+        return null;
+    }
+}
+
+// Platform names used in tracker.gg profile URLs
+const URL_PLATFORMS = {
+    pc: 'pc',
+    origin: 'pc',
+    ea: 'pc',
+    steam: 'pc',
+    xbox: 'xbox',
+    xbl: 'xbox',
+    psn: 'psn',
+    ps: 'psn',
+    playstation: 'psn'
+};
+
+/**
+ * Parses a tracker.gg URL into a player ID or a platform and name
+ * @param {string} url - Tracker.gg profile URL
+ * @returns {{playerId: string}|{platform: string|null, name: string}|null} URL parts, or null if invalid
+ */
+function parseTrackerUrl(url) {
+    try {
+        // Handle different tracker.gg URL formats:
+        // https://tracker.gg/bf6/profile/{playerId}/overview
+        // https://tracker.gg/bf6/profile/pc/{playerName}
+        // https://tracker.gg/bf6/profile/xbox/{playerName}
+        // https://tracker.gg/bf6/profile/psn/{playerName}
+
+        const urlObj = new URL(url);
+        const pathParts = urlObj.pathname.split('/').filter(p => p);
+
+        // Format: /bf6/profile/{id}/overview or /bf6/profile/{platform}/{name}
+        if (pathParts.length >= 3 && pathParts[0] === 'bf6' && pathParts[1] === 'profile') {
+            const thirdPart = pathParts[2];
+
+            // If third part is a number, it's a player ID
+            if (/^\d+$/.test(thirdPart)) {
+                return { playerId: thirdPart };
+            }
+
+            // Otherwise it's platform/name, resolved later through search
+            if (pathParts.length >= 4) {
+                return {
+                    platform: URL_PLATFORMS[thirdPart.toLowerCase()] || null,
+                    name: decodeURIComponent(pathParts[3])
+                };
+            }
+        }
+
+        return null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Finds the player a tracker.gg profile URL points to
+ * @param {string} url - Tracker.gg profile URL
+ * @returns {Promise<Object|null>} Player { name, personaId, platform } or null if invalid or not found
+ */
+async function resolveTrackerUrl(url) {
+    const parts = parseTrackerUrl(url);
+    if (!parts) {
+        return null;
+    }
+    if (parts.playerId) {
+        return findPlayerById(parts.playerId);
+    }
+
+    const results = await searchPlayers(parts.name);
+    const match = parts.platform
+        ? results.find(result => result.platform === parts.platform)
+        : (results.length === 1 ? results[0] : null);
+    return match ? { name: match.name, personaId: match.personaId, platform: match.platform } : null;
+}
+
+/**
+ * Searches for players by name across all platforms
+ * @param {string} playerName - Player's username to search for
+ * @returns {Promise<Array>} Array of found players with their IDs
+ */
+async function searchPlayers(playerName) {
+    const responses = await Promise.all(CONFIG.PLATFORMS.map(async (platform) => {
+        try {
+            return { platform, data: await client.get({ name: playerName, platform }) };
+        } catch (error) {
+            // Continue searching other platforms even if one fails
+            return { platform, data: null };
+        }
+    }));
+
+    const results = [];
+    for (const { platform, data } of responses) {
+        // If we get a valid response with player data, add it to results
+        if (isPlayerData(data)) {
+            rememberPlayer(platform, data);
+            results.push({
+                name: data.userName || data.name || playerName,
+                personaId: data.personaId ? String(data.personaId) : (data.id ? String(data.id) : null),
+                platform: platform,
+                rank: data.rank || null,
+                kills: data.kills || null
+            });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Looks up a player by ID across all platforms (or a single platform)
+ * @param {string} playerId - Player's personaId
+ * @param {string|null} platform - Only check this platform when given
+ * @returns {Promise<Object|null>} Player { name, personaId, platform } or null if not found
+ */
+async function findPlayerById(playerId, platform = null) {
+    const platforms = platform ? [platform] : CONFIG.PLATFORMS;
+
+    for (const candidate of platforms) {
+        try {
+            const data = await client.get({ personaId: playerId, platform: candidate });
+            if (isPlayerData(data)) {
+                rememberPlayer(candidate, data);
+                return {
+                    name: data.userName || data.name || 'Unknown',
+                    personaId: String(data.personaId || data.id || playerId),
+                    platform: candidate
+                };
+            }
+        } catch (error) {
+            continue;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Looks up a player by exact name on one platform
+ * @param {string} playerName - Player's username
+ * @param {string} platform - Platform: 'pc', 'xbox', or 'psn'
+ * @returns {Promise<Object|null>} Player { name, personaId, platform } or null if not found
+ */
+async function findPlayerByName(playerName, platform) {
+    try {
+        const data = await client.get({ name: playerName, platform });
+        if (!isPlayerData(data)) {
+            return null;
+        }
+        rememberPlayer(platform, data);
+        return {
+            name: data.userName || data.name || playerName,
+            personaId: data.personaId ? String(data.personaId) : (data.id ? String(data.id) : null),
+            platform
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Gets the request counters of the shared API client
+ * @returns {Object} See ApiClient.getMetrics
+ */
+function getApiMetrics() {
+    return client.getMetrics();
+}
+
+module.exports = {
+    getApiMetrics,
+    fetchPlayerStats,
+    parseTrackerUrl,
+    resolveTrackerUrl,
+    searchPlayers,
+    findPlayerById,
+    findPlayerByName
+};
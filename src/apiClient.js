@@ -0,0 +1,347 @@
+const fetch = require('node-fetch');
+
+/**
+ * HTTP client for the GameTools API with request timeouts, retries with
+ * exponential backoff, 429/Retry-After handling, a global concurrency and
+ * rate limiter, and a short-lived response cache.
+ */
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Error thrown when a request fails for good (after retries, or with a non-retryable status)
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number|null} status - HTTP status, or null for network errors and timeouts
+     */
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {string|null} header - Header value
+ * @returns {number|null} Delay in milliseconds, or null if missing/invalid
+ */
+function parseRetryAfter(header) {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class ApiClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - Endpoint URL, query parameters are appended
+     * @param {number} [options.timeout] - Request timeout in milliseconds
+     * @param {number} [options.maxRetries] - Retries after the first attempt
+     * @param {number} [options.backoffBase] - First retry delay in milliseconds, doubled for each retry
+     * @param {number} [options.backoffMax] - Longest retry delay in milliseconds
+     * @param {number} [options.concurrency] - Most requests in flight at once
+     * @param {number} [options.minInterval] - Least time between two request starts in milliseconds
+     * @param {number} [options.cacheTtl] - How long successful responses are reused in milliseconds (0 disables)
+     */
+    constructor({
+        baseUrl,
+        timeout = 10000,
+        maxRetries = 3,
+        backoffBase = 1000,
+        backoffMax = 30000,
+        concurrency = 2,
+        minInterval = 500,
+        cacheTtl = 60000
+    }) {
+        this.baseUrl = baseUrl;
+        this.timeout = timeout;
+        this.maxRetries = maxRetries;
+        this.backoffBase = backoffBase;
+        this.backoffMax = backoffMax;
+        this.concurrency = concurrency;
+        this.minInterval = minInterval;
+        this.cacheTtl = cacheTtl;
+
+        this.active = 0;
+        this.queue = [];
+        this.draining = false;
+        this.nextStartAt = 0;
+        // Set when the API answers 429, pauses every request until then
+        this.pausedUntil = 0;
+
+        this.cache = new Map();
+        this.inFlight = new Map();
+
+        // Counters of HTTP requests actually sent (cache hits aren't counted)
+        this.metrics = { requests: 0, failures: 0, errors: {}, totalLatency: 0, lastFailure: null };
+    }
+
+    /**
+     * Gets request counters since the client was created
+     * @returns {{requests: number, failures: number, errors: Object<string, number>, averageLatency: number|null, lastFailure: Object|null}}
+     *   Counts, failures per kind (e.g. "HTTP 503", "timeout"), average latency in ms and the last failure { at, message }
+     */
+    getMetrics() {
+        const { requests, failures, errors, totalLatency, lastFailure } = this.metrics;
+        return {
+            requests,
+            failures,
+            errors: { ...errors },
+            averageLatency: requests > 0 ? totalLatency / requests : null,
+            lastFailure
+        };
+    }
+
+    /**
+     * Counts a finished HTTP request
+     * @param {number} latency - Time until the response (or failure) in milliseconds
+     * @param {Error|null} error - Failure, or null if the request succeeded
+     */
+    recordRequest(latency, error) {
+        this.metrics.requests++;
+        this.metrics.totalLatency += latency;
+        if (error) {
+            const kind = error.status ? `HTTP ${error.status}` : (error.kind || 'other');
+            this.metrics.failures++;
+            this.metrics.errors[kind] = (this.metrics.errors[kind] || 0) + 1;
+            this.metrics.lastFailure = { at: new Date().toISOString(), message: error.message };
+        }
+    }
+
+    /**
+     * Builds the request URL for a set of query parameters
+     * @param {Object} params - Query parameters; null/undefined values are left out
+     * @returns {string} URL
+     */
+    buildUrl(params) {
+        const query = Object.keys(params)
+            .filter(key => params[key] !== null && params[key] !== undefined)
+            .sort()
+            .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+            .join('&');
+        return query ? `${this.baseUrl}?${query}` : this.baseUrl;
+    }
+
+    /**
+     * Requests JSON from the API, using the cache when possible
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Object>} Parsed JSON response
+     * @throws {ApiError} When the request fails for good
+     */
+    async get(params) {
+        const url = this.buildUrl(params);
+
+        const cached = this.cache.get(url);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.data;
+        }
+
+        // Share one request between concurrent callers asking for the same URL
+        if (this.inFlight.has(url)) {
+            return this.inFlight.get(url);
+        }
+
+        const request = this.requestWithRetries(url).finally(() => this.inFlight.delete(url));
+        this.inFlight.set(url, request);
+
+        const data = await request;
+        this.store(url, data);
+        return data;
+    }
+
+    /**
+     * Caches a response as if it had been returned for the given parameters
+     * @param {Object} params - Query parameters
+     * @param {Object} data - Response data
+     */
+    prime(params, data) {
+        this.store(this.buildUrl(params), data);
+    }
+
+    /**
+     * Stores a response in the cache
+     * @param {string} url - Request URL
+     * @param {Object} data - Response data
+     */
+    store(url, data) {
+        if (this.cacheTtl <= 0) return;
+        this.cache.set(url, { data, expiresAt: Date.now() + this.cacheTtl });
+
+        // Drop expired entries so the cache doesn't grow forever
+        if (this.cache.size > 500) {
+            const now = Date.now();
+            for (const [key, entry] of this.cache) {
+                if (entry.expiresAt <= now) this.cache.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Runs a request, retrying on network errors, timeouts, 5xx and 429 responses
+     * @param {string} url - Request URL
+     * @returns {Promise<Object>} Parsed JSON response
+     * @throws {ApiError} When all attempts fail or the status isn't retryable
+     */
+    async requestWithRetries(url) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            if (attempt > 0) {
+                await sleep(lastError.retryAfter !== undefined ? lastError.retryAfter : this.getBackoff(attempt));
+            }
+
+            try {
+                return await this.schedule(() => this.timedRequest(url));
+            } catch (error) {
+                lastError = error;
+                if (!error.retryable) {
+                    break;
+                }
+            }
+        }
+
+        throw new ApiError(lastError.message, lastError.status || null);
+    }
+
+    /**
+     * Gets the delay before a retry: exponential with jitter
+     * @param {number} attempt - Retry number, starting at 1
+     * @returns {number} Delay in milliseconds
+     */
+    getBackoff(attempt) {
+        const delay = Math.min(this.backoffMax, this.backoffBase * 2 ** (attempt - 1));
+        return delay / 2 + Math.random() * (delay / 2);
+    }
+
+    /**
+     * Runs a task once the concurrency and rate limits allow it
+     * @param {Function} task - Async function to run
+     * @returns {Promise<*>} The task's result
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    /**
+     * Starts queued tasks while there is capacity
+     */
+    drain() {
+        if (this.draining) return;
+        this.draining = true;
+
+        const next = async () => {
+            while (this.queue.length > 0 && this.active < this.concurrency) {
+                const wait = Math.max(this.nextStartAt, this.pausedUntil) - Date.now();
+                if (wait > 0) {
+                    await sleep(wait);
+                    continue;
+                }
+
+                const { task, resolve, reject } = this.queue.shift();
+                this.active++;
+                this.nextStartAt = Date.now() + this.minInterval;
+                task().then(resolve, reject).finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+            }
+            this.draining = false;
+        };
+        next();
+    }
+
+    /**
+     * Performs a single HTTP request and counts it in the metrics
+     * @param {string} url - Request URL
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async timedRequest(url) {
+        const startedAt = Date.now();
+        try {
+            const data = await this.request(url);
+            this.recordRequest(Date.now() - startedAt, null);
+            return data;
+        } catch (error) {
+            this.recordRequest(Date.now() - startedAt, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Performs a single HTTP request
+     * @param {string} url - Request URL
+     * @returns {Promise<Object>} Parsed JSON response
+     * @throws {Error} With `retryable`, `status` and optionally `retryAfter` set
+     */
+    async request(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        let response;
+        try {
+            response = await fetch(url, { signal: controller.signal });
+        } catch (error) {
+            clearTimeout(timer);
+            const failure = new Error(error.name === 'AbortError'
+                ? `Request timed out after ${this.timeout}ms`
+                : `Network error: ${error.message}`);
+            failure.retryable = true;
+            failure.kind = error.name === 'AbortError' ? 'timeout' : 'network';
+            throw failure;
+        }
+
+        try {
+            if (response.status === 429) {
+                const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+                const delay = retryAfter !== null ? retryAfter : this.getBackoff(1);
+                this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+                const failure = new Error('Rate limited (429)');
+                failure.retryable = true;
+                failure.status = 429;
+                failure.retryAfter = 0; // the global pause already delays the retry
+                throw failure;
+            }
+
+            if (!response.ok) {
+                const failure = new Error(`${response.status} ${response.statusText}`);
+                failure.retryable = response.status >= 500;
+                failure.status = response.status;
+                throw failure;
+            }
+
+            return await response.json();
+        } catch (error) {
+            if (error.retryable === undefined) {
+                // Invalid JSON or a body that was cut off
+                error.retryable = error.name === 'AbortError' || error.type === 'aborted';
+                error.kind = error.retryable ? 'timeout' : 'invalid response';
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = {
+    ApiClient,
+    ApiError,
+    sleep
+};
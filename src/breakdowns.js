@@ -0,0 +1,223 @@
+const { EmbedBuilder } = require('discord.js');
+const { formatDuration, formatPercent } = require('./stats');
+const { translate, formatNumber } = require('./i18n');
+
+/**
+ * Per-weapon, per-vehicle, per-class, per-gamemode and per-map stats from the
+ * nested arrays of the GameTools response. Field names differ between
+ * categories (and API versions), so each value lists the keys it may be under.
+ */
+
+// Rows shown per page
+const PAGE_SIZE = 10;
+
+/**
+ * Reads the first numeric value found under any of the given keys
+ * @param {Object} item - Breakdown entry
+ * @param {Array<string>} keys - Candidate keys
+ * @returns {number|undefined} Value
+ */
+function pick(item, keys) {
+    for (const key of keys) {
+        const value = item[key];
+        if (typeof value === 'number') return value;
+        if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value.replace('%', '')))) {
+            return Number(value.replace('%', ''));
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Reads an accuracy percentage, computing it from shots when not given directly
+ * @param {Object} item - Breakdown entry
+ * @returns {number|undefined} Accuracy in percent
+ */
+function pickAccuracy(item) {
+    const accuracy = pick(item, ['accuracy', 'hitVSShot', 'hitsVsShots']);
+    if (accuracy !== undefined) return accuracy;
+    const fired = pick(item, ['shotsFired', 'shots']);
+    const hit = pick(item, ['shotsHit', 'hits']);
+    return fired > 0 && hit !== undefined ? (hit / fired) * 100 : undefined;
+}
+
+/**
+ * Reads a kills-per-minute value, computing it from kills and time when not given directly
+ * @param {Object} item - Breakdown entry
+ * @param {Array<string>} timeKeys - Keys the time in seconds may be under
+ * @returns {number|undefined} Kills per minute
+ */
+function pickKpm(item, timeKeys) {
+    const kpm = pick(item, ['killsPerMinute', 'kpm']);
+    if (kpm !== undefined) return kpm;
+    const kills = pick(item, ['kills']);
+    const seconds = pick(item, timeKeys);
+    return seconds > 0 && kills !== undefined ? kills / (seconds / 60) : undefined;
+}
+
+const formatCount = (v, locale) => formatNumber(locale, Math.round(v));
+const formatRate = (v, locale) => formatNumber(locale, v, 2);
+
+const WEAPON_TIME = ['timeEquipped', 'secondsPlayed', 'timeUsed', 'timePlayed'];
+const VEHICLE_TIME = ['timeIn', 'secondsPlayed', 'timeUsed', 'timePlayed'];
+const PLAYED_TIME = ['secondsPlayed', 'timePlayed', 'timeUsed'];
+
+// Breakdown categories: where to find the list, the entry names and the table columns.
+// Labels are used for slash command choices; replies use the breakdowns.* messages.
+const CATEGORIES = {
+    weapons: {
+        label: 'Weapons',
+        emoji: '🔫',
+        listKeys: ['weapons'],
+        nameKeys: ['weaponName', 'name'],
+        columns: {
+            kills: { label: 'Kills', labelKey: 'kills', get: item => pick(item, ['kills']), format: formatCount },
+            accuracy: { label: 'Accuracy', labelKey: 'accuracy', get: pickAccuracy, format: formatPercent },
+            kpm: { label: 'KPM', labelKey: 'kpm', get: item => pickKpm(item, WEAPON_TIME), format: formatRate },
+            time: { label: 'Time Used', labelKey: 'timeUsed', get: item => pick(item, WEAPON_TIME), format: formatDuration }
+        }
+    },
+    vehicles: {
+        label: 'Vehicles',
+        emoji: '🚁',
+        listKeys: ['vehicles'],
+        nameKeys: ['vehicleName', 'name'],
+        columns: {
+            kills: { label: 'Kills', labelKey: 'kills', get: item => pick(item, ['kills']), format: formatCount },
+            destroyed: { label: 'Destroyed', labelKey: 'destroyed', get: item => pick(item, ['vehiclesDestroyedWith', 'destroyed', 'destroyedWith']), format: formatCount },
+            kpm: { label: 'KPM', labelKey: 'kpm', get: item => pickKpm(item, VEHICLE_TIME), format: formatRate },
+            time: { label: 'Time Used', labelKey: 'timeUsed', get: item => pick(item, VEHICLE_TIME), format: formatDuration }
+        }
+    },
+    classes: {
+        label: 'Classes',
+        emoji: '🪖',
+        listKeys: ['classes'],
+        nameKeys: ['className', 'characterName', 'name'],
+        columns: {
+            kills: { label: 'Kills', labelKey: 'kills', get: item => pick(item, ['kills']), format: formatCount },
+            kd: { label: 'K/D', labelKey: 'kd', get: item => pick(item, ['killDeath', 'kdRatio', 'kd']), format: formatRate },
+            kpm: { label: 'KPM', labelKey: 'kpm', get: item => pickKpm(item, PLAYED_TIME), format: formatRate },
+            time: { label: 'Time Played', labelKey: 'timePlayed', get: item => pick(item, PLAYED_TIME), format: formatDuration }
+        }
+    },
+    modes: {
+        label: 'Game Modes',
+        emoji: '🎯',
+        listKeys: ['gameModes', 'gamemodes', 'gameModeGroups'],
+        nameKeys: ['gamemodeName', 'gameModeName', 'name', 'id'],
+        columns: {
+            wins: { label: 'Wins', labelKey: 'wins', get: item => pick(item, ['wins']), format: formatCount },
+            winPercent: { label: 'Win %', labelKey: 'winPercent', get: item => pick(item, ['winPercent', 'winRate']), format: formatPercent },
+            kills: { label: 'Kills', labelKey: 'kills', get: item => pick(item, ['kills']), format: formatCount },
+            time: { label: 'Time Played', labelKey: 'timePlayed', get: item => pick(item, PLAYED_TIME), format: formatDuration }
+        }
+    },
+    maps: {
+        label: 'Maps',
+        emoji: '🗺️',
+        listKeys: ['maps'],
+        nameKeys: ['mapName', 'name'],
+        columns: {
+            wins: { label: 'Wins', labelKey: 'wins', get: item => pick(item, ['wins']), format: formatCount },
+            winPercent: { label: 'Win %', labelKey: 'winPercent', get: item => pick(item, ['winPercent', 'winRate']), format: formatPercent },
+            matches: { label: 'Matches', labelKey: 'matches', get: item => pick(item, ['matches', 'matchesPlayed']), format: formatCount },
+            time: { label: 'Time Played', labelKey: 'timePlayed', get: item => pick(item, PLAYED_TIME), format: formatDuration }
+        }
+    }
+};
+
+/**
+ * Gets a column's label in a locale
+ * @param {Object} column - Column from CATEGORIES
+ * @param {string} [locale] - Locale code
+ * @returns {string} Label, e.g. "Accuracy"
+ */
+function getColumnLabel(column, locale) {
+    return translate(locale, `breakdowns.columns.${column.labelKey}`);
+}
+
+/**
+ * Extracts and sorts a breakdown from a stats response
+ * @param {Object} stats - Player stats from API
+ * @param {string} category - Category key from CATEGORIES
+ * @param {string} sort - Column key to sort by (highest first)
+ * @returns {Array<{name: string, values: Object}>} Rows with one value per column
+ */
+function getBreakdownRows(stats, category, sort) {
+    const definition = CATEGORIES[category];
+    const listKey = definition.listKeys.find(key => Array.isArray(stats[key]));
+    if (!listKey) {
+        return [];
+    }
+
+    const rows = stats[listKey].map(item => {
+        const nameKey = definition.nameKeys.find(key => item[key]);
+        const values = {};
+        for (const [key, column] of Object.entries(definition.columns)) {
+            values[key] = column.get(item);
+        }
+        return { name: nameKey ? String(item[nameKey]) : null, values };
+    });
+
+    const sortValue = row => (typeof row.values[sort] === 'number' ? row.values[sort] : -Infinity);
+    return rows.sort((a, b) => sortValue(b) - sortValue(a));
+}
+
+/**
+ * Creates an embed showing one page of a breakdown table
+ * @param {Object} player - Player object with name and platform
+ * @param {string} category - Category key from CATEGORIES
+ * @param {Array<Object>} rows - Sorted rows from getBreakdownRows
+ * @param {string} sort - Column key the rows are sorted by
+ * @param {number} page - Page index
+ * @param {string} [locale] - Locale code
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createBreakdownEmbed(player, category, rows, sort, page, locale) {
+    const definition = CATEGORIES[category];
+    const columns = Object.entries(definition.columns);
+    const labels = columns.map(([, column]) => getColumnLabel(column, locale));
+    const pageRows = rows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+    const unknown = translate(locale, 'breakdowns.unknown');
+    const names = pageRows.map(row => row.name || unknown);
+
+    // Monospace table: name column padded to the longest name on the page
+    const nameHeader = translate(locale, 'breakdowns.name');
+    const nameWidth = Math.min(22, Math.max(nameHeader.length, ...names.map(name => name.length)));
+    const cell = (text, width) => text.padStart(width);
+    const widths = labels.map(label => Math.max(label.length, 9));
+
+    const header = `${'#'.padEnd(3)} ${nameHeader.padEnd(nameWidth)} ${labels.map((label, i) => cell(label, widths[i])).join(' ')}`;
+    const lines = pageRows.map((row, index) => {
+        const position = String(page * PAGE_SIZE + index + 1).padEnd(3);
+        const name = names[index].length > nameWidth ? `${names[index].slice(0, nameWidth - 1)}…` : names[index].padEnd(nameWidth);
+        const values = columns.map(([key, column], i) => cell(
+            typeof row.values[key] === 'number' ? column.format(row.values[key], locale) : '-',
+            widths[i]
+        ));
+        return `${position} ${name} ${values.join(' ')}`;
+    });
+
+    const sortedBy = translate(locale, 'breakdowns.sortedBy', { column: getColumnLabel(definition.columns[sort], locale) });
+    return new EmbedBuilder()
+        .setTitle(translate(locale, 'breakdowns.title', { emoji: definition.emoji, name: player.name, category: translate(locale, `breakdowns.categories.${category}`) }))
+        .setDescription(`${sortedBy}\n\`\`\`\n${header}\n${lines.join('\n')}\n\`\`\``)
+        .setColor(0x0099FF)
+        .setTimestamp()
+        .setFooter({
+            text: translate(locale, 'breakdowns.footer', {
+                platform: player.platform.toUpperCase(),
+                count: rows.length,
+                category: translate(locale, `breakdowns.categoryNames.${category}`)
+            })
+        });
+}
+
+module.exports = {
+    PAGE_SIZE,
+    CATEGORIES,
+    getColumnLabel,
+    getBreakdownRows,
+    createBreakdownEmbed
+};
@@ -0,0 +1,273 @@
+const { EmbedBuilder } = require('discord.js');
+const storage = require('./storage');
+const history = require('./history');
+const { getTrackedPlayers, getPlayerKey } = require('./players');
+const { getStatsChannel } = require('./tracker');
+const { getPeriodStats } = require('./leaderboard');
+const { STATS, formatStat, getStatLabel } = require('./stats');
+const { getLocale, translate } = require('./i18n');
+const { createLogger } = require('./logger');
+
+/**
+ * Timed server challenges, e.g. "most kills this week". Players are ranked by
+ * what they earned between the start and the end of the challenge, using the
+ * stats history. Final standings are posted in the stats channel when a
+ * challenge is over:
+ * { [guildId]: [{ name, stat, startedAt, endsAt, createdBy }] }
+ */
+
+const log = createLogger('challenges');
+
+// Stats a challenge can rank by (a rank earned in a period is just the latest rank)
+const CHALLENGE_STATS = Object.keys(STATS).filter(stat => STATS[stat].type !== 'level');
+
+// How often to check for challenges that are over
+const CHALLENGE_CHECK_INTERVAL = 60 * 1000;
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+let challenges = {};
+
+// Whether finished challenges are being posted right now
+let checking = false;
+
+// Finished challenges whose missing stats channel was already logged
+const missingChannelLogged = new WeakSet();
+
+/**
+ * Load challenges from storage
+ */
+function loadChallenges() {
+    try {
+        challenges = storage.loadDocument('challenges') || {};
+        const count = Object.values(challenges).reduce((total, list) => total + list.length, 0);
+        log.info(`Loaded ${count} challenge(s) from file.`);
+    } catch (error) {
+        log.error('Error loading challenges', { error: error.message });
+        challenges = {};
+    }
+}
+
+/**
+ * Save challenges to storage
+ */
+function saveChallenges() {
+    try {
+        storage.saveDocument('challenges', challenges);
+    } catch (error) {
+        log.error('Error saving challenges', { error: error.message });
+    }
+}
+
+/**
+ * Gets a guild's running challenges, the one ending first first
+ * @param {string} guildId - Guild ID
+ * @returns {Array<Object>} Challenges
+ */
+function getChallenges(guildId) {
+    return [...(challenges[guildId] || [])].sort((a, b) => new Date(a.endsAt) - new Date(b.endsAt));
+}
+
+/**
+ * Finds a guild's challenge by name (case-insensitive)
+ * @param {string} guildId - Guild ID
+ * @param {string} name - Challenge name
+ * @returns {Object|null} Challenge, or null if there is none with that name
+ */
+function findChallenge(guildId, name) {
+    const query = (name || '').trim().toLowerCase();
+    return (challenges[guildId] || []).find(challenge => challenge.name.toLowerCase() === query) || null;
+}
+
+/**
+ * Starts a challenge in a guild
+ * @param {string} guildId - Guild ID
+ * @param {Object} options - Challenge options
+ * @param {string} options.name - Challenge name
+ * @param {string} options.stat - Stat key from CHALLENGE_STATS
+ * @param {number} options.duration - Duration in milliseconds
+ * @param {string} options.createdBy - Discord user ID of the admin who started it
+ * @returns {Object|null} The new challenge, or null if one with that name is running
+ */
+function createChallenge(guildId, { name, stat, duration, createdBy }) {
+    if (findChallenge(guildId, name)) {
+        return null;
+    }
+
+    const now = Date.now();
+    const challenge = {
+        name,
+        stat,
+        startedAt: new Date(now).toISOString(),
+        endsAt: new Date(now + duration).toISOString(),
+        createdBy
+    };
+    challenges[guildId] = [...(challenges[guildId] || []), challenge];
+    saveChallenges();
+    log.info(`Started challenge "${name}"`, { guildId, stat, endsAt: challenge.endsAt });
+    return challenge;
+}
+
+/**
+ * Ends a challenge without posting its standings
+ * @param {string} guildId - Guild ID
+ * @param {Object} challenge - Challenge
+ */
+function removeChallenge(guildId, challenge) {
+    challenges[guildId] = (challenges[guildId] || []).filter(c => c !== challenge);
+    if (challenges[guildId].length === 0) {
+        delete challenges[guildId];
+    }
+    saveChallenges();
+}
+
+/**
+ * Ranks a guild's tracked players by what they earned during a challenge
+ * @param {string} guildId - Guild ID
+ * @param {Object} challenge - Challenge
+ * @returns {{rows: Array<{player: Object, value: number}>, missing: Array<Object>}} Ranked rows and players without data
+ */
+function buildChallengeStandings(guildId, challenge) {
+    const since = new Date(challenge.startedAt);
+    const endsAt = new Date(challenge.endsAt);
+    const snapshotsByKey = history.getSnapshotsByKey(guildId);
+
+    const rows = [];
+    const missing = [];
+    for (const player of getTrackedPlayers(guildId)) {
+        // Stats recorded after the end don't count
+        const snapshots = (snapshotsByKey.get(getPlayerKey(player)) || [])
+            .filter(snapshot => new Date(snapshot.timestamp) <= endsAt);
+        const stats = getPeriodStats(snapshots, since);
+        if (!stats || typeof stats[challenge.stat] !== 'number') {
+            missing.push(player);
+            continue;
+        }
+        rows.push({ player, value: stats[challenge.stat] });
+    }
+
+    const direction = STATS[challenge.stat].lowerIsBetter ? 1 : -1;
+    rows.sort((a, b) => direction * (a.value - b.value));
+
+    return { rows, missing };
+}
+
+/**
+ * Creates an embed with a challenge's standings
+ * @param {string} guildId - Guild ID
+ * @param {Object} challenge - Challenge
+ * @param {boolean} final - Whether the challenge is over
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createChallengeEmbed(guildId, challenge, final = false) {
+    const { rows, missing } = buildChallengeStandings(guildId, challenge);
+    const definition = STATS[challenge.stat];
+    const locale = getLocale(guildId);
+    const startedAt = Math.floor(new Date(challenge.startedAt).getTime() / 1000);
+    const endsAt = Math.floor(new Date(challenge.endsAt).getTime() / 1000);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`${final ? '🏁' : '⚔️'} ${challenge.name}`)
+        .setColor(final ? 0xFFD700 : 0xE67E22)
+        .setTimestamp();
+
+    const header = translate(locale, final ? 'challenges.finalHeader' : 'challenges.header', {
+        stat: getStatLabel(challenge.stat, locale),
+        start: `<t:${startedAt}:d>`,
+        end: `<t:${endsAt}:${final ? 'd' : 'R'}>`
+    });
+
+    // Discord limit is 4096 characters per description
+    const lines = [];
+    let length = header.length;
+    for (const [index, row] of rows.entries()) {
+        const position = MEDALS[index] || `**${index + 1}.**`;
+        const line = `${position} **${row.player.name}** (${row.player.platform.toUpperCase()}) — ${definition.emoji} ${formatStat(challenge.stat, row.value, locale)}`;
+        if (length + line.length + 2 > 4000) break;
+        lines.push(line);
+        length += line.length + 1;
+    }
+
+    embed.setDescription(lines.length > 0
+        ? `${header}\n\n${lines.join('\n')}`
+        : `${header}\n\n${translate(locale, 'leaderboard.noStats')}`);
+
+    if (missing.length > 0) {
+        embed.setFooter({ text: translate(locale, 'challenges.missing', { count: missing.length }) });
+    }
+
+    return embed;
+}
+
+/**
+ * Posts the final standings of every challenge that is over
+ * @param {Client} client - Discord client
+ */
+async function postFinishedChallenges(client) {
+    for (const guildId of Object.keys(challenges)) {
+        const finished = challenges[guildId].filter(challenge => new Date(challenge.endsAt).getTime() <= Date.now());
+        if (finished.length === 0) continue;
+
+        // The standings are posted once the channel is back
+        const channel = getStatsChannel(client, guildId);
+        if (!channel) {
+            for (const challenge of finished.filter(c => !missingChannelLogged.has(c))) {
+                missingChannelLogged.add(challenge);
+                log.error(`Stats channel for guild ${guildId} not found, final standings of challenge "${challenge.name}" not posted!`, { guildId });
+            }
+            continue;
+        }
+
+        for (const challenge of finished) {
+            try {
+                await channel.send({
+                    content: translate(getLocale(guildId), 'challenges.over', { name: challenge.name }),
+                    embeds: [createChallengeEmbed(guildId, challenge, true)]
+                });
+                removeChallenge(guildId, challenge);
+                log.info(`Posted final standings of challenge "${challenge.name}"`, { guildId });
+            } catch (error) {
+                log.error(`Error posting final standings of challenge "${challenge.name}"`, { guildId, error: error.message });
+            }
+        }
+    }
+}
+
+/**
+ * Posts finished challenges unless a previous check is still posting, so
+ * final standings are never posted twice
+ * @param {Client} client - Discord client
+ */
+async function checkChallenges(client) {
+    if (checking) {
+        return;
+    }
+    checking = true;
+    try {
+        await postFinishedChallenges(client);
+    } catch (error) {
+        log.error('Error checking finished challenges', { error });
+    } finally {
+        checking = false;
+    }
+}
+
+/**
+ * Starts checking for challenges that are over
+ * @param {Client} client - Discord client
+ */
+function startChallenges(client) {
+    checkChallenges(client);
+    setInterval(() => checkChallenges(client), CHALLENGE_CHECK_INTERVAL);
+}
+
+module.exports = {
+    CHALLENGE_STATS,
+    loadChallenges,
+    getChallenges,
+    findChallenge,
+    createChallenge,
+    removeChallenge,
+    createChallengeEmbed,
+    startChallenges
+};
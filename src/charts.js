@@ -0,0 +1,220 @@
+const { Resvg } = require('@resvg/resvg-js');
+const { formatStat, deriveRates } = require('./stats');
+const { LOCALES, resolveLocale } = require('./i18n');
+
+/**
+ * Renders line charts of stats over time as PNG images. Charts are drawn
+ * as SVG and rasterized locally with resvg (no browser or canvas needed).
+ */
+
+const WIDTH = 900;
+const HEIGHT = 450;
+const MARGIN = { top: 50, right: 60, bottom: 70, left: 80 };
+
+// Most points drawn per line; longer series are evenly thinned out
+const MAX_POINTS = 200;
+
+const COLORS = ['#5865F2', '#57F287', '#FEE75C', '#EB459E', '#ED4245', '#3BA55C', '#FAA61A', '#00B0F4'];
+
+const THEME = {
+    background: '#2B2D31',
+    grid: '#3F4147',
+    text: '#DBDEE1',
+    muted: '#949BA4'
+};
+
+/**
+ * Escapes text for use inside SVG
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Reads a stat from a snapshot, deriving rates from counters when missing
+ * @param {Object} stats - Snapshot stats
+ * @param {string} stat - Stat key from STATS
+ * @returns {number|undefined} Value
+ */
+function getStatValue(stats, stat) {
+    if (typeof stats[stat] === 'number') {
+        return stats[stat];
+    }
+    return deriveRates(stats)[stat];
+}
+
+/**
+ * Turns a player's snapshots into chart points for a stat. Unchanged stats
+ * aren't stored again, so the value before the range starts the line at
+ * `since` and the latest value is drawn on to `until`.
+ * @param {Array<Object>} snapshots - Snapshots, oldest first
+ * @param {string} stat - Stat key from STATS
+ * @param {Date|null} since - Leave out snapshots before this time
+ * @param {number} [until] - End of the line in milliseconds since epoch (default: now)
+ * @returns {Array<{time: number, value: number}>} Points, oldest first
+ */
+function toPoints(snapshots, stat, since = null, until = Date.now()) {
+    const points = [];
+    let start = null;
+    for (const snapshot of snapshots) {
+        const time = new Date(snapshot.timestamp).getTime();
+        const value = getStatValue(snapshot.stats, stat);
+        if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+        if (since && time < since.getTime()) {
+            start = { time: since.getTime(), value };
+            continue;
+        }
+        points.push({ time, value });
+    }
+
+    if (start) {
+        points.unshift(start);
+    }
+    const last = points[points.length - 1];
+    if (last && last.time < until) {
+        points.push({ time: until, value: last.value });
+    }
+
+    if (points.length <= MAX_POINTS) {
+        return points;
+    }
+    const step = (points.length - 1) / (MAX_POINTS - 1);
+    return Array.from({ length: MAX_POINTS }, (_, i) => points[Math.round(i * step)]);
+}
+
+/**
+ * Picks round axis tick values covering a range
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @param {number} count - Approximate number of ticks
+ * @returns {Array<number>} Tick values
+ */
+function niceTicks(min, max, count = 5) {
+    if (min === max) {
+        const pad = Math.abs(min) * 0.05 || 1;
+        min -= pad;
+        max += pad;
+    }
+    const rawStep = (max - min) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+    const ticks = [];
+    for (let value = Math.floor(min / step) * step; value <= max + step * 0.001; value += step) {
+        ticks.push(Number(value.toPrecision(12)));
+    }
+    if (ticks[ticks.length - 1] < max) {
+        ticks.push(ticks[ticks.length - 1] + step);
+    }
+    return ticks;
+}
+
+/**
+ * Formats a timestamp as a short date label in UTC (charts are shared by
+ * members in every timezone, so the axis is labelled as UTC)
+ * @param {number} time - Milliseconds since epoch
+ * @param {boolean} withTime - Include the time of day (for short ranges)
+ * @param {string} [locale] - Locale code
+ * @returns {string} e.g. "Oct 18" or "Oct 18 14:05"
+ */
+function formatDate(time, withTime, locale) {
+    const date = new Date(time);
+    const label = date.toLocaleDateString(LOCALES[resolveLocale(locale)].tag, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    if (!withTime) {
+        return label;
+    }
+    return `${label} ${String(date.getUTCHours()).padStart(2, '0')}:${String(date.getUTCMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Draws a line chart as SVG
+ * @param {Object} options
+ * @param {string} options.title - Chart title
+ * @param {string} options.stat - Stat key from STATS, used to format the y axis
+ * @param {Array<{label: string, points: Array<{time: number, value: number}>}>} options.series - Lines to draw
+ * @param {string} [options.locale] - Locale code used to format the axes
+ * @returns {string} SVG document
+ */
+function renderLineChartSvg({ title, stat, series, locale }) {
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const allPoints = series.flatMap(s => s.points);
+
+    const minTime = Math.min(...allPoints.map(p => p.time));
+    const maxTime = Math.max(...allPoints.map(p => p.time));
+    const yTicks = niceTicks(Math.min(...allPoints.map(p => p.value)), Math.max(...allPoints.map(p => p.value)));
+    const minValue = yTicks[0];
+    const maxValue = yTicks[yTicks.length - 1];
+
+    const x = time => MARGIN.left + (maxTime === minTime ? plotWidth / 2 : ((time - minTime) / (maxTime - minTime)) * plotWidth);
+    const y = value => MARGIN.top + plotHeight - ((value - minValue) / (maxValue - minValue)) * plotHeight;
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" font-family="DejaVu Sans, Arial, sans-serif">`,
+        `<rect width="${WIDTH}" height="${HEIGHT}" fill="${THEME.background}"/>`,
+        `<text x="${WIDTH / 2}" y="30" fill="${THEME.text}" font-size="20" font-weight="bold" text-anchor="middle">${escapeXml(title)}</text>`
+    ];
+
+    // Horizontal grid lines and y axis labels
+    for (const tick of yTicks) {
+        parts.push(`<line x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${y(tick)}" y2="${y(tick)}" stroke="${THEME.grid}"/>`);
+        parts.push(`<text x="${MARGIN.left - 10}" y="${y(tick) + 4}" fill="${THEME.muted}" font-size="12" text-anchor="end">${escapeXml(formatStat(stat, tick, locale))}</text>`);
+    }
+
+    // X axis date labels, all in UTC
+    parts.push(`<text x="${WIDTH - MARGIN.right}" y="${MARGIN.top - 10}" fill="${THEME.muted}" font-size="12" text-anchor="end">UTC</text>`);
+    const withTime = maxTime - minTime < 3 * 24 * 60 * 60 * 1000;
+    const xTickCount = maxTime === minTime ? 1 : 6;
+    for (let i = 0; i < xTickCount; i++) {
+        const time = xTickCount === 1 ? minTime : minTime + ((maxTime - minTime) * i) / (xTickCount - 1);
+        parts.push(`<text x="${x(time)}" y="${HEIGHT - MARGIN.bottom + 20}" fill="${THEME.muted}" font-size="12" text-anchor="middle">${escapeXml(formatDate(time, withTime, locale))}</text>`);
+    }
+
+    // One line (or dot, for a single point) per series
+    series.forEach((line, index) => {
+        const color = COLORS[index % COLORS.length];
+        if (line.points.length === 1) {
+            const [point] = line.points;
+            parts.push(`<circle cx="${x(point.time)}" cy="${y(point.value)}" r="4" fill="${color}"/>`);
+        } else if (line.points.length > 1) {
+            const path = line.points.map(p => `${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+            parts.push(`<polyline points="${path}" fill="none" stroke="${color}" stroke-width="3" stroke-linejoin="round"/>`);
+        }
+    });
+
+    // Legend below the plot
+    let legendX = MARGIN.left;
+    series.forEach((line, index) => {
+        const color = COLORS[index % COLORS.length];
+        const legendY = HEIGHT - 22;
+        parts.push(`<rect x="${legendX}" y="${legendY - 10}" width="14" height="14" rx="3" fill="${color}"/>`);
+        parts.push(`<text x="${legendX + 20}" y="${legendY + 2}" fill="${THEME.text}" font-size="14">${escapeXml(line.label)}</text>`);
+        legendX += 40 + line.label.length * 9;
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+/**
+ * Renders a line chart as a PNG image
+ * @param {Object} options - See renderLineChartSvg
+ * @returns {Buffer} PNG image
+ */
+function renderLineChart(options) {
+    const resvg = new Resvg(renderLineChartSvg(options), {
+        font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+    });
+    return resvg.render().asPng();
+}
+
+module.exports = {
+    toPoints,
+    renderLineChartSvg,
+    renderLineChart
+};
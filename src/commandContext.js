@@ -0,0 +1,153 @@
+const { MessageFlags } = require('discord.js');
+const { getLocale, translate } = require('./i18n');
+
+/**
+ * Wraps a slash command interaction or a legacy prefix message so that
+ * command handlers can read options and reply the same way for both.
+ */
+class CommandContext {
+    /**
+     * @param {Object} params
+     * @param {ChatInputCommandInteraction} [params.interaction] - Slash command interaction
+     * @param {Message} [params.message] - Prefix command message
+     * @param {Object} [params.options] - Parsed options for prefix commands
+     * @param {string|null} [params.subcommand] - Parsed subcommand for prefix commands
+     */
+    constructor({ interaction = null, message = null, options = {}, subcommand = null }) {
+        this.interaction = interaction;
+        this.message = message;
+        this.options = options;
+        this.parsedSubcommand = subcommand;
+        this.responded = false;
+    }
+
+    /** @returns {boolean} True when invoked as a slash command */
+    get isInteraction() {
+        return this.interaction !== null;
+    }
+
+    /** @returns {Client} Discord client */
+    get client() {
+        return (this.interaction || this.message).client;
+    }
+
+    /** @returns {User} User who ran the command */
+    get user() {
+        return this.isInteraction ? this.interaction.user : this.message.author;
+    }
+
+    /** @returns {GuildMember|null} Member who ran the command */
+    get member() {
+        return (this.interaction || this.message).member;
+    }
+
+    /** @returns {Guild|null} Guild the command was run in */
+    get guild() {
+        return (this.interaction || this.message).guild;
+    }
+
+    /** @returns {TextBasedChannel} Channel the command was run in */
+    get channel() {
+        return (this.interaction || this.message).channel;
+    }
+
+    /** @returns {string} Locale of the guild the command was run in */
+    get locale() {
+        return getLocale(this.guild ? this.guild.id : null);
+    }
+
+    /**
+     * Translates a message into the guild's locale
+     * @param {string} key - Message key, e.g. "track.added"
+     * @param {Object} [vars] - Placeholder values
+     * @returns {string} Translated message
+     */
+    t(key, vars) {
+        return translate(this.locale, key, vars);
+    }
+
+    /** @returns {string|null} Selected subcommand, if any */
+    get subcommand() {
+        if (this.isInteraction) {
+            return this.interaction.options.getSubcommand(false);
+        }
+        return this.parsedSubcommand;
+    }
+
+    /**
+     * Checks whether the member who ran the command has a Discord permission
+     * @param {bigint} permission - Permission flag from PermissionFlagsBits
+     * @returns {boolean} True if the member has the permission
+     */
+    hasPermission(permission) {
+        const { member } = this;
+        return Boolean(member && member.permissions && member.permissions.has(permission));
+    }
+
+    /**
+     * Gets an option value by name
+     * @param {string} name - Option name
+     * @returns {*} String/number/boolean value, or User/Channel/Role/Attachment object; null if not set
+     */
+    getOption(name) {
+        if (!this.isInteraction) {
+            return this.options[name] !== undefined ? this.options[name] : null;
+        }
+
+        const option = this.interaction.options.get(name);
+        if (!option) return null;
+        return option.attachment || option.user || option.channel || option.role || option.value;
+    }
+
+    /**
+     * Acknowledges a command that will take a while to answer
+     * @param {string} statusText - Progress message shown for prefix commands
+     * @param {Object} options
+     * @param {boolean} [options.ephemeral] - Only show the final answer to the user (slash commands)
+     */
+    async defer(statusText, { ephemeral = false } = {}) {
+        if (this.isInteraction) {
+            if (!this.interaction.deferred && !this.interaction.replied) {
+                await this.interaction.deferReply(ephemeral ? { flags: MessageFlags.Ephemeral } : {});
+            }
+            return;
+        }
+        if (statusText) {
+            await this.message.reply(statusText);
+        }
+    }
+
+    /**
+     * Replies to the command. Can be called more than once.
+     * @param {string|Object} payload - Message content or options; `ephemeral: true` hides slash replies from others
+     * @returns {Promise<Message>} The sent message
+     */
+    async reply(payload) {
+        const options = typeof payload === 'string' ? { content: payload } : { ...payload };
+        const ephemeral = options.ephemeral;
+        delete options.ephemeral;
+
+        if (!this.isInteraction) {
+            return this.message.reply(options);
+        }
+
+        if (ephemeral) {
+            options.flags = MessageFlags.Ephemeral;
+        }
+
+        if (this.interaction.deferred && !this.responded) {
+            this.responded = true;
+            delete options.flags;
+            return this.interaction.editReply(options);
+        }
+        if (this.interaction.replied || this.interaction.deferred) {
+            return this.interaction.followUp(options);
+        }
+
+        this.responded = true;
+        await this.interaction.reply(options);
+        return this.interaction.fetchReply();
+    }
+}
+
+module.exports = CommandContext;
@@ -0,0 +1,56 @@
+const { getTrackedPlayers } = require('./players');
+const { STATS } = require('./stats');
+
+/**
+ * Option helpers shared by several slash commands
+ */
+
+// Choices for a "platform" option
+const PLATFORM_CHOICES = [
+    { name: 'PC', value: 'pc' },
+    { name: 'Xbox', value: 'xbox' },
+    { name: 'PlayStation', value: 'psn' }
+];
+
+// Choices for a "stat" option
+const STAT_CHOICES = Object.entries(STATS).map(([value, definition]) => ({ name: definition.label, value }));
+
+/**
+ * Adds an optional "platform" choice option to a slash command builder
+ * @param {SlashCommandBuilder} builder - Command or subcommand builder
+ * @param {string} description - Option description
+ * @returns {SlashCommandBuilder} The builder
+ */
+function addPlatformOption(builder, description = 'Platform the player plays on') {
+    return builder.addStringOption(option => option
+        .setName('platform')
+        .setDescription(description)
+        .addChoices(...PLATFORM_CHOICES));
+}
+
+/**
+ * Responds to an autocomplete request with players tracked in the guild
+ * @param {AutocompleteInteraction} interaction - Autocomplete interaction
+ */
+async function autocompleteTrackedPlayers(interaction) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const choices = getTrackedPlayers(interaction.guildId)
+        .filter(p =>
+            p.name.toLowerCase().includes(focused) ||
+            (p.personaId && p.personaId.includes(focused))
+        )
+        .slice(0, 25)
+        .map(p => ({
+            name: `${p.name} (${p.platform.toUpperCase()})`,
+            value: p.personaId || p.name
+        }));
+
+    await interaction.respond(choices);
+}
+
+module.exports = {
+    PLATFORM_CHOICES,
+    STAT_CHOICES,
+    addPlatformOption,
+    autocompleteTrackedPlayers
+};
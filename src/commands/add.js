@@ -0,0 +1,41 @@
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { parseTrackerUrl, resolveTrackerUrl } = require('../api');
+const { addTrackedPlayer, getTrackedPlayers } = require('../players');
+const { createTrackedEmbed } = require('../embeds');
+const { PERMISSIONS } = require('../permissions');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('add')
+        .setDescription('Add a player to tracking by their tracker.gg profile URL')
+        .setContexts(InteractionContextType.Guild)
+        .addStringOption(option => option
+            .setName('url')
+            .setDescription('e.g. https://tracker.gg/bf6/profile/2481313248/overview')
+            .setRequired(true)),
+
+    permission: PERMISSIONS.MANAGE_ROSTER,
+
+    async execute(ctx) {
+        const url = ctx.getOption('url');
+
+        if (!parseTrackerUrl(url)) {
+            return ctx.reply(ctx.t('add.invalidUrl'));
+        }
+
+        await ctx.defer(ctx.t('add.lookingUp'));
+
+        // Look the player up by ID, or by name on the URL's platform
+        const foundPlayer = await resolveTrackerUrl(url);
+
+        if (!foundPlayer) {
+            return ctx.reply(ctx.t('add.notFound'));
+        }
+
+        if (!addTrackedPlayer(ctx.guild.id, foundPlayer)) {
+            return ctx.reply(ctx.t('common.alreadyTracked', { player: `**${foundPlayer.name}** (${foundPlayer.platform.toUpperCase()})` }));
+        }
+
+        await ctx.reply({ embeds: [createTrackedEmbed(foundPlayer, getTrackedPlayers(ctx.guild.id).length, ctx.locale)] });
+    }
+};
@@ -0,0 +1,82 @@
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { fetchPlayerStats } = require('../api');
+const { resolvePlayer, getNotLinkedReply } = require('../resolver');
+const { getLinkedPlayer } = require('../links');
+const { PAGE_SIZE, CATEGORIES, getColumnLabel, getBreakdownRows, createBreakdownEmbed } = require('../breakdowns');
+const { sendPaginated } = require('../pagination');
+const { autocompleteTrackedPlayers } = require('../commandOptions');
+
+/**
+ * Builds a command showing one breakdown category (/weapons, /vehicles, ...)
+ * as a paginated, sortable table
+ * @param {string} name - Command name
+ * @param {string} category - Category key from CATEGORIES
+ * @returns {Object} Command module
+ */
+function createBreakdownCommand(name, category) {
+    const definition = CATEGORIES[category];
+    const sortChoices = Object.entries(definition.columns).map(([value, column]) => ({ label: column.label, value }));
+    const defaultSort = sortChoices[0].value;
+
+    return {
+        data: new SlashCommandBuilder()
+            .setName(name)
+            .setDescription(`Show a player's ${definition.label.toLowerCase()} stats`)
+            .setContexts(InteractionContextType.Guild)
+            .addStringOption(option => option
+                .setName('player')
+                .setDescription('Tracked name, player ID, tracker.gg URL or @member (default: your linked account)')
+                .setAutocomplete(true))
+            .addStringOption(option => option
+                .setName('sort')
+                .setDescription(`Column to sort by (default: ${sortChoices[0].label})`)
+                .addChoices(...sortChoices.map(choice => ({ name: choice.label, value: choice.value })))),
+
+        autocomplete: autocompleteTrackedPlayers,
+
+        async execute(ctx) {
+            const query = ctx.getOption('player');
+            const sort = ctx.getOption('sort') || defaultSort;
+
+            const ownPlayer = query ? null : getLinkedPlayer(ctx.user.id);
+            if (!query && !ownPlayer) {
+                return ctx.reply(getNotLinkedReply(ctx, ctx.user.id));
+            }
+
+            const categoryName = ctx.t(`breakdowns.categoryNames.${category}`);
+            await ctx.defer(ctx.t('breakdowns.lookingUp', { category: categoryName, name: query || ownPlayer.name }));
+
+            const player = ownPlayer || await resolvePlayer(ctx.guild.id, query);
+            if (!player) {
+                return ctx.reply(ctx.t('common.playerNotFound', { query }));
+            }
+
+            const stats = await fetchPlayerStats(player.name, player.platform, player.personaId);
+            if (!stats) {
+                return ctx.reply(ctx.t('common.fetchFailed', { name: player.name }));
+            }
+
+            // Rows are re-sorted only when the sort column changes
+            let rows = getBreakdownRows(stats, category, sort);
+            let sortedBy = sort;
+            if (rows.length === 0) {
+                return ctx.reply(ctx.t('breakdowns.noStats', { category: categoryName, name: player.name }));
+            }
+
+            await sendPaginated(ctx, {
+                sort,
+                sortChoices: Object.entries(definition.columns).map(([value, column]) => ({ label: getColumnLabel(column, ctx.locale), value })),
+                getPageCount: () => Math.ceil(rows.length / PAGE_SIZE),
+                render: (state) => {
+                    if (state.sort !== sortedBy) {
+                        rows = getBreakdownRows(stats, category, state.sort);
+                        sortedBy = state.sort;
+                    }
+                    return createBreakdownEmbed(player, category, rows, state.sort, state.page, ctx.locale);
+                }
+            });
+        }
+    };
+}
+
+module.exports = createBreakdownCommand;
@@ -0,0 +1,151 @@
+const { SlashCommandBuilder, EmbedBuilder, InteractionContextType } = require('discord.js');
+const { getTrackedPlayers } = require('../players');
+const {
+    CHALLENGE_STATS, getChallenges, findChallenge, createChallenge, removeChallenge, createChallengeEmbed
+} = require('../challenges');
+const { STATS, getStatLabel } = require('../stats');
+const { checkPermission, PERMISSIONS } = require('../permissions');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Longest allowed challenge name
+const MAX_NAME_LENGTH = 48;
+
+// Subcommands that start or stop challenges; the others are open to everyone
+const ADMIN_SUBCOMMANDS = ['create', 'cancel'];
+
+/**
+ * Adds a challenge "name" option with autocomplete to a subcommand builder
+ * @param {SlashCommandSubcommandBuilder} subcommand - Subcommand builder
+ * @param {boolean} required - Whether the option is required
+ * @returns {SlashCommandSubcommandBuilder} The builder
+ */
+function addChallengeOption(subcommand, required) {
+    return subcommand.addStringOption(option => option
+        .setName('name')
+        .setDescription('Challenge name')
+        .setRequired(required)
+        .setAutocomplete(true));
+}
+
+/**
+ * Creates an embed listing a guild's running challenges
+ * @param {CommandContext} ctx - Command context
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createChallengeListEmbed(ctx) {
+    const lines = getChallenges(ctx.guild.id).map(challenge => ctx.t('challenges.listLine', {
+        name: challenge.name,
+        stat: `${STATS[challenge.stat].emoji} ${getStatLabel(challenge.stat, ctx.locale)}`,
+        end: `<t:${Math.floor(new Date(challenge.endsAt).getTime() / 1000)}:R>`
+    }));
+
+    return new EmbedBuilder()
+        .setTitle(ctx.t('challenges.listTitle'))
+        .setColor(0xE67E22)
+        .setDescription(lines.join('\n').slice(0, 4096))
+        .setTimestamp();
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('challenge')
+        .setDescription('Timed server challenges, e.g. most kills this week')
+        .setContexts(InteractionContextType.Guild)
+        .addSubcommand(subcommand => subcommand
+            .setName('create')
+            .setDescription('Start a challenge; its final standings are posted when it ends')
+            .addStringOption(option => option
+                .setName('stat')
+                .setDescription('Stat to earn the most of')
+                .setRequired(true)
+                .addChoices(...CHALLENGE_STATS.map(stat => ({ name: STATS[stat].label, value: stat }))))
+            .addIntegerOption(option => option
+                .setName('days')
+                .setDescription('How many days the challenge runs (default: 7)')
+                .setMinValue(1)
+                .setMaxValue(90))
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Challenge name (default: e.g. "Kills Challenge")')
+                .setMaxLength(MAX_NAME_LENGTH)))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('List the running challenges'))
+        .addSubcommand(subcommand => addChallengeOption(subcommand
+            .setName('standings')
+            .setDescription('Show the current standings of a challenge'), false))
+        .addSubcommand(subcommand => addChallengeOption(subcommand
+            .setName('cancel')
+            .setDescription('Stop a challenge without posting its standings'), true)),
+
+    async autocomplete(interaction) {
+        const query = interaction.options.getFocused().toLowerCase();
+        const choices = getChallenges(interaction.guildId)
+            .filter(challenge => challenge.name.toLowerCase().includes(query))
+            .slice(0, 25)
+            .map(challenge => ({ name: challenge.name, value: challenge.name }));
+        await interaction.respond(choices);
+    },
+
+    async execute(ctx) {
+        const guildId = ctx.guild.id;
+        const { subcommand } = ctx;
+
+        if (ADMIN_SUBCOMMANDS.includes(subcommand)) {
+            const { allowed, reason } = checkPermission(ctx, PERMISSIONS.ADMIN);
+            if (!allowed) {
+                return ctx.reply({ content: reason, ephemeral: true, allowedMentions: { parse: [] } });
+            }
+        }
+
+        if (subcommand === 'create') {
+            const stat = ctx.getOption('stat');
+            const days = ctx.getOption('days') || 7;
+            const name = (ctx.getOption('name') || ctx.t('challenges.defaultName', { stat: getStatLabel(stat, ctx.locale) })).trim();
+            if (!name || name.length > MAX_NAME_LENGTH) {
+                return ctx.reply(ctx.t('challenges.invalidName', { max: MAX_NAME_LENGTH }));
+            }
+            if (days < 1 || days > 90) {
+                return ctx.reply(ctx.t('challenges.invalidDays'));
+            }
+            if (getTrackedPlayers(guildId).length === 0) {
+                return ctx.reply(ctx.t('list.empty'));
+            }
+
+            const challenge = createChallenge(guildId, { name, stat, duration: days * DAY, createdBy: ctx.user.id });
+            if (!challenge) {
+                return ctx.reply(ctx.t('challenges.exists', { name }));
+            }
+            return ctx.reply(ctx.t('challenges.started', {
+                name: challenge.name,
+                stat: getStatLabel(stat, ctx.locale),
+                days,
+                end: `<t:${Math.floor(new Date(challenge.endsAt).getTime() / 1000)}:R>`
+            }));
+        }
+
+        const challenges = getChallenges(guildId);
+        if (challenges.length === 0) {
+            return ctx.reply(ctx.t('challenges.none'));
+        }
+
+        if (subcommand === 'list') {
+            return ctx.reply({ embeds: [createChallengeListEmbed(ctx)] });
+        }
+
+        // Standings default to the challenge that ends first
+        const name = ctx.getOption('name');
+        const challenge = name ? findChallenge(guildId, name) : challenges[0];
+        if (!challenge) {
+            return ctx.reply(ctx.t('challenges.notFound', { name }));
+        }
+
+        if (subcommand === 'cancel') {
+            removeChallenge(guildId, challenge);
+            return ctx.reply(ctx.t('challenges.cancelled', { name: challenge.name }));
+        }
+
+        await ctx.reply({ embeds: [createChallengeEmbed(guildId, challenge)] });
+    }
+};
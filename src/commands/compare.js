@@ -0,0 +1,61 @@
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { fetchPlayerStats } = require('../api');
+const { resolvePlayer, getNotLinkedReply } = require('../resolver');
+const { getLinkedPlayer } = require('../links');
+const { createCompareEmbed } = require('../embeds');
+const { autocompleteTrackedPlayers } = require('../commandOptions');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('compare')
+        .setDescription('Compare two players head-to-head')
+        .setContexts(InteractionContextType.Guild)
+        .addStringOption(option => option
+            .setName('player_a')
+            .setDescription('Tracked name, player ID, tracker.gg URL or @member')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addStringOption(option => option
+            .setName('player_b')
+            .setDescription('Tracked name, player ID, tracker.gg URL or @member (default: your linked account)')
+            .setAutocomplete(true)),
+
+    autocomplete: autocompleteTrackedPlayers,
+
+    async execute(ctx) {
+        const queryA = ctx.getOption('player_a');
+        const queryB = ctx.getOption('player_b');
+
+        // Without a second player, compare against the user's own linked account
+        const ownPlayer = queryB ? null : getLinkedPlayer(ctx.user.id);
+        if (!queryB && !ownPlayer) {
+            return ctx.reply(getNotLinkedReply(ctx, ctx.user.id));
+        }
+
+        await ctx.defer(ctx.t('compare.comparing', { a: queryA, b: queryB || ownPlayer.name }));
+
+        const [playerA, playerB] = await Promise.all([
+            resolvePlayer(ctx.guild.id, queryA),
+            ownPlayer || resolvePlayer(ctx.guild.id, queryB)
+        ]);
+
+        for (const [query, player] of [[queryA, playerA], [queryB, playerB]]) {
+            if (!player) {
+                return ctx.reply(ctx.t('common.playerNotFound', { query }));
+            }
+        }
+
+        const [statsA, statsB] = await Promise.all([
+            fetchPlayerStats(playerA.name, playerA.platform, playerA.personaId),
+            fetchPlayerStats(playerB.name, playerB.platform, playerB.personaId)
+        ]);
+
+        for (const [player, stats] of [[playerA, statsA], [playerB, statsB]]) {
+            if (!stats) {
+                return ctx.reply(ctx.t('common.fetchFailed', { name: player.name }));
+            }
+        }
+
+        await ctx.reply({ embeds: [createCompareEmbed(playerA, statsA, playerB, statsB, ctx.locale)] });
+    }
+};
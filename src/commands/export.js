@@ -0,0 +1,35 @@
+const { SlashCommandBuilder, AttachmentBuilder, InteractionContextType } = require('discord.js');
+const { exportRoster } = require('../rosterTransfer');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('export')
+        .setDescription('Download the tracked players as a JSON or CSV file')
+        .setContexts(InteractionContextType.Guild)
+        .addStringOption(option => option
+            .setName('format')
+            .setDescription('File format (default: JSON)')
+            .addChoices(
+                { name: 'JSON', value: 'json' },
+                { name: 'CSV', value: 'csv' }
+            ))
+        .addBooleanOption(option => option
+            .setName('stats')
+            .setDescription('Include each player\'s latest recorded stats')),
+
+    async execute(ctx) {
+        const format = ctx.getOption('format') || 'json';
+        const includeStats = ctx.getOption('stats') || false;
+
+        const { content, count } = exportRoster(ctx.guild.id, format, includeStats);
+        if (count === 0) {
+            return ctx.reply(ctx.t('export.empty'));
+        }
+
+        const attachment = new AttachmentBuilder(Buffer.from(content, 'utf8'), { name: `roster-${ctx.guild.id}.${format}` });
+        await ctx.reply({
+            content: ctx.t(includeStats ? 'export.exportedWithStats' : 'export.exported', { count }),
+            files: [attachment]
+        });
+    }
+};
@@ -0,0 +1,197 @@
+const { SlashCommandBuilder, EmbedBuilder, InteractionContextType } = require('discord.js');
+const history = require('../history');
+const { findTrackedMatch, getPlayerKey } = require('../players');
+const { getLinkedPlayer } = require('../links');
+const { getNotLinkedReply } = require('../resolver');
+const { getGuildSettings } = require('../guilds');
+const { getLocalTime } = require('../postingPolicy');
+const { GOAL_STATS, MAX_GOALS, getUserGoals, setGoal, removeGoals, getProgress, formatProgressBar } = require('../goals');
+const { STATS, formatStat, getStatLabel } = require('../stats');
+const { translate } = require('../i18n');
+
+const GOAL_CHOICES = GOAL_STATS.map(stat => ({ name: STATS[stat].label, value: stat }));
+
+// Discord limit is 25 fields per embed
+const MAX_FIELDS = 25;
+
+/**
+ * Converts a target as typed by the user to the stat's unit
+ * @param {string} stat - Stat key
+ * @param {number} target - Target as typed (hours for time played)
+ * @returns {number} Target value
+ */
+function toStatValue(stat, target) {
+    return stat === 'timePlayed' ? target * 3600 : target;
+}
+
+/**
+ * Checks a YYYY-MM-DD date
+ * @param {string} date - Date as typed by the user
+ * @returns {boolean} True if it is a real calendar date
+ */
+function isValidDate(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return false;
+    }
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+/**
+ * Describes a goal's target, e.g. "1.50 K/D Ratio by 2026-12-31"
+ * @param {Object} goal - Goal
+ * @param {string} locale - Locale code
+ * @returns {string} Description
+ */
+function describeGoal(goal, locale) {
+    const target = `${STATS[goal.stat].emoji} ${formatStat(goal.stat, goal.target, locale)} ${getStatLabel(goal.stat, locale)}`;
+    return goal.deadline ? translate(locale, 'goals.targetBy', { target, deadline: goal.deadline }) : target;
+}
+
+/**
+ * Creates an embed with a member's goals and their progress
+ * @param {CommandContext} ctx - Command context
+ * @param {User} user - Member whose goals to show
+ * @param {Array<Object>} goals - The member's goals
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createGoalsEmbed(ctx, user, goals) {
+    const guildId = ctx.guild.id;
+    const { locale } = ctx;
+    const snapshotsByKey = history.getSnapshotsByKey(guildId);
+    const active = goals.filter(goal => goal.status === 'active').length;
+
+    const embed = new EmbedBuilder()
+        .setTitle(ctx.t('goals.title', { name: user.username }))
+        .setColor(0x1ABC9C)
+        .setFooter({ text: ctx.t('goals.footer', { count: active, max: MAX_GOALS }) })
+        .setTimestamp();
+
+    for (const goal of goals.slice(0, MAX_FIELDS)) {
+        const snapshots = snapshotsByKey.get(goal.playerKey) || [];
+        const value = snapshots.length > 0 ? snapshots[snapshots.length - 1].stats[goal.stat] : undefined;
+
+        let status;
+        if (goal.status === 'achieved') {
+            status = ctx.t('goals.achieved', { time: `<t:${Math.floor(new Date(goal.endedAt).getTime() / 1000)}:R>` });
+        } else if (goal.status === 'missed') {
+            status = ctx.t('goals.ranOut', { value: formatStat(goal.stat, goal.lastValue, locale) });
+        } else {
+            const progress = ctx.t('goals.progress', {
+                value: formatStat(goal.stat, value, locale),
+                target: formatStat(goal.stat, goal.target, locale)
+            });
+            status = `${formatProgressBar(typeof value === 'number' ? getProgress(goal, value) : 0)}\n${progress}`;
+        }
+
+        embed.addFields({
+            name: describeGoal(goal, locale),
+            value: `${status}\n${goal.name} (${goal.platform.toUpperCase()})`,
+            inline: false
+        });
+    }
+
+    return embed;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('goal')
+        .setDescription('Set personal stat goals for your linked account and follow your progress')
+        .setContexts(InteractionContextType.Guild)
+        .addSubcommand(subcommand => subcommand
+            .setName('set')
+            .setDescription('Set a goal, e.g. 1.5 K/D or 500 wins (replaces your goal for that stat)')
+            .addStringOption(option => option
+                .setName('stat')
+                .setDescription('Stat to reach a value in')
+                .setRequired(true)
+                .addChoices(...GOAL_CHOICES))
+            .addNumberOption(option => option
+                .setName('target')
+                .setDescription('Value to reach (hours for time played)')
+                .setRequired(true)
+                .setMinValue(0))
+            .addStringOption(option => option
+                .setName('by')
+                .setDescription('Last day to reach it, as YYYY-MM-DD (default: no deadline)')))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('Show your goals, or another member\'s, with their progress')
+            .addUserOption(option => option
+                .setName('member')
+                .setDescription('Member whose goals to show (default: you)')))
+        .addSubcommand(subcommand => subcommand
+            .setName('remove')
+            .setDescription('Remove your goal for a stat')
+            .addStringOption(option => option
+                .setName('stat')
+                .setDescription('Stat of the goal to remove')
+                .setRequired(true)
+                .addChoices(...GOAL_CHOICES))),
+
+    async execute(ctx) {
+        const guildId = ctx.guild.id;
+        const { subcommand } = ctx;
+
+        if (subcommand === 'list') {
+            const user = ctx.getOption('member') || ctx.user;
+            const goals = getUserGoals(guildId, user.id);
+            if (goals.length === 0) {
+                const content = user.id === ctx.user.id
+                    ? ctx.t('goals.noneSelf')
+                    : ctx.t('goals.noneOther', { user: `<@${user.id}>` });
+                return ctx.reply({ content, allowedMentions: { parse: [] } });
+            }
+            return ctx.reply({ embeds: [createGoalsEmbed(ctx, user, goals)] });
+        }
+
+        const stat = ctx.getOption('stat');
+        const label = getStatLabel(stat, ctx.locale);
+
+        if (subcommand === 'remove') {
+            if (removeGoals(guildId, ctx.user.id, stat) === 0) {
+                return ctx.reply(ctx.t('goals.noGoal', { stat: label }));
+            }
+            return ctx.reply(ctx.t('goals.removed', { stat: label }));
+        }
+
+        const linked = getLinkedPlayer(ctx.user.id);
+        if (!linked) {
+            return ctx.reply(getNotLinkedReply(ctx, ctx.user.id));
+        }
+        const player = findTrackedMatch(guildId, linked);
+        if (!player) {
+            return ctx.reply(ctx.t('goals.notTracked', { name: linked.name }));
+        }
+
+        const snapshots = history.getSnapshots(getPlayerKey(player), null, guildId);
+        const current = snapshots.length > 0 ? snapshots[snapshots.length - 1].stats[stat] : undefined;
+        if (typeof current !== 'number') {
+            return ctx.reply(ctx.t('goals.noValue', { stat: label, name: player.name }));
+        }
+
+        const target = toStatValue(stat, ctx.getOption('target'));
+        if (target <= current) {
+            return ctx.reply(ctx.t('goals.alreadyThere', { name: player.name, value: formatStat(stat, current, ctx.locale), stat: label }));
+        }
+
+        // Prefix commands pass "by 2026-12-31" as one value
+        const deadline = (ctx.getOption('by') || '').replace(/^by\s+/i, '').trim() || null;
+        if (deadline) {
+            if (!isValidDate(deadline)) {
+                return ctx.reply(ctx.t('goals.invalidDate', { date: deadline }));
+            }
+            if (deadline < getLocalTime(getGuildSettings(guildId).timezone).date) {
+                return ctx.reply(ctx.t('goals.pastDate', { date: deadline }));
+            }
+        }
+
+        const goal = setGoal(guildId, ctx.user.id, player, { stat, target, startValue: current, deadline });
+        if (!goal) {
+            return ctx.reply(ctx.t('goals.tooMany', { max: MAX_GOALS }));
+        }
+
+        await ctx.reply(ctx.t('goals.set', { name: player.name, goal: describeGoal(goal, ctx.locale), value: formatStat(stat, current, ctx.locale) }));
+    }
+};
@@ -0,0 +1,91 @@
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, InteractionContextType } = require('discord.js');
+const history = require('../history');
+const { findTrackedPlayer, getPlayerKey } = require('../players');
+const { getStatLabel } = require('../stats');
+const { toPoints, renderLineChart } = require('../charts');
+const { STAT_CHOICES } = require('../commandOptions');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Chart ranges; labels are the slash command choices, replies use the "graph.ranges" messages
+const RANGES = {
+    '7d': { label: 'Last 7 Days', duration: 7 * DAY },
+    '30d': { label: 'Last 30 Days', duration: 30 * DAY },
+    all: { label: 'All Time', duration: null }
+};
+
+// Most players drawn on one chart
+const MAX_PLAYERS = 8;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('graph')
+        .setDescription('Chart a stat over time for one or more tracked players')
+        .setContexts(InteractionContextType.Guild)
+        .addStringOption(option => option
+            .setName('players')
+            .setDescription('Tracked player name or ID; separate several with commas')
+            .setRequired(true))
+        .addStringOption(option => option
+            .setName('stat')
+            .setDescription('Stat to chart')
+            .setRequired(true)
+            .addChoices(...STAT_CHOICES))
+        .addStringOption(option => option
+            .setName('range')
+            .setDescription('Time range (default: last 7 days)')
+            .addChoices(...Object.entries(RANGES).map(([value, range]) => ({ name: range.label, value })))),
+
+    async execute(ctx) {
+        const queries = ctx.getOption('players').split(',').map(q => q.trim()).filter(Boolean);
+        const stat = ctx.getOption('stat');
+        const rangeKey = ctx.getOption('range') || '7d';
+        const range = RANGES[rangeKey];
+
+        if (queries.length > MAX_PLAYERS) {
+            return ctx.reply(ctx.t('graph.tooMany', { max: MAX_PLAYERS }));
+        }
+
+        const players = [];
+        for (const query of queries) {
+            const player = findTrackedPlayer(ctx.guild.id, query);
+            if (!player) {
+                return ctx.reply(ctx.t('graph.notTracked', { query }));
+            }
+            players.push(player);
+        }
+
+        await ctx.defer();
+
+        const since = range.duration ? new Date(Date.now() - range.duration) : null;
+        const snapshotsByKey = history.getSnapshotsByKey(ctx.guild.id);
+        const series = players
+            .map(player => ({
+                label: player.name,
+                points: toPoints(snapshotsByKey.get(getPlayerKey(player)) || [], stat, since)
+            }))
+            .filter(line => line.points.length > 0);
+
+        if (series.length === 0) {
+            return ctx.reply(ctx.t('graph.noHistory', { stat: getStatLabel(stat, ctx.locale) }));
+        }
+
+        const title = `${getStatLabel(stat, ctx.locale)} (${ctx.t(`graph.ranges.${rangeKey}`)})`;
+        const image = renderLineChart({ title, stat, series, locale: ctx.locale });
+        const attachment = new AttachmentBuilder(image, { name: 'chart.png' });
+
+        const embed = new EmbedBuilder()
+            .setTitle(`📈 ${title}`)
+            .setDescription(series.map(line => ctx.t('graph.dataPoints', { name: line.label, count: line.points.length })).join('\n'))
+            .setImage('attachment://chart.png')
+            .setColor(0x0099FF)
+            .setTimestamp();
+
+        const missing = players.length - series.length;
+        if (missing > 0) {
+            embed.setFooter({ text: ctx.t('graph.missing', { count: missing }) });
+        }
+
+        await ctx.reply({ embeds: [embed], files: [attachment] });
+    }
+};
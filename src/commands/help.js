@@ -0,0 +1,41 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const CONFIG = require('../config');
+const { buildUsage } = require('../prefixParser');
+const { hasTranslation } = require('../i18n');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('help')
+        .setDescription('Show the bot commands'),
+
+    aliases: ['bf6help'],
+
+    async execute(ctx) {
+        // Required lazily because the registry also loads this command
+        const { getCommands } = require('./index');
+
+        // Slash command descriptions are English; help shows a translation where the locale has one
+        const fields = getCommands().map(command => {
+            const data = command.data.toJSON();
+            const key = `help.commands.${data.name}`;
+            const description = hasTranslation(ctx.locale, key) ? ctx.t(key) : data.description;
+            return { name: buildUsage(data, '/'), value: description, inline: false };
+        });
+
+        // Discord limit is 25 fields per embed, so long command lists take several embeds
+        const embeds = [];
+        for (let i = 0; i < fields.length; i += 25) {
+            embeds.push(new EmbedBuilder()
+                .setColor(0x0099FF)
+                .addFields(fields.slice(i, i + 25)));
+        }
+        embeds[0]
+            .setTitle(ctx.t('help.title'))
+            .setDescription(ctx.t('help.description'));
+        embeds[embeds.length - 1].setFooter({
+            text: ctx.t(CONFIG.ENABLE_PREFIX_COMMANDS ? 'help.footerWithPrefix' : 'help.footer')
+        });
+
+        await ctx.reply({ embeds });
+    }
+};
@@ -0,0 +1,68 @@
+const fetch = require('node-fetch');
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { MAX_IMPORT_PLAYERS, RosterFileError, parseRosterFile, importRoster } = require('../rosterTransfer');
+const { getTrackedPlayers } = require('../players');
+const { createImportReportEmbed } = require('../embeds');
+const { PERMISSIONS } = require('../permissions');
+
+// Largest roster file accepted, in bytes
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// Longest wait for the file download, in milliseconds
+const DOWNLOAD_TIMEOUT = 10000;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('import')
+        .setDescription('Add the players from a roster file (JSON or CSV, e.g. from /export)')
+        .setContexts(InteractionContextType.Guild)
+        .addAttachmentOption(option => option
+            .setName('file')
+            .setDescription('Roster file with name, platform and/or personaId per player')
+            .setRequired(true)),
+
+    permission: PERMISSIONS.MANAGE_ROSTER,
+
+    async execute(ctx) {
+        const file = ctx.getOption('file');
+        if (file.size > MAX_FILE_SIZE) {
+            return ctx.reply(ctx.t('import.tooLarge', { max: MAX_FILE_SIZE / 1024 }));
+        }
+
+        // The download can outlast Discord's 3 seconds to answer a slash command
+        await ctx.defer();
+
+        let entries;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT);
+        try {
+            const response = await fetch(file.url, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`download failed with HTTP ${response.status}`);
+            }
+            entries = parseRosterFile(await response.text(), file.name);
+        } catch (error) {
+            let reason = error.message;
+            if (error instanceof RosterFileError) {
+                reason = ctx.t(error.key, error.vars);
+            } else if (error.name === 'AbortError') {
+                reason = ctx.t('import.downloadTimedOut', { seconds: DOWNLOAD_TIMEOUT / 1000 });
+            }
+            return ctx.reply(ctx.t('import.unreadable', { file: file.name, error: reason }));
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (entries.length === 0) {
+            return ctx.reply(ctx.t('import.empty'));
+        }
+        if (entries.length > MAX_IMPORT_PLAYERS) {
+            return ctx.reply(ctx.t('import.tooMany', { count: entries.length, max: MAX_IMPORT_PLAYERS }));
+        }
+
+        await ctx.defer(ctx.t('import.checking', { count: entries.length }));
+
+        const report = await importRoster(ctx.guild.id, entries);
+        await ctx.reply({ embeds: [createImportReportEmbed(report, getTrackedPlayers(ctx.guild.id).length, ctx.locale)] });
+    }
+};
@@ -0,0 +1,72 @@
+/**
+ * Registry of all bot commands. Each command module exports:
+ * - data: SlashCommandBuilder definition (also drives "!" prefix parsing)
+ * - execute(ctx): handler receiving a CommandContext
+ * - autocomplete(interaction): optional autocomplete handler
+ * - aliases: optional extra names accepted with the "!" prefix
+ * - permission: optional level from PERMISSIONS required to run it (public by default)
+ */
+const commands = [
+    require('./search'),
+    require('./add'),
+    require('./track'),
+    require('./list'),
+    require('./untrack'),
+    require('./update'),
+    require('./status'),
+    require('./import'),
+    require('./export'),
+    require('./team'),
+    require('./stats'),
+    require('./link'),
+    require('./unlink'),
+    require('./me'),
+    require('./leaderboard'),
+    require('./compare'),
+    require('./graph'),
+    require('./milestones'),
+    require('./sessions'),
+    require('./goal'),
+    require('./challenge'),
+    require('./weapons'),
+    require('./vehicles'),
+    require('./classes'),
+    require('./modes'),
+    require('./maps'),
+    require('./setchannel'),
+    require('./setalerts'),
+    require('./setinterval'),
+    require('./pollinterval'),
+    require('./setleaderboard'),
+    require('./roles'),
+    require('./policy'),
+    require('./template'),
+    require('./language'),
+    require('./help')
+];
+
+/**
+ * Gets all registered commands
+ * @returns {Array<Object>} Command modules
+ */
+function getCommands() {
+    return commands;
+}
+
+/**
+ * Finds a command by name or alias
+ * @param {string} name - Command name (without prefix)
+ * @returns {Object|undefined} Command module
+ */
+function findCommand(name) {
+    const lower = name.toLowerCase();
+    return commands.find(command =>
+        command.data.name === lower ||
+        (command.aliases && command.aliases.includes(lower))
+    );
+}
+
+module.exports = {
+    getCommands,
+    findCommand
+};
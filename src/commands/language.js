@@ -0,0 +1,30 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { updateGuildSettings } = require('../guilds');
+const { PERMISSIONS } = require('../permissions');
+const { LOCALES } = require('../i18n');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('language')
+        .setDescription('Choose the language of the bot\'s replies and posts in this server')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addStringOption(option => option
+            .setName('language')
+            .setDescription('Language (leave empty to see the current one)')
+            .addChoices(...Object.entries(LOCALES).map(([value, locale]) => ({ name: locale.name, value })))),
+
+    permission: PERMISSIONS.ADMIN,
+
+    async execute(ctx) {
+        const locale = ctx.getOption('language');
+        if (!locale) {
+            return ctx.reply(ctx.t('language.current', { language: LOCALES[ctx.locale].name }));
+        }
+
+        updateGuildSettings(ctx.guild.id, { locale });
+
+        // Replied in the new language
+        await ctx.reply(ctx.t('language.set', { language: LOCALES[locale].name }));
+    }
+};
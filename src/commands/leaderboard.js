@@ -0,0 +1,31 @@
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { getTrackedPlayers } = require('../players');
+const { PERIODS, createLeaderboardEmbed } = require('../leaderboard');
+const { STAT_CHOICES } = require('../commandOptions');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('leaderboard')
+        .setDescription('Rank all tracked players by a stat')
+        .setContexts(InteractionContextType.Guild)
+        .addStringOption(option => option
+            .setName('stat')
+            .setDescription('Stat to rank by')
+            .setRequired(true)
+            .addChoices(...STAT_CHOICES))
+        .addStringOption(option => option
+            .setName('period')
+            .setDescription('Rank lifetime stats or what was earned recently (default: all time)')
+            .addChoices(...Object.entries(PERIODS).map(([value, period]) => ({ name: period.label, value })))),
+
+    async execute(ctx) {
+        const stat = ctx.getOption('stat');
+        const period = ctx.getOption('period') || 'all';
+
+        if (getTrackedPlayers(ctx.guild.id).length === 0) {
+            return ctx.reply(ctx.t('list.empty'));
+        }
+
+        await ctx.reply({ embeds: [createLeaderboardEmbed(ctx.guild.id, stat, period)] });
+    }
+};
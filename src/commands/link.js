@@ -0,0 +1,54 @@
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { resolvePlayer } = require('../resolver');
+const { linkAccount, getLinkedAccounts } = require('../links');
+const { autocompleteTrackedPlayers } = require('../commandOptions');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('link')
+        .setDescription('Link your Discord account to your BF6 account')
+        .setContexts(InteractionContextType.Guild)
+        .addStringOption(option => option
+            .setName('player')
+            .setDescription('Player ID, tracker.gg URL or tracked name')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addBooleanOption(option => option
+            .setName('primary')
+            .setDescription('Use this account by default (the first linked account always is)')),
+
+    autocomplete: autocompleteTrackedPlayers,
+
+    async execute(ctx) {
+        const query = ctx.getOption('player');
+        const makePrimary = ctx.getOption('primary') === true;
+
+        await ctx.defer(ctx.t('common.lookingUp', { name: query }));
+
+        const player = await resolvePlayer(ctx.guild.id, query);
+        if (!player) {
+            return ctx.reply(ctx.t('links.notFound', { query }));
+        }
+
+        const { added, primary } = linkAccount(ctx.user.id, player, makePrimary);
+        const platform = player.platform.toUpperCase();
+        const others = getLinkedAccounts(ctx.user.id).length - 1;
+
+        if (!added && !makePrimary) {
+            return ctx.reply(ctx.t('links.alreadyLinked', { name: player.name, platform }));
+        }
+
+        let key;
+        if (!added) {
+            key = 'links.nowPrimary';
+        } else if (!primary) {
+            key = 'links.linkedSecondary';
+        } else if (others > 0) {
+            key = 'links.linkedPrimary';
+        } else {
+            key = 'links.linked';
+        }
+
+        await ctx.reply(`${ctx.t(key, { name: player.name, platform })}\n${ctx.t('links.seeStats')}`);
+    }
+};
@@ -0,0 +1,95 @@
+const { SlashCommandBuilder, EmbedBuilder, InteractionContextType } = require('discord.js');
+const { getGuildSettings, getUpdateInterval } = require('../guilds');
+const { getTrackedPlayers, getTeams, getTeamPlayers, getPlayerTeam } = require('../players');
+const { getNextPoll } = require('../scheduler');
+
+/**
+ * Describes what else is known about a tracked player (next update, unreachable flag, former names)
+ * @param {CommandContext} ctx - Command context
+ * @param {Object} player - Tracked player
+ * @returns {Array<string>} Note lines, empty if there is nothing to note
+ */
+function getPlayerNotes(ctx, player) {
+    const notes = [];
+    const nextPoll = getNextPoll(ctx.guild.id, player);
+    if (nextPoll) {
+        const time = `<t:${Math.floor(nextPoll.getTime() / 1000)}:R>`;
+        notes.push(player.pollInterval
+            ? ctx.t('list.nextUpdateEvery', { time, minutes: player.pollInterval / 1000 / 60 })
+            : ctx.t('list.nextUpdate', { time }));
+    }
+    if (player.unreachable) {
+        notes.push(ctx.t('list.unreachable', { count: player.failures }));
+    }
+    if (player.aliases && player.aliases.length > 0) {
+        notes.push(ctx.t('list.formerly', { names: [...new Set(player.aliases.map(alias => alias.name))].reverse().join(', ') }));
+    }
+    return notes;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('list')
+        .setDescription('List all currently tracked players')
+        .setContexts(InteractionContextType.Guild)
+        .addBooleanOption(option => option
+            .setName('by_team')
+            .setDescription('Group the players by team')),
+
+    async execute(ctx) {
+        const trackedPlayers = getTrackedPlayers(ctx.guild.id);
+        if (trackedPlayers.length === 0) {
+            return ctx.reply(ctx.t('list.empty'));
+        }
+
+        const unreachableCount = trackedPlayers.filter(player => player.unreachable).length;
+        const embed = new EmbedBuilder()
+            .setTitle(ctx.t('list.title'))
+            .setDescription(unreachableCount > 0
+                ? ctx.t('list.summaryUnreachable', { count: trackedPlayers.length, unreachable: unreachableCount })
+                : ctx.t('list.summary', { count: trackedPlayers.length }))
+            .setColor(0x0099FF)
+            .setTimestamp();
+
+        const { channelId } = getGuildSettings(ctx.guild.id);
+        embed.setFooter({
+            text: channelId
+                ? ctx.t('list.interval', { minutes: getUpdateInterval(ctx.guild.id) / 1000 / 60 })
+                : ctx.t('list.noChannel')
+        });
+
+        const none = ctx.t('common.notAvailable');
+        if (ctx.getOption('by_team')) {
+            const groups = getTeams(ctx.guild.id).map(team => ({ name: `🛡️ ${team.name}`, players: getTeamPlayers(ctx.guild.id, team) }));
+            groups.push({ name: ctx.t('list.noTeam'), players: trackedPlayers.filter(player => !getPlayerTeam(ctx.guild.id, player)) });
+
+            // Discord limit is 25 fields of 1024 characters
+            groups.filter(group => group.players.length > 0).slice(0, 25).forEach(group => {
+                embed.addFields({
+                    name: `${group.name} (${group.players.length})`,
+                    value: group.players
+                        .map(player => `${player.unreachable ? '⚠️ ' : ''}${player.name} (${player.platform.toUpperCase()}) \`${player.personaId || none}\``)
+                        .join('\n')
+                        .slice(0, 1024),
+                    inline: false
+                });
+            });
+            return ctx.reply({ embeds: [embed] });
+        }
+
+        // Discord limit is 25 fields
+        trackedPlayers.slice(0, 25).forEach((player, index) => {
+            embed.addFields({
+                name: `${index + 1}. ${player.name}`,
+                value: [
+                    ctx.t('search.platform', { platform: player.platform.toUpperCase() }),
+                    ctx.t('search.id', { id: player.personaId || none }),
+                    ...getPlayerNotes(ctx, player)
+                ].join('\n'),
+                inline: true
+            });
+        });
+
+        await ctx.reply({ embeds: [embed] });
+    }
+};
@@ -0,0 +1,41 @@
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { fetchPlayerStats } = require('../api');
+const { getLinkedAccounts, getLinkedPlayer } = require('../links');
+const { getNotLinkedReply } = require('../resolver');
+const { createStatsEmbed } = require('../embeds');
+const { addPlatformOption } = require('../commandOptions');
+
+module.exports = {
+    data: addPlatformOption(new SlashCommandBuilder()
+        .setName('me')
+        .setDescription('Show the stats of your linked BF6 account')
+        .setContexts(InteractionContextType.Guild), 'Show your account on this platform (default: your primary account)'),
+
+    async execute(ctx) {
+        const platform = ctx.getOption('platform');
+        const player = getLinkedPlayer(ctx.user.id, platform);
+
+        if (!player) {
+            return ctx.reply(getNotLinkedReply(ctx, ctx.user.id, platform));
+        }
+
+        await ctx.defer();
+
+        const stats = await fetchPlayerStats(player.name, player.platform, player.personaId);
+        if (!stats) {
+            return ctx.reply(ctx.t('common.fetchFailed', { name: player.name }));
+        }
+
+        const accounts = getLinkedAccounts(ctx.user.id);
+        const content = accounts.length > 1
+            ? ctx.t('links.accounts', {
+                accounts: accounts.map(a => ctx.t(a.primary ? 'links.primaryAccount' : 'links.account', {
+                    name: a.name,
+                    platform: a.platform.toUpperCase()
+                })).join(', ')
+            })
+            : undefined;
+
+        await ctx.reply({ content, embeds: [createStatsEmbed(stats, player.name, player.platform, null, ctx.guild.id)] });
+    }
+};
@@ -0,0 +1,66 @@
+const { SlashCommandBuilder, EmbedBuilder, InteractionContextType } = require('discord.js');
+const { findTrackedPlayer, getPlayerKey } = require('../players');
+const { getMilestones, getAnnouncedMilestones, formatMilestone } = require('../milestones');
+const { STATS, getStatLabel } = require('../stats');
+const { autocompleteTrackedPlayers } = require('../commandOptions');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('milestones')
+        .setDescription('List milestones, or the milestones a tracked player has reached')
+        .setContexts(InteractionContextType.Guild)
+        .addStringOption(option => option
+            .setName('player')
+            .setDescription('Tracked player ID or name')
+            .setAutocomplete(true)),
+
+    autocomplete: autocompleteTrackedPlayers,
+
+    async execute(ctx) {
+        const milestones = getMilestones();
+        if (milestones.length === 0) {
+            return ctx.reply(ctx.t('milestones.noneConfigured'));
+        }
+
+        const query = ctx.getOption('player');
+        let player = null;
+        if (query) {
+            player = findTrackedPlayer(ctx.guild.id, query);
+            if (!player) {
+                return ctx.reply(ctx.t('common.notTracked', { query }));
+            }
+        }
+        const reached = player ? getAnnouncedMilestones(ctx.guild.id, getPlayerKey(player)) : [];
+
+        const embed = new EmbedBuilder()
+            .setTitle(player ? ctx.t('milestones.playerTitle', { name: player.name }) : ctx.t('milestones.title'))
+            .setColor(0xFFD700)
+            .setTimestamp();
+
+        // One field per stat, listing its thresholds
+        const byStat = new Map();
+        for (const milestone of milestones) {
+            if (!byStat.has(milestone.stat)) {
+                byStat.set(milestone.stat, []);
+            }
+            const mark = player ? (reached.includes(milestone.id) ? '✅ ' : '⬜ ') : '';
+            byStat.get(milestone.stat).push(`${mark}${formatMilestone(milestone, ctx.locale)}`);
+        }
+        for (const [stat, lines] of byStat) {
+            embed.addFields({
+                name: `${STATS[stat].emoji} ${getStatLabel(stat, ctx.locale)}`,
+                value: lines.join('\n').slice(0, 1024),
+                inline: true
+            });
+        }
+
+        if (player) {
+            embed.setDescription(ctx.t('milestones.reachedCount', {
+                count: milestones.filter(m => reached.includes(m.id)).length,
+                total: milestones.length
+            }));
+        }
+
+        await ctx.reply({ embeds: [embed.setFields(embed.data.fields.slice(0, 25))] });
+    }
+};
@@ -0,0 +1,150 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const { getGuildSettings, updateGuildSettings } = require('../guilds');
+const { PERMISSIONS } = require('../permissions');
+const { THRESHOLD_STATS, isValidTimezone, formatHour, describePolicy } = require('../postingPolicy');
+const { getSessionIdleTimeout } = require('../sessions');
+
+const THRESHOLD_CHOICES = Object.entries(THRESHOLD_STATS).map(([value, definition]) => ({ name: definition.label, value }));
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('policy')
+        .setDescription('Choose when this server\'s stats are posted')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand => subcommand
+            .setName('show')
+            .setDescription('Show the current posting policy'))
+        .addSubcommand(subcommand => subcommand
+            .setName('threshold')
+            .setDescription('Only post a player once they changed at least this much (any threshold is enough)')
+            .addStringOption(option => option
+                .setName('stat')
+                .setDescription('Change to count')
+                .setRequired(true)
+                .addChoices(...THRESHOLD_CHOICES))
+            .addIntegerOption(option => option
+                .setName('amount')
+                .setDescription('Minimum change (0 removes the threshold)')
+                .setRequired(true)
+                .setMinValue(0)))
+        .addSubcommand(subcommand => subcommand
+            .setName('quiethours')
+            .setDescription('Hold back posts between two hours (leave both empty to turn off)')
+            .addIntegerOption(option => option
+                .setName('start')
+                .setDescription('Hour quiet time starts (0-23)')
+                .setMinValue(0)
+                .setMaxValue(23))
+            .addIntegerOption(option => option
+                .setName('end')
+                .setDescription('Hour quiet time ends (0-23)')
+                .setMinValue(0)
+                .setMaxValue(23)))
+        .addSubcommand(subcommand => subcommand
+            .setName('timezone')
+            .setDescription('Set the timezone of quiet hours and the digest')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('IANA timezone, e.g. Europe/Berlin or America/New_York')
+                .setRequired(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('mode')
+            .setDescription('Post a card per player at every update, one digest a day, a live roster or session recaps')
+            .addStringOption(option => option
+                .setName('mode')
+                .setDescription('Posting mode')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'Instant', value: 'instant' },
+                    { name: 'Daily Digest', value: 'digest' },
+                    { name: 'Live Roster', value: 'live' },
+                    { name: 'Session Recaps', value: 'session' }
+                ))
+            .addIntegerOption(option => option
+                .setName('hour')
+                .setDescription('Hour the digest is posted (0-23, default: 21)')
+                .setMinValue(0)
+                .setMaxValue(23))
+            .addIntegerOption(option => option
+                .setName('idle')
+                .setDescription('Minutes without new stats that end a session (default: 30)')
+                .setMinValue(5)
+                .setMaxValue(24 * 60))),
+
+    permission: PERMISSIONS.ADMIN,
+
+    async execute(ctx) {
+        const guildId = ctx.guild.id;
+        const settings = getGuildSettings(guildId);
+
+        if (ctx.subcommand === 'threshold') {
+            const stat = ctx.getOption('stat');
+            const amount = ctx.getOption('amount');
+            const postThresholds = { ...settings.postThresholds };
+            if (amount > 0) {
+                postThresholds[stat] = amount;
+            } else {
+                delete postThresholds[stat];
+            }
+            updateGuildSettings(guildId, { postThresholds });
+            return ctx.reply(amount > 0
+                ? ctx.t('policy.thresholdSet', { amount: ctx.t(`policy.thresholdAmounts.${stat}`, { count: amount }) })
+                : ctx.t('policy.thresholdRemoved', { stat: ctx.t(`policy.thresholdNames.${stat}`) }));
+        }
+
+        if (ctx.subcommand === 'quiethours') {
+            const start = ctx.getOption('start');
+            const end = ctx.getOption('end');
+            if (start === null && end === null) {
+                updateGuildSettings(guildId, { quietHours: null });
+                return ctx.reply(ctx.t('policy.quietHoursOff'));
+            }
+            if (start === null || end === null || start === end) {
+                return ctx.reply(ctx.t('policy.quietHoursInvalid'));
+            }
+            updateGuildSettings(guildId, { quietHours: { start, end } });
+            return ctx.reply(ctx.t('policy.quietHoursSet', { start: formatHour(start), end: formatHour(end), timezone: settings.timezone }));
+        }
+
+        if (ctx.subcommand === 'timezone') {
+            const timezone = ctx.getOption('name').trim();
+            if (!isValidTimezone(timezone)) {
+                return ctx.reply(ctx.t('policy.unknownTimezone', { timezone }));
+            }
+            updateGuildSettings(guildId, { timezone });
+            return ctx.reply(ctx.t('policy.timezoneSet', { timezone }));
+        }
+
+        if (ctx.subcommand === 'mode') {
+            const postMode = ctx.getOption('mode');
+            const hour = ctx.getOption('hour');
+            const idle = ctx.getOption('idle');
+            const changes = { postMode };
+            if (hour !== null) {
+                changes.digestHour = hour;
+            }
+            if (idle !== null) {
+                changes.sessionIdleTimeout = idle * 60 * 1000;
+            }
+            const updated = updateGuildSettings(guildId, changes);
+            if (postMode === 'digest') {
+                return ctx.reply(ctx.t('policy.modeDigest', { hour: formatHour(updated.digestHour), timezone: updated.timezone }));
+            }
+            if (postMode === 'live') {
+                return ctx.reply(ctx.t('policy.modeLive'));
+            }
+            if (postMode === 'session') {
+                return ctx.reply(ctx.t('policy.modeSession', { minutes: getSessionIdleTimeout(guildId) / 1000 / 60 }));
+            }
+            return ctx.reply(ctx.t('policy.modeInstant'));
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(ctx.t('policy.title'))
+            .setDescription(describePolicy(settings, ctx.locale).join('\n'))
+            .setColor(0x0099FF)
+            .setFooter({ text: ctx.t('policy.footer') });
+        await ctx.reply({ embeds: [embed] });
+    }
+};
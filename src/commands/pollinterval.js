@@ -0,0 +1,53 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { findTrackedPlayer, setPollInterval } = require('../players');
+const { getUpdateInterval } = require('../guilds');
+const { MIN_POLL_INTERVAL, reschedulePlayer } = require('../scheduler');
+const { autocompleteTrackedPlayers } = require('../commandOptions');
+const { PERMISSIONS } = require('../permissions');
+
+const MIN_INTERVAL_MINUTES = MIN_POLL_INTERVAL / 60 / 1000;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('pollinterval')
+        .setDescription('Set how often one player is updated, or go back to the automatic interval')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addStringOption(option => option
+            .setName('player')
+            .setDescription('Tracked player ID or name')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addIntegerOption(option => option
+            .setName('minutes')
+            .setDescription('Minutes between updates of this player (leave out for automatic)')
+            .setMinValue(MIN_INTERVAL_MINUTES)
+            .setMaxValue(7 * 24 * 60)),
+
+    autocomplete: autocompleteTrackedPlayers,
+
+    permission: PERMISSIONS.ADMIN,
+
+    async execute(ctx) {
+        const query = ctx.getOption('player');
+        const player = findTrackedPlayer(ctx.guild.id, query);
+        if (!player) {
+            return ctx.reply(ctx.t('common.notTracked', { query }));
+        }
+
+        const minutes = ctx.getOption('minutes');
+        if (!minutes) {
+            setPollInterval(player, null);
+            reschedulePlayer(ctx.guild.id, player);
+            return ctx.reply(ctx.t('settings.pollAutomatic', { name: player.name, minutes: getUpdateInterval(ctx.guild.id) / 1000 / 60 }));
+        }
+        if (minutes < MIN_INTERVAL_MINUTES) {
+            return ctx.reply(ctx.t('settings.intervalTooShort', { min: MIN_INTERVAL_MINUTES }));
+        }
+
+        setPollInterval(player, minutes * 60 * 1000);
+        reschedulePlayer(ctx.guild.id, player);
+
+        await ctx.reply(ctx.t('settings.pollSet', { name: player.name, minutes }));
+    }
+};
@@ -0,0 +1,64 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { getGuildSettings, updateGuildSettings } = require('../guilds');
+const { PERMISSIONS } = require('../permissions');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('roles')
+        .setDescription('Choose which roles may change the roster and trigger updates')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand => subcommand
+            .setName('add')
+            .setDescription('Allow a role to manage the roster')
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Role to allow')
+                .setRequired(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('remove')
+            .setDescription('Stop a role from managing the roster')
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Role to remove')
+                .setRequired(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('Show the roles that may manage the roster')),
+
+    permission: PERMISSIONS.ADMIN,
+
+    async execute(ctx) {
+        const { managerRoleIds } = getGuildSettings(ctx.guild.id);
+
+        if (ctx.subcommand === 'list') {
+            if (managerRoleIds.length === 0) {
+                return ctx.reply(ctx.t('roles.none'));
+            }
+            const roleList = managerRoleIds.map(roleId => `• <@&${roleId}>`).join('\n');
+            return ctx.reply({
+                content: `${ctx.t('roles.list')}\n${roleList}`,
+                allowedMentions: { parse: [] }
+            });
+        }
+
+        const role = ctx.getOption('role');
+
+        if (ctx.subcommand === 'add') {
+            if (managerRoleIds.includes(role.id)) {
+                return ctx.reply({ content: ctx.t('roles.alreadyAllowed', { role: `${role}` }), allowedMentions: { parse: [] } });
+            }
+            updateGuildSettings(ctx.guild.id, { managerRoleIds: [...managerRoleIds, role.id] });
+            return ctx.reply({
+                content: ctx.t('roles.added', { role: `${role}` }),
+                allowedMentions: { parse: [] }
+            });
+        }
+
+        if (!managerRoleIds.includes(role.id)) {
+            return ctx.reply({ content: ctx.t('roles.notAllowed', { role: `${role}` }), allowedMentions: { parse: [] } });
+        }
+        updateGuildSettings(ctx.guild.id, { managerRoleIds: managerRoleIds.filter(roleId => roleId !== role.id) });
+        await ctx.reply({ content: ctx.t('roles.removed', { role: `${role}` }), allowedMentions: { parse: [] } });
+    }
+};
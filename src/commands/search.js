@@ -0,0 +1,203 @@
+const {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    StringSelectMenuBuilder,
+    MessageFlags
+} = require('discord.js');
+const { searchPlayers, fetchPlayerStats } = require('../api');
+const { addTrackedPlayer, getTrackedPlayers } = require('../players');
+const { getLinkedPlayer } = require('../links');
+const { getNotLinkedReply } = require('../resolver');
+const { checkPermission, PERMISSIONS } = require('../permissions');
+const { createStatsEmbed, createTrackedEmbed, createCompareEmbed } = require('../embeds');
+const { formatNumber } = require('../i18n');
+const CommandContext = require('../commandContext');
+const { createLogger } = require('../logger');
+
+const log = createLogger('search');
+
+// How long the buttons under search results keep working
+const SEARCH_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Builds the components that act on a search result
+ * @param {Array<Object>} results - Search results
+ * @param {number} selected - Index of the selected result
+ * @param {CommandContext} ctx - Command context, used to translate the buttons
+ * @param {boolean} disabled - Disable every component (after the timeout)
+ * @returns {Array<ActionRowBuilder>} Message components
+ */
+function buildComponents(results, selected, ctx, disabled = false) {
+    const rows = [];
+
+    if (results.length > 1) {
+        rows.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId('search:select')
+                .setDisabled(disabled)
+                .addOptions(results.slice(0, 25).map((player, index) => ({
+                    label: `${index + 1}. ${player.name} (${player.platform.toUpperCase()})`.slice(0, 100),
+                    value: String(index),
+                    default: index === selected
+                })))
+        ));
+    }
+
+    rows.push(new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('search:track')
+            .setLabel(ctx.t('search.track'))
+            .setEmoji('➕')
+            .setStyle(ButtonStyle.Success)
+            .setDisabled(disabled),
+        new ButtonBuilder()
+            .setCustomId('search:view')
+            .setLabel(ctx.t('search.view'))
+            .setEmoji('📊')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(disabled),
+        new ButtonBuilder()
+            .setCustomId('search:compare')
+            .setLabel(ctx.t('search.compare'))
+            .setEmoji('⚔️')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(disabled)
+    ));
+
+    return rows;
+}
+
+/**
+ * Runs a search result button, replying to whoever pressed it
+ * @param {CommandContext} ctx - Context of the button interaction
+ * @param {string} action - 'track', 'view' or 'compare'
+ * @param {Object} player - Selected search result
+ */
+async function runAction(ctx, action, player) {
+    const label = `**${player.name}** (${player.platform.toUpperCase()})`;
+
+    if (action === 'track') {
+        const { allowed, reason } = checkPermission(ctx, PERMISSIONS.MANAGE_ROSTER);
+        if (!allowed) {
+            return ctx.reply({ content: reason, ephemeral: true, allowedMentions: { parse: [] } });
+        }
+        const trackedPlayer = { personaId: player.personaId, name: player.name, platform: player.platform };
+        if (!addTrackedPlayer(ctx.guild.id, trackedPlayer)) {
+            return ctx.reply({ content: ctx.t('common.alreadyTracked', { player: label }), ephemeral: true });
+        }
+        return ctx.reply({ embeds: [createTrackedEmbed(trackedPlayer, getTrackedPlayers(ctx.guild.id).length, ctx.locale)] });
+    }
+
+    if (action === 'view') {
+        await ctx.defer();
+        const stats = await fetchPlayerStats(player.name, player.platform, player.personaId);
+        if (!stats) {
+            return ctx.reply(ctx.t('search.fetchFailed', { player: label }));
+        }
+        return ctx.reply({ embeds: [createStatsEmbed(stats, player.name, player.platform, null, ctx.guild ? ctx.guild.id : null)] });
+    }
+
+    const ownPlayer = getLinkedPlayer(ctx.user.id);
+    if (!ownPlayer) {
+        return ctx.reply({ ...getNotLinkedReply(ctx, ctx.user.id), ephemeral: true });
+    }
+    await ctx.defer();
+    const [statsA, statsB] = await Promise.all([
+        fetchPlayerStats(player.name, player.platform, player.personaId),
+        fetchPlayerStats(ownPlayer.name, ownPlayer.platform, ownPlayer.personaId)
+    ]);
+    if (!statsA || !statsB) {
+        return ctx.reply(ctx.t('search.fetchFailed', { player: statsA ? `**${ownPlayer.name}**` : label }));
+    }
+    await ctx.reply({ embeds: [createCompareEmbed(player, statsA, ownPlayer, statsB, ctx.locale)] });
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('search')
+        .setDescription('Search for players by name and get their IDs')
+        .addStringOption(option => option
+            .setName('name')
+            .setDescription('Player name to search for')
+            .setRequired(true)),
+
+    async execute(ctx) {
+        const playerName = ctx.getOption('name');
+
+        await ctx.defer(ctx.t('search.searching', { query: playerName }));
+
+        const results = await searchPlayers(playerName);
+
+        if (results.length === 0) {
+            return ctx.reply(ctx.t('search.noResults', { query: playerName }));
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(ctx.t('search.title', { query: playerName }))
+            .setDescription(ctx.t('search.found', { count: results.length }))
+            .setColor(0x0099FF)
+            .setTimestamp();
+
+        // Add each result as a field
+        results.forEach((player, index) => {
+            const playerInfo = [];
+            playerInfo.push(ctx.t('search.platform', { platform: player.platform.toUpperCase() }));
+            if (player.personaId) {
+                playerInfo.push(ctx.t('search.id', { id: player.personaId }));
+            }
+            if (player.rank !== null) {
+                playerInfo.push(ctx.t('search.rank', { rank: player.rank }));
+            }
+            if (player.kills !== null) {
+                playerInfo.push(ctx.t('search.kills', { kills: formatNumber(ctx.locale, player.kills) }));
+            }
+
+            embed.addFields({
+                name: `${index + 1}. ${player.name}`,
+                value: playerInfo.join('\n'),
+                inline: false
+            });
+        });
+
+        embed.setFooter({
+            text: ctx.t(results.length > 1 ? 'search.footerMany' : 'search.footerOne')
+        });
+
+        let selected = 0;
+        const message = await ctx.reply({ embeds: [embed], components: buildComponents(results, selected, ctx) });
+
+        const collector = message.createMessageComponentCollector({ time: SEARCH_TIMEOUT });
+
+        collector.on('collect', async (interaction) => {
+            try {
+                if (interaction.customId === 'search:select') {
+                    // The selection is shared by everyone, so only the searcher may change it
+                    if (interaction.user.id !== ctx.user.id) {
+                        return await interaction.reply({
+                            content: ctx.t('search.notYours', { user: `${ctx.user}` }),
+                            flags: MessageFlags.Ephemeral
+                        });
+                    }
+                    selected = Number(interaction.values[0]);
+                    return await interaction.update({ components: buildComponents(results, selected, ctx) });
+                }
+
+                const action = interaction.customId.replace('search:', '');
+                await runAction(new CommandContext({ interaction }), action, results[selected]);
+            } catch (error) {
+                log.error('Error handling search result action', { error });
+            }
+        });
+
+        collector.on('end', async () => {
+            try {
+                await message.edit({ components: buildComponents(results, selected, ctx, true) });
+            } catch (error) {
+                // The message may have been deleted
+            }
+        });
+    }
+};
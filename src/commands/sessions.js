@@ -0,0 +1,70 @@
+const { SlashCommandBuilder, EmbedBuilder, InteractionContextType } = require('discord.js');
+const { findTrackedPlayer } = require('../players');
+const { getOpenSession, getSessionRecaps, summarizeSession } = require('../sessions');
+const { autocompleteTrackedPlayers } = require('../commandOptions');
+const { formatDuration, formatStat } = require('../stats');
+const { formatNumber } = require('../i18n');
+
+// Most sessions listed at once
+const MAX_SESSIONS = 10;
+
+/**
+ * Formats a session's totals on one line
+ * @param {Object} totals - Session totals from summarizeSession
+ * @param {string} locale - Locale code
+ * @returns {string} e.g. "💀 42 / ☠️ 30 (K/D 1.40) • 🏆 3-2 • ⭐ 12,345 • ⏱️ 1h 12m"
+ */
+function formatTotals(totals, locale) {
+    return [
+        `💀 ${formatNumber(locale, totals.kills)} / ☠️ ${formatNumber(locale, totals.deaths)} (K/D ${formatStat('kdRatio', totals.kdRatio, locale)})`,
+        `🏆 ${totals.wins}-${totals.losses}`,
+        `⭐ ${formatNumber(locale, totals.score)}`,
+        `⏱️ ${formatDuration(totals.duration, locale)}`
+    ].join(' • ');
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('sessions')
+        .setDescription('Show a tracked player\'s recent play sessions')
+        .setContexts(InteractionContextType.Guild)
+        .addStringOption(option => option
+            .setName('player')
+            .setDescription('Tracked player ID or name')
+            .setRequired(true)
+            .setAutocomplete(true)),
+
+    autocomplete: autocompleteTrackedPlayers,
+
+    async execute(ctx) {
+        const query = ctx.getOption('player');
+        const player = findTrackedPlayer(ctx.guild.id, query);
+        if (!player) {
+            return ctx.reply(ctx.t('common.notTracked', { query }));
+        }
+
+        const recaps = getSessionRecaps(ctx.guild.id, player);
+        const open = getOpenSession(ctx.guild.id, player);
+
+        const embed = new EmbedBuilder()
+            .setTitle(ctx.t('sessions.title', { name: player.name }))
+            .setColor(0x9B59B6)
+            .setFooter({ text: `${ctx.t('sessions.finished', { count: recaps.length })} • ${ctx.t('common.platform', { platform: player.platform.toUpperCase() })}` })
+            .setTimestamp();
+
+        const lines = [];
+        if (open) {
+            const soFar = summarizeSession(open.start, open.latest, (new Date(open.lastChangeAt) - new Date(open.startedAt)) / 1000);
+            lines.push(`${ctx.t('sessions.playingNow', { since: `<t:${Math.floor(new Date(open.startedAt).getTime() / 1000)}:R>` })}\n${formatTotals(soFar, ctx.locale)}`);
+        }
+        for (const recap of recaps.slice(0, MAX_SESSIONS)) {
+            lines.push(`**<t:${Math.floor(new Date(recap.startedAt).getTime() / 1000)}:f>**\n${formatTotals(recap, ctx.locale)}`);
+        }
+
+        embed.setDescription(lines.length > 0
+            ? lines.join('\n\n')
+            : ctx.t('sessions.none'));
+
+        await ctx.reply({ embeds: [embed] });
+    }
+};
@@ -0,0 +1,42 @@
+const { SlashCommandBuilder, ChannelType, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { updateGuildSettings } = require('../guilds');
+const { PERMISSIONS } = require('../permissions');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('setalerts')
+        .setDescription('Set the channel where admins are alerted about problems, or turn alerts off')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Alert channel (defaults to the current channel)')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+        .addBooleanOption(option => option
+            .setName('off')
+            .setDescription('Stop sending alerts to a separate channel')),
+
+    permission: PERMISSIONS.ADMIN,
+
+    async execute(ctx) {
+        if (ctx.getOption('off')) {
+            updateGuildSettings(ctx.guild.id, { alertChannelId: null });
+            return ctx.reply(ctx.t('settings.alertsOff'));
+        }
+
+        const channel = ctx.getOption('channel') || ctx.channel;
+
+        if (!channel.isTextBased() || channel.guildId !== ctx.guild.id) {
+            return ctx.reply(ctx.t('settings.chooseTextChannel'));
+        }
+
+        const permissions = channel.permissionsFor(ctx.client.user);
+        if (!permissions || !permissions.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages])) {
+            return ctx.reply(ctx.t('settings.cannotPost', { channel: `${channel}` }));
+        }
+
+        updateGuildSettings(ctx.guild.id, { alertChannelId: channel.id });
+
+        await ctx.reply(ctx.t('settings.alertsSet', { channel: `${channel}` }));
+    }
+};
@@ -0,0 +1,34 @@
+const { SlashCommandBuilder, ChannelType, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { updateGuildSettings } = require('../guilds');
+const { PERMISSIONS } = require('../permissions');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('setchannel')
+        .setDescription('Set the channel where this server\'s stats are posted')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Stats channel (defaults to the current channel)')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)),
+
+    permission: PERMISSIONS.ADMIN,
+
+    async execute(ctx) {
+        const channel = ctx.getOption('channel') || ctx.channel;
+
+        if (!channel.isTextBased() || channel.guildId !== ctx.guild.id) {
+            return ctx.reply(ctx.t('settings.chooseTextChannel'));
+        }
+
+        const permissions = channel.permissionsFor(ctx.client.user);
+        if (!permissions || !permissions.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+            return ctx.reply(ctx.t('settings.cannotPostEmbeds', { channel: `${channel}` }));
+        }
+
+        updateGuildSettings(ctx.guild.id, { channelId: channel.id });
+
+        await ctx.reply(ctx.t('settings.channelSet', { channel: `${channel}` }));
+    }
+};
@@ -0,0 +1,34 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { updateGuildSettings } = require('../guilds');
+const { PERMISSIONS } = require('../permissions');
+const { MIN_POLL_INTERVAL, scheduleGuild } = require('../scheduler');
+
+const MIN_INTERVAL_MINUTES = MIN_POLL_INTERVAL / 60 / 1000;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('setinterval')
+        .setDescription('Set how often this server\'s stats are updated')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addIntegerOption(option => option
+            .setName('minutes')
+            .setDescription('Minutes between updates')
+            .setRequired(true)
+            .setMinValue(MIN_INTERVAL_MINUTES)
+            .setMaxValue(7 * 24 * 60)),
+
+    permission: PERMISSIONS.ADMIN,
+
+    async execute(ctx) {
+        const minutes = ctx.getOption('minutes');
+        if (minutes < MIN_INTERVAL_MINUTES) {
+            return ctx.reply(ctx.t('settings.intervalTooShort', { min: MIN_INTERVAL_MINUTES }));
+        }
+
+        updateGuildSettings(ctx.guild.id, { updateInterval: minutes * 60 * 1000 });
+        scheduleGuild(ctx.client, ctx.guild.id);
+
+        await ctx.reply(ctx.t('settings.intervalSet', { minutes }));
+    }
+};
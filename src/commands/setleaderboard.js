@@ -0,0 +1,30 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { updateGuildSettings } = require('../guilds');
+const { PERMISSIONS } = require('../permissions');
+const { getStatLabel } = require('../stats');
+const { STAT_CHOICES } = require('../commandOptions');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('setleaderboard')
+        .setDescription('Choose the stat ranked in the weekly leaderboard post')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addStringOption(option => option
+            .setName('stat')
+            .setDescription('Stat to rank by, or Off to disable the weekly post')
+            .setRequired(true)
+            .addChoices(...STAT_CHOICES, { name: 'Off', value: 'off' })),
+
+    permission: PERMISSIONS.ADMIN,
+
+    async execute(ctx) {
+        const stat = ctx.getOption('stat');
+        updateGuildSettings(ctx.guild.id, { weeklyLeaderboardStat: stat });
+
+        if (stat === 'off') {
+            return ctx.reply(ctx.t('settings.leaderboardOff'));
+        }
+        await ctx.reply(ctx.t('settings.leaderboardSet', { stat: getStatLabel(stat, ctx.locale) }));
+    }
+};
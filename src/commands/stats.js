@@ -0,0 +1,96 @@
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { fetchPlayerStats, resolveTrackerUrl, searchPlayers, findPlayerById } = require('../api');
+const { findTrackedPlayer } = require('../players');
+const { getLinkedPlayer } = require('../links');
+const { parseUserMention, getNotLinkedReply } = require('../resolver');
+const { pickPlayer } = require('../playerPicker');
+const { createStatsEmbed } = require('../embeds');
+const { addPlatformOption, autocompleteTrackedPlayers } = require('../commandOptions');
+
+/**
+ * Finds the player for a name, ID or tracker.gg URL, asking the user to choose
+ * when a name matches on several platforms
+ * @param {CommandContext} ctx - Command context
+ * @param {string} query - Name, personaId or tracker.gg URL
+ * @param {string|null} platform - Only look on this platform
+ * @returns {Promise<{player: Object|null, interaction: StringSelectMenuInteraction|null, timedOut: boolean}>}
+ *          The player (null if not found), the menu interaction if one was used, and whether the menu timed out
+ */
+async function lookUpPlayer(ctx, query, platform) {
+    if (query.startsWith('http')) {
+        return { player: await resolveTrackerUrl(query), interaction: null, timedOut: false };
+    }
+    if (/^\d+$/.test(query)) {
+        return { player: await findPlayerById(query, platform), interaction: null, timedOut: false };
+    }
+
+    if (platform) {
+        return { player: { name: query, platform, personaId: null }, interaction: null, timedOut: false };
+    }
+
+    const matches = await searchPlayers(query);
+    if (matches.length <= 1) {
+        return { player: matches[0] || null, interaction: null, timedOut: false };
+    }
+
+    const picked = await pickPlayer(ctx, matches, ctx.t('statsCommand.pickPlatform', { query, count: matches.length }));
+    return picked ? { ...picked, timedOut: false } : { player: null, interaction: null, timedOut: true };
+}
+
+module.exports = {
+    data: addPlatformOption(new SlashCommandBuilder()
+        .setName('stats')
+        .setDescription('Look up any player\'s current stats (without tracking them)')
+        .setContexts(InteractionContextType.Guild)
+        .addStringOption(option => option
+            .setName('player')
+            .setDescription('Name, player ID, tracker.gg URL or @member (default: your linked account)')
+            .setAutocomplete(true)), 'Only look on this platform'),
+
+    autocomplete: autocompleteTrackedPlayers,
+
+    async execute(ctx) {
+        const query = ctx.getOption('player');
+        const platform = ctx.getOption('platform');
+
+        // No player or an @mention: use the linked account
+        const userId = query ? parseUserMention(query) : ctx.user.id;
+        let player = userId
+            ? getLinkedPlayer(userId, platform)
+            : findTrackedPlayer(ctx.guild.id, query.trim());
+
+        if (!player && userId) {
+            return ctx.reply(getNotLinkedReply(ctx, userId, platform));
+        }
+        if (player && platform && player.platform !== platform) {
+            player = null;
+        }
+
+        // Replies go to the select menu message once the user picked a player there
+        let reply = payload => ctx.reply(payload);
+
+        await ctx.defer(ctx.t('common.lookingUp', { name: player ? player.name : query }));
+
+        if (!player) {
+            const lookup = await lookUpPlayer(ctx, query.trim(), platform);
+            if (lookup.timedOut) {
+                // The select menu already says that no player was chosen
+                return;
+            }
+            if (!lookup.player) {
+                return ctx.reply(ctx.t('statsCommand.notFound', { query }));
+            }
+            if (lookup.interaction) {
+                reply = payload => lookup.interaction.editReply({ content: '', components: [], ...payload });
+            }
+            player = lookup.player;
+        }
+
+        const stats = await fetchPlayerStats(player.name, player.platform, player.personaId);
+        if (!stats) {
+            return reply({ content: ctx.t('common.fetchFailed', { name: `${player.name} (${player.platform.toUpperCase()})` }) });
+        }
+
+        await reply({ embeds: [createStatsEmbed(stats, player.name, player.platform, null, ctx.guild.id)] });
+    }
+};
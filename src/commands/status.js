@@ -0,0 +1,126 @@
+const { SlashCommandBuilder, EmbedBuilder, InteractionContextType } = require('discord.js');
+const history = require('../history');
+const status = require('../status');
+const { getApiMetrics } = require('../api');
+const { getProblems } = require('../alerts');
+const { getGuildSettings } = require('../guilds');
+const { getTrackedPlayers, getPlayerKey } = require('../players');
+const { getNextPoll } = require('../scheduler');
+const { formatDuration } = require('../stats');
+const { formatNumber } = require('../i18n');
+
+/**
+ * Formats a time as a Discord relative timestamp
+ * @param {CommandContext} ctx - Command context
+ * @param {Date|string|null} time - Time
+ * @returns {string} e.g. "<t:1700000000:R>", or "never"
+ */
+function formatTime(ctx, time) {
+    return time ? `<t:${Math.floor(new Date(time).getTime() / 1000)}:R>` : ctx.t('status.never');
+}
+
+/**
+ * Builds a status line for each tracked player
+ * @param {CommandContext} ctx - Command context
+ * @returns {Array<string>} One line per player
+ */
+function buildPlayerLines(ctx) {
+    const guildId = ctx.guild.id;
+    const snapshotsByKey = history.getSnapshotsByKey(guildId);
+
+    return getTrackedPlayers(guildId).map(player => {
+        const playerKey = getPlayerKey(player);
+        const result = status.getPlayerResult(history.getPostKey(guildId, playerKey));
+
+        // Results are only kept since the bot started; older successes come from the stats history
+        const snapshots = snapshotsByKey.get(playerKey) || [];
+        const lastSuccess = result.lastSuccessAt || (snapshots.length > 0 ? snapshots[snapshots.length - 1].timestamp : null);
+
+        const parts = [`✅ ${formatTime(ctx, lastSuccess)}`];
+        if (result.lastFailureAt) {
+            parts.push(`❌ ${formatTime(ctx, result.lastFailureAt)}`);
+        }
+        const nextPoll = getNextPoll(guildId, player);
+        parts.push(`⏭️ ${nextPoll ? formatTime(ctx, nextPoll) : ctx.t('status.soon')}`);
+        if (player.failures) {
+            parts.push(ctx.t('status.failedInARow', { count: player.failures }));
+        }
+        return `${player.unreachable ? '⚠️' : '•'} **${player.name}** (${player.platform.toUpperCase()}) — ${parts.join(' • ')}`;
+    });
+}
+
+/**
+ * Creates an embed with the bot's health in a guild
+ * @param {CommandContext} ctx - Command context
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createStatusEmbed(ctx) {
+    const guildId = ctx.guild.id;
+    const { locale } = ctx;
+    const cycle = status.getCycleStatus(guildId);
+    const metrics = getApiMetrics();
+    const problems = getProblems(guildId);
+    const { alertChannelId } = getGuildSettings(guildId);
+
+    const embed = new EmbedBuilder()
+        .setTitle(ctx.t('status.title'))
+        .setColor(problems.length > 0 ? 0xFF0000 : 0x00FF00)
+        .setTimestamp();
+
+    const lastCycle = cycle.lastFinishedAt
+        ? ctx.t('status.lastCycle', {
+            time: formatTime(ctx, cycle.lastFinishedAt),
+            duration: formatDuration(cycle.lastDuration / 1000, locale),
+            fetched: cycle.fetched,
+            failed: cycle.failed,
+            posted: cycle.posted
+        })
+        : ctx.t('status.noCycle');
+    const errors = Object.entries(metrics.errors).map(([kind, count]) => `${kind}: ${count}`).join(', ');
+    const latency = metrics.averageLatency !== null
+        ? ctx.t('status.milliseconds', { value: formatNumber(locale, metrics.averageLatency) })
+        : ctx.t('common.notAvailable');
+
+    embed.addFields(
+        { name: ctx.t('status.uptime'), value: formatDuration(status.getUptime(), locale), inline: true },
+        { name: ctx.t('status.lastCycleTitle'), value: lastCycle, inline: true },
+        { name: ctx.t('status.nextUpdate'), value: cycle.nextAt ? formatTime(ctx, cycle.nextAt) : ctx.t('status.notScheduled'), inline: true },
+        {
+            name: ctx.t('status.api'),
+            value: [
+                ctx.t(errors ? 'status.requestsWithErrors' : 'status.requests', { requests: metrics.requests, failures: metrics.failures, errors }),
+                ctx.t('status.latency', { value: latency }),
+                ...(metrics.lastFailure
+                    ? [ctx.t('status.lastFailure', { time: formatTime(ctx, metrics.lastFailure.at), error: metrics.lastFailure.message })]
+                    : [])
+            ].join('\n').slice(0, 1024),
+            inline: false
+        },
+        {
+            name: ctx.t('status.alerts'),
+            value: [
+                alertChannelId ? ctx.t('status.alertChannel', { channel: `<#${alertChannelId}>` }) : ctx.t('status.noAlertChannel'),
+                ...problems.map(p => ctx.t(p.alerted ? 'status.problemAlerted' : 'status.problem', { message: ctx.t(p.key, p.vars), cycles: p.cycles }))
+            ].join('\n').slice(0, 1024),
+            inline: false
+        }
+    );
+
+    const lines = buildPlayerLines(ctx);
+    embed.setDescription(lines.length > 0
+        ? `${ctx.t('status.players')}\n${lines.join('\n')}`.slice(0, 4096)
+        : ctx.t('status.noPlayers'));
+
+    return embed;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('status')
+        .setDescription('Show the bot\'s health: update cycles, API errors and each player\'s last update')
+        .setContexts(InteractionContextType.Guild),
+
+    async execute(ctx) {
+        await ctx.reply({ embeds: [createStatusEmbed(ctx)], allowedMentions: { parse: [] } });
+    }
+};
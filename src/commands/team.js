@@ -0,0 +1,203 @@
+const { SlashCommandBuilder, EmbedBuilder, InteractionContextType } = require('discord.js');
+const {
+    findTrackedPlayer, getTeams, findTeam, createTeam, deleteTeam,
+    addTeamMember, removeTeamMember, getTeamPlayers
+} = require('../players');
+const { PERIODS } = require('../leaderboard');
+const { createTeamStatsEmbed, createTeamLeaderboardEmbed } = require('../teams');
+const { STAT_CHOICES, autocompleteTrackedPlayers } = require('../commandOptions');
+const { checkPermission, PERMISSIONS } = require('../permissions');
+
+// Longest allowed team name
+const MAX_NAME_LENGTH = 32;
+
+// Subcommands that change teams; the others are open to everyone
+const MANAGE_SUBCOMMANDS = ['create', 'delete', 'add', 'remove'];
+
+const PERIOD_CHOICES = Object.entries(PERIODS).map(([value, period]) => ({ name: period.label, value }));
+
+/**
+ * Adds a "team" option with autocomplete to a subcommand builder
+ * @param {SlashCommandSubcommandBuilder} subcommand - Subcommand builder
+ * @param {string} name - Option name
+ * @returns {SlashCommandSubcommandBuilder} The builder
+ */
+function addTeamOption(subcommand, name = 'team') {
+    return subcommand.addStringOption(option => option
+        .setName(name)
+        .setDescription('Team name')
+        .setRequired(true)
+        .setAutocomplete(true));
+}
+
+/**
+ * Adds a tracked "player" option with autocomplete to a subcommand builder
+ * @param {SlashCommandSubcommandBuilder} subcommand - Subcommand builder
+ * @returns {SlashCommandSubcommandBuilder} The builder
+ */
+function addPlayerOption(subcommand) {
+    return subcommand.addStringOption(option => option
+        .setName('player')
+        .setDescription('Tracked player ID or name')
+        .setRequired(true)
+        .setAutocomplete(true));
+}
+
+/**
+ * Creates an embed listing a guild's teams and their players
+ * @param {CommandContext} ctx - Command context
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createTeamListEmbed(ctx) {
+    const guildId = ctx.guild.id;
+    const embed = new EmbedBuilder()
+        .setTitle(ctx.t('teams.listTitle'))
+        .setColor(0x5865F2)
+        .setTimestamp();
+
+    // Discord limit is 25 fields
+    for (const team of getTeams(guildId).slice(0, 25)) {
+        const players = getTeamPlayers(guildId, team);
+        embed.addFields({
+            name: `${team.name} (${players.length})`,
+            value: players.map(p => `${p.name} (${p.platform.toUpperCase()})`).join(', ').slice(0, 1024) || ctx.t('teams.noPlayersYet'),
+            inline: false
+        });
+    }
+
+    return embed;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('team')
+        .setDescription('Group tracked players into teams and compare them')
+        .setContexts(InteractionContextType.Guild)
+        .addSubcommand(subcommand => subcommand
+            .setName('create')
+            .setDescription('Create a team')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Team name')
+                .setRequired(true)
+                .setMaxLength(MAX_NAME_LENGTH)))
+        .addSubcommand(subcommand => addTeamOption(subcommand
+            .setName('delete')
+            .setDescription('Delete a team (its players stay tracked)'), 'name'))
+        .addSubcommand(subcommand => addPlayerOption(addTeamOption(subcommand
+            .setName('add')
+            .setDescription('Put a tracked player in a team'))))
+        .addSubcommand(subcommand => addPlayerOption(addTeamOption(subcommand
+            .setName('remove')
+            .setDescription('Take a player out of a team'))))
+        .addSubcommand(subcommand => addTeamOption(subcommand
+            .setName('stats')
+            .setDescription('Show a team\'s combined and average stats'), 'name')
+            .addStringOption(option => option
+                .setName('period')
+                .setDescription('Lifetime stats or what was earned recently (default: all time)')
+                .addChoices(...PERIOD_CHOICES)))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('List all teams and their players'))
+        .addSubcommand(subcommand => subcommand
+            .setName('leaderboard')
+            .setDescription('Rank the teams by a stat')
+            .addStringOption(option => option
+                .setName('stat')
+                .setDescription('Stat to rank by')
+                .setRequired(true)
+                .addChoices(...STAT_CHOICES))
+            .addStringOption(option => option
+                .setName('period')
+                .setDescription('Rank lifetime stats or what was earned recently (default: all time)')
+                .addChoices(...PERIOD_CHOICES))),
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused(true);
+        if (focused.name === 'player') {
+            return autocompleteTrackedPlayers(interaction);
+        }
+
+        const query = focused.value.toLowerCase();
+        const choices = getTeams(interaction.guildId)
+            .filter(team => team.name.toLowerCase().includes(query))
+            .slice(0, 25)
+            .map(team => ({ name: team.name, value: team.name }));
+        await interaction.respond(choices);
+    },
+
+    async execute(ctx) {
+        const guildId = ctx.guild.id;
+        const { subcommand } = ctx;
+
+        if (MANAGE_SUBCOMMANDS.includes(subcommand)) {
+            const { allowed, reason } = checkPermission(ctx, PERMISSIONS.MANAGE_ROSTER);
+            if (!allowed) {
+                return ctx.reply({ content: reason, ephemeral: true, allowedMentions: { parse: [] } });
+            }
+        }
+
+        if (subcommand === 'create') {
+            const name = ctx.getOption('name').trim();
+            if (!name || name.length > MAX_NAME_LENGTH) {
+                return ctx.reply(ctx.t('teams.invalidName', { max: MAX_NAME_LENGTH }));
+            }
+            if (!createTeam(guildId, name)) {
+                return ctx.reply(ctx.t('teams.exists', { name }));
+            }
+            return ctx.reply(ctx.t('teams.created', { name }));
+        }
+
+        if (subcommand === 'list') {
+            if (getTeams(guildId).length === 0) {
+                return ctx.reply(ctx.t('teams.noTeams'));
+            }
+            return ctx.reply({ embeds: [createTeamListEmbed(ctx)] });
+        }
+
+        if (subcommand === 'leaderboard') {
+            if (getTeams(guildId).length === 0) {
+                return ctx.reply(ctx.t('teams.noTeams'));
+            }
+            const embed = createTeamLeaderboardEmbed(guildId, ctx.getOption('stat'), ctx.getOption('period') || 'all');
+            return ctx.reply({ embeds: [embed] });
+        }
+
+        const teamName = ctx.getOption('team') || ctx.getOption('name');
+        const team = findTeam(guildId, teamName);
+        if (!team) {
+            return ctx.reply(ctx.t('teams.notFound', { name: teamName }));
+        }
+
+        if (subcommand === 'delete') {
+            deleteTeam(guildId, team.name);
+            return ctx.reply(ctx.t('teams.deleted', { name: team.name }));
+        }
+
+        if (subcommand === 'stats') {
+            return ctx.reply({ embeds: [createTeamStatsEmbed(guildId, team, ctx.getOption('period') || 'all')] });
+        }
+
+        const query = ctx.getOption('player');
+        const player = findTrackedPlayer(guildId, query);
+        if (!player) {
+            return ctx.reply(ctx.t('common.notTracked', { query }));
+        }
+
+        if (subcommand === 'add') {
+            if (getTeamPlayers(guildId, team).includes(player)) {
+                return ctx.reply(ctx.t('teams.alreadyMember', { player: player.name, team: team.name }));
+            }
+            const previous = addTeamMember(guildId, team, player);
+            return ctx.reply(previous
+                ? ctx.t('teams.moved', { player: player.name, previous: previous.name, team: team.name })
+                : ctx.t('teams.added', { player: player.name, team: team.name }));
+        }
+
+        if (!removeTeamMember(guildId, team, player)) {
+            return ctx.reply(ctx.t('teams.notMember', { player: player.name, team: team.name }));
+        }
+        await ctx.reply(ctx.t('teams.removed', { player: player.name, team: team.name }));
+    }
+};
@@ -0,0 +1,156 @@
+const { SlashCommandBuilder, EmbedBuilder, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { PERMISSIONS } = require('../permissions');
+const { STATS, getStatLabel } = require('../stats');
+const { createStatsEmbed } = require('../embeds');
+const { PLATFORM_CHOICES } = require('../commandOptions');
+const {
+    LAYOUTS, getEmbedTemplate, updateEmbedTemplate, resetEmbedTemplate, parseColor, formatColor, parseFieldList
+} = require('../embedTemplates');
+
+// Made-up stats for the preview card
+const PREVIEW_STATS = {
+    kills: 12345,
+    deaths: 9876,
+    kdRatio: 1.25,
+    score: 4567890,
+    wins: 321,
+    losses: 234,
+    winPercent: 57.8,
+    killsPerMinute: 0.92,
+    scorePerMinute: 412.5,
+    timePlayed: 812345,
+    rank: 87
+};
+
+/**
+ * Creates an embed with a guild's template settings
+ * @param {CommandContext} ctx - Command context
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createTemplateEmbed(ctx) {
+    const template = getEmbedTemplate(ctx.guild.id);
+    const platformColors = PLATFORM_CHOICES
+        .filter(choice => typeof template.platformColors[choice.value] === 'number')
+        .map(choice => `${choice.name}: ${formatColor(template.platformColors[choice.value])}`);
+
+    return new EmbedBuilder()
+        .setTitle(ctx.t('template.title'))
+        .setColor(template.color)
+        .addFields(
+            {
+                name: ctx.t('template.fields'),
+                value: template.fields.map(stat => `${STATS[stat].emoji} ${getStatLabel(stat, ctx.locale)}`).join('\n'),
+                inline: true
+            },
+            { name: ctx.t('template.color'), value: formatColor(template.color), inline: true },
+            { name: ctx.t('template.platformColors'), value: platformColors.join('\n') || ctx.t('common.none'), inline: true },
+            { name: ctx.t('template.layout'), value: ctx.t(`template.layouts.${template.layout}`), inline: true }
+        )
+        .setFooter({ text: ctx.t('template.footer') });
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('template')
+        .setDescription('Choose which stats the stats cards show, their color and layout')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand => subcommand
+            .setName('show')
+            .setDescription('Show the current template with a preview card'))
+        .addSubcommand(subcommand => subcommand
+            .setName('fields')
+            .setDescription('Choose the stats shown on the cards, in order')
+            .addStringOption(option => option
+                .setName('stats')
+                .setDescription('Comma-separated stats, e.g. "kills, K/D Ratio, wins", or "default"')
+                .setRequired(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('color')
+            .setDescription('Set the card color, for all cards or one platform')
+            .addStringOption(option => option
+                .setName('color')
+                .setDescription('Hex color, e.g. #FF4500, or "default"')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('platform')
+                .setDescription('Only use this color for players on this platform')
+                .addChoices(...PLATFORM_CHOICES)))
+        .addSubcommand(subcommand => subcommand
+            .setName('layout')
+            .setDescription('Show one field per stat, or a compact list')
+            .addStringOption(option => option
+                .setName('layout')
+                .setDescription('Card layout')
+                .setRequired(true)
+                .addChoices(...LAYOUTS.map(layout => ({ name: layout[0].toUpperCase() + layout.slice(1), value: layout })))))
+        .addSubcommand(subcommand => subcommand
+            .setName('reset')
+            .setDescription('Go back to the default stats, color and layout')),
+
+    permission: PERMISSIONS.ADMIN,
+
+    async execute(ctx) {
+        const guildId = ctx.guild.id;
+
+        if (ctx.subcommand === 'fields') {
+            const input = ctx.getOption('stats').trim();
+            if (input.toLowerCase() === 'default') {
+                updateEmbedTemplate(guildId, { fields: null });
+                return ctx.reply(ctx.t('template.fieldsReset'));
+            }
+            const { fields, unknown } = parseFieldList(input, ctx.locale);
+            if (unknown.length > 0 || fields.length === 0) {
+                return ctx.reply(ctx.t('template.unknownFields', {
+                    fields: unknown.map(entry => `"${entry}"`).join(', ') || `"${input}"`,
+                    stats: Object.keys(STATS).map(stat => `\`${stat}\``).join(', ')
+                }));
+            }
+            updateEmbedTemplate(guildId, { fields });
+            return ctx.reply(ctx.t('template.fieldsSet', {
+                fields: fields.map(stat => getStatLabel(stat, ctx.locale)).join(', ')
+            }));
+        }
+
+        if (ctx.subcommand === 'color') {
+            const input = ctx.getOption('color').trim();
+            const platform = ctx.getOption('platform');
+            const color = input.toLowerCase() === 'default' ? null : parseColor(input);
+            if (color === null && input.toLowerCase() !== 'default') {
+                return ctx.reply(ctx.t('template.invalidColor', { color: input }));
+            }
+
+            if (!platform) {
+                updateEmbedTemplate(guildId, { color });
+                return ctx.reply(color === null
+                    ? ctx.t('template.colorReset')
+                    : ctx.t('template.colorSet', { color: formatColor(color) }));
+            }
+
+            const platformColors = { ...getEmbedTemplate(guildId).platformColors };
+            if (color === null) {
+                delete platformColors[platform];
+            } else {
+                platformColors[platform] = color;
+            }
+            updateEmbedTemplate(guildId, { platformColors });
+            return ctx.reply(color === null
+                ? ctx.t('template.platformColorReset', { platform: platform.toUpperCase() })
+                : ctx.t('template.platformColorSet', { platform: platform.toUpperCase(), color: formatColor(color) }));
+        }
+
+        if (ctx.subcommand === 'layout') {
+            const layout = ctx.getOption('layout');
+            updateEmbedTemplate(guildId, { layout });
+            return ctx.reply(ctx.t('template.layoutSet', { layout: ctx.t(`template.layouts.${layout}`) }));
+        }
+
+        if (ctx.subcommand === 'reset') {
+            resetEmbedTemplate(guildId);
+            return ctx.reply(ctx.t('template.reset'));
+        }
+
+        const preview = createStatsEmbed(PREVIEW_STATS, ctx.t('template.previewPlayer'), 'pc', null, guildId);
+        await ctx.reply({ embeds: [createTemplateEmbed(ctx), preview] });
+    }
+};
@@ -0,0 +1,39 @@
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { getTrackedPlayers } = require('../players');
+const { trackPlayerById } = require('../roster');
+const { createTrackedEmbed } = require('../embeds');
+const { addPlatformOption } = require('../commandOptions');
+const { PERMISSIONS } = require('../permissions');
+
+module.exports = {
+    data: addPlatformOption(new SlashCommandBuilder()
+        .setName('track')
+        .setDescription('Add a player to tracking using their player ID')
+        .setContexts(InteractionContextType.Guild)
+        .addStringOption(option => option
+            .setName('id')
+            .setDescription('Player ID (use /search to find it)')
+            .setRequired(true)), 'Only look on this platform'),
+
+    permission: PERMISSIONS.MANAGE_ROSTER,
+
+    async execute(ctx) {
+        const playerId = ctx.getOption('id');
+        const platform = ctx.getOption('platform');
+
+        await ctx.defer();
+
+        // Search for the player with this ID
+        const { player: foundPlayer, added } = await trackPlayerById(ctx.guild.id, playerId, platform);
+
+        if (!foundPlayer) {
+            return ctx.reply(ctx.t('track.notFound', { id: playerId }));
+        }
+
+        if (!added) {
+            return ctx.reply(ctx.t('common.alreadyTracked', { player: `**${foundPlayer.name}** (${foundPlayer.platform.toUpperCase()})` }));
+        }
+
+        await ctx.reply({ embeds: [createTrackedEmbed(foundPlayer, getTrackedPlayers(ctx.guild.id).length, ctx.locale)] });
+    }
+};
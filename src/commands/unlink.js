@@ -0,0 +1,38 @@
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { unlinkAccount, getLinkedAccounts, getLinkedPlayer } = require('../links');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('unlink')
+        .setDescription('Unlink one of your BF6 accounts from your Discord account')
+        .setContexts(InteractionContextType.Guild)
+        .addStringOption(option => option
+            .setName('player')
+            .setDescription('Linked player ID or name')
+            .setRequired(true)
+            .setAutocomplete(true)),
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = getLinkedAccounts(interaction.user.id)
+            .filter(p => p.name.toLowerCase().includes(focused))
+            .map(p => ({ name: `${p.name} (${p.platform.toUpperCase()})`, value: p.personaId || p.name }));
+        await interaction.respond(choices);
+    },
+
+    async execute(ctx) {
+        const query = ctx.getOption('player');
+        const removed = unlinkAccount(ctx.user.id, query);
+
+        if (!removed) {
+            return ctx.reply(ctx.t('links.notLinked', { query }));
+        }
+
+        const primary = getLinkedPlayer(ctx.user.id);
+        let message = ctx.t('links.unlinked', { name: removed.name, platform: removed.platform.toUpperCase() });
+        if (primary) {
+            message += `\n${ctx.t('links.primaryIs', { name: primary.name, platform: primary.platform.toUpperCase() })}`;
+        }
+        await ctx.reply(message);
+    }
+};
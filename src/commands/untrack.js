@@ -0,0 +1,33 @@
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { untrackPlayer } = require('../roster');
+const { autocompleteTrackedPlayers } = require('../commandOptions');
+const { PERMISSIONS } = require('../permissions');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('untrack')
+        .setDescription('Remove a player from tracking')
+        .setContexts(InteractionContextType.Guild)
+        .addStringOption(option => option
+            .setName('player')
+            .setDescription('Tracked player ID or name')
+            .setRequired(true)
+            .setAutocomplete(true)),
+
+    autocomplete: autocompleteTrackedPlayers,
+
+    permission: PERMISSIONS.MANAGE_ROSTER,
+
+    async execute(ctx) {
+        const playerId = ctx.getOption('player');
+
+        // Also forgets the player's cached stats and session in progress
+        const removedPlayer = untrackPlayer(ctx.guild.id, playerId);
+
+        if (!removedPlayer) {
+            return ctx.reply(ctx.t('untrack.notTracked', { id: playerId }));
+        }
+
+        await ctx.reply(ctx.t('untrack.removed', { name: removedPlayer.name, platform: removedPlayer.platform.toUpperCase() }));
+    }
+};
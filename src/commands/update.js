@@ -0,0 +1,26 @@
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { getStatsChannel } = require('../tracker');
+const { updateAllPlayers } = require('../scheduler');
+const { PERMISSIONS } = require('../permissions');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('update')
+        .setDescription('Manually trigger a stats update')
+        .setContexts(InteractionContextType.Guild),
+
+    aliases: ['bf6update'],
+
+    permission: PERMISSIONS.MANAGE_ROSTER,
+
+    async execute(ctx) {
+        if (!getStatsChannel(ctx.client, ctx.guild.id)) {
+            return ctx.reply(ctx.t('common.noStatsChannel'));
+        }
+
+        await ctx.defer(ctx.t('update.updating'));
+        // Waits for a scheduled update that is already running instead of overlapping it
+        await updateAllPlayers(ctx.client, ctx.guild.id);
+        await ctx.reply(ctx.t('update.done'));
+    }
+};
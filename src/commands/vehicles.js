@@ -0,0 +1,3 @@
+const createBreakdownCommand = require('./breakdown');
+
+module.exports = createBreakdownCommand('vehicles', 'vehicles');
@@ -0,0 +1,107 @@
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Reads a whole number that can't be negative from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when the variable is unset
+ * @returns {number} Value
+ * @throws {Error} If the variable is set to something else
+ */
+function readCount(name, fallback) {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === '') {
+        return fallback;
+    }
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${name} must be a whole number of 0 or more (got "${raw}")`);
+    }
+    return value;
+}
+
+// Configuration
+const CONFIG = {
+    // Discord bot token
+    TOKEN: process.env.DISCORD_BOT_TOKEN,
+    // Application (client) ID, used to register slash commands
+    CLIENT_ID: process.env.CLIENT_ID,
+    // Guild ID to register slash commands to (registers globally when unset)
+    GUILD_ID: process.env.GUILD_ID,
+    // Also accept legacy "!" prefix commands (requires the privileged Message Content intent)
+    ENABLE_PREFIX_COMMANDS: process.env.ENABLE_PREFIX_COMMANDS === 'true',
+    // Channel ID stats were posted to before per-guild channels (used to migrate old setups)
+    CHANNEL_ID: process.env.CHANNEL_ID,
+    // Default update interval in milliseconds (default: 1 hour = 3600000ms), overridable per guild
+    UPDATE_INTERVAL: parseInt(process.env.UPDATE_INTERVAL || '3600000'),
+    // Most times longer than the update interval a player without new stats waits between polls (1 = no backoff)
+    MAX_POLL_BACKOFF: parseInt(process.env.MAX_POLL_BACKOFF || '4'),
+    // Time without stat changes in milliseconds after which a play session is over (default: 30 minutes), overridable per guild
+    SESSION_IDLE_TIMEOUT: parseInt(process.env.SESSION_IDLE_TIMEOUT || '1800000'),
+    // API base URL (overridable, e.g. to point at a local mock server)
+    API_BASE_URL: process.env.API_BASE_URL || 'https://api.gametools.network/bf6/stats',
+    // API request timeout in milliseconds
+    API_TIMEOUT: parseInt(process.env.API_TIMEOUT || '10000'),
+    // Retries after a failed API request (network errors, timeouts, 5xx, 429)
+    API_MAX_RETRIES: parseInt(process.env.API_MAX_RETRIES || '3'),
+    // Most API requests in flight at once
+    API_CONCURRENCY: parseInt(process.env.API_CONCURRENCY || '2'),
+    // Least time between two API requests in milliseconds
+    API_MIN_INTERVAL: parseInt(process.env.API_MIN_INTERVAL || '500'),
+    // How long API responses are reused in milliseconds (0 disables the cache)
+    API_CACHE_TTL: parseInt(process.env.API_CACHE_TTL || '60000'),
+    // Consecutive failed fetches before a tracked player is flagged as unreachable
+    UNREACHABLE_AFTER: parseInt(process.env.UNREACHABLE_AFTER || '5'),
+    // Least important log level written: debug, info, warn or error
+    LOG_LEVEL: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+    // Log output: 'text' (readable lines) or 'json' (one JSON object per line)
+    LOG_FORMAT: (process.env.LOG_FORMAT || 'text').toLowerCase(),
+    // Update cycles a problem (missing channel, API down, ...) must last before admins are alerted
+    ALERT_AFTER_CYCLES: parseInt(process.env.ALERT_AFTER_CYCLES || '3'),
+    // Port of the HTTP API and web dashboard (0 = disabled)
+    HTTP_PORT: parseInt(process.env.HTTP_PORT || '0'),
+    // Address the HTTP server listens on (default: only this machine)
+    HTTP_HOST: process.env.HTTP_HOST || '127.0.0.1',
+    // Bearer token required by the HTTP API's write endpoints (they are disabled when unset)
+    HTTP_API_TOKEN: process.env.HTTP_API_TOKEN || '',
+    // Origin allowed to call the HTTP API from other websites (Access-Control-Allow-Origin, off when unset)
+    HTTP_CORS_ORIGIN: process.env.HTTP_CORS_ORIGIN || '',
+    // Language of replies and posts in guilds that haven't chosen one with /language: en, de or fr
+    DEFAULT_LOCALE: (process.env.DEFAULT_LOCALE || 'en').toLowerCase(),
+    // Supported platforms
+    PLATFORMS: ['pc', 'xbox', 'psn'],
+    // Where data is stored: 'json' (one file per kind of data) or 'sqlite' (needs better-sqlite3)
+    STORAGE_BACKEND: (process.env.STORAGE_BACKEND || 'json').toLowerCase(),
+    // SQLite database file (STORAGE_BACKEND=sqlite)
+    DATABASE_FILE: process.env.DATABASE_FILE || path.join(__dirname, '..', 'bf6tracker.db'),
+    // Directory for automatic backups of stored data
+    BACKUP_DIR: process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups'),
+    // Least time between two backups of the same data in milliseconds (default: 1 hour)
+    BACKUP_INTERVAL: parseInt(process.env.BACKUP_INTERVAL || '3600000'),
+    // Backups kept per kind of data (0 = no backups)
+    BACKUP_COUNT: readCount('BACKUP_COUNT', 24),
+    // Days of stats history kept; older snapshots are pruned except each player's latest (0 = keep everything)
+    HISTORY_RETENTION_DAYS: readCount('HISTORY_RETENTION_DAYS', 365),
+    // File to store tracked players
+    PLAYERS_FILE: path.join(__dirname, '..', 'trackedPlayers.json'),
+    // File to store per-guild settings (post channel, update interval)
+    GUILD_SETTINGS_FILE: path.join(__dirname, '..', 'guildSettings.json'),
+    // Milestone definitions (editable)
+    MILESTONES_FILE: path.join(__dirname, '..', 'milestones.json'),
+    // File recording which milestones were already announced
+    MILESTONE_RECORDS_FILE: path.join(__dirname, '..', 'announcedMilestones.json'),
+    // File linking Discord users to their BF6 accounts
+    LINKS_FILE: path.join(__dirname, '..', 'accountLinks.json'),
+    // File storing the members' personal stat goals
+    GOALS_FILE: path.join(__dirname, '..', 'goals.json'),
+    // File storing the server challenges in progress
+    CHALLENGES_FILE: path.join(__dirname, '..', 'challenges.json'),
+    // Append-only file storing a snapshot of every stats fetch
+    HISTORY_FILE: path.join(__dirname, '..', 'statsHistory.jsonl'),
+    // File storing the play sessions in progress
+    OPEN_SESSIONS_FILE: path.join(__dirname, '..', 'openSessions.json'),
+    // Append-only file storing a recap of every finished play session
+    SESSIONS_FILE: path.join(__dirname, '..', 'sessions.jsonl')
+};
+
+module.exports = CONFIG;
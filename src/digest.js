@@ -0,0 +1,98 @@
+const history = require('./history');
+const { getTrackedPlayers, getPlayerKey } = require('./players');
+const { getGuildSettings, updateGuildSettings } = require('./guilds');
+const { getStatsChannel, getLastPostedStats, markPosted, statsChanged } = require('./tracker');
+const { meetsThresholds, getLocalTime } = require('./postingPolicy');
+const { createDigestEmbed } = require('./embeds');
+const { getLocale } = require('./i18n');
+const { createLogger } = require('./logger');
+
+const log = createLogger('digest');
+
+// How often to check whether a digest is due
+const DIGEST_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// Guild ID -> local date on which its missing stats channel was last logged
+const missingChannelLogged = new Map();
+
+/**
+ * Posts a guild's digest: every player whose latest stats changed enough since they were last posted
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<number|null>} Number of players in the digest, or null if the stats channel wasn't found
+ */
+async function postDigest(client, guildId) {
+    const channel = getStatsChannel(client, guildId);
+    if (!channel) {
+        return null;
+    }
+
+    const settings = getGuildSettings(guildId);
+    const snapshotsByKey = history.getSnapshotsByKey(guildId);
+    const entries = [];
+    for (const player of getTrackedPlayers(guildId)) {
+        const snapshots = snapshotsByKey.get(getPlayerKey(player));
+        if (!snapshots || snapshots.length === 0) continue;
+
+        const { stats } = snapshots[snapshots.length - 1];
+        const previousStats = getLastPostedStats(guildId, player) || null;
+        if (statsChanged(previousStats, stats) && meetsThresholds(previousStats, stats, settings.postThresholds)) {
+            entries.push({ player, previousStats, stats });
+        }
+    }
+
+    if (entries.length === 0) {
+        log.info(`Nothing to put in the digest for guild ${guildId}.`);
+        return 0;
+    }
+
+    await channel.send({ embeds: [createDigestEmbed(entries, getLocalTime(settings.timezone).date, getLocale(guildId))] });
+    for (const { player, stats } of entries) {
+        markPosted(guildId, player, stats);
+    }
+    log.info(`Posted digest with ${entries.length} player(s) in guild ${guildId}`);
+    return entries.length;
+}
+
+/**
+ * Posts the digest in every digest-mode guild where it is due today
+ * @param {Client} client - Discord client
+ */
+async function postDueDigests(client) {
+    for (const guildId of client.guilds.cache.keys()) {
+        const settings = getGuildSettings(guildId);
+        if (settings.postMode !== 'digest' || !settings.channelId) continue;
+
+        const { date, hour } = getLocalTime(settings.timezone);
+        if (hour < settings.digestHour || settings.lastDigestDate === date) continue;
+
+        try {
+            // Without a channel the digest stays due and is posted once the channel is back
+            if (await postDigest(client, guildId) === null) {
+                if (missingChannelLogged.get(guildId) !== date) {
+                    missingChannelLogged.set(guildId, date);
+                    log.error(`Stats channel for guild ${guildId} not found, digest not posted!`);
+                }
+                continue;
+            }
+            missingChannelLogged.delete(guildId);
+            updateGuildSettings(guildId, { lastDigestDate: date });
+        } catch (error) {
+            log.error(`Error posting digest in guild ${guildId}`, { error: error.message });
+        }
+    }
+}
+
+/**
+ * Starts checking for due digests
+ * @param {Client} client - Discord client
+ */
+function startDigests(client) {
+    postDueDigests(client);
+    setInterval(() => postDueDigests(client), DIGEST_CHECK_INTERVAL);
+}
+
+module.exports = {
+    postDigest,
+    startDigests
+};
@@ -0,0 +1,123 @@
+const { STATS, getStatLabel } = require('./stats');
+const { getGuildSettings, updateGuildSettings } = require('./guilds');
+
+/**
+ * Per-guild look of the stats cards: which stats are shown and in what order,
+ * the embed color (optionally one per platform) and the layout. Stored in the
+ * guild settings as embedTemplate: { fields, color, platformColors, layout }
+ */
+
+// Stats shown on a card when the guild hasn't chosen any, in this order
+const DEFAULT_FIELDS = [
+    'kills', 'deaths', 'kdRatio', 'score', 'wins', 'losses',
+    'winPercent', 'killsPerMinute', 'timePlayed', 'rank', 'scorePerMinute'
+];
+
+const DEFAULT_COLOR = 0x0099FF;
+
+// 'full' shows one inline field per stat, 'compact' one line per stat in the description
+const LAYOUTS = ['full', 'compact'];
+
+/**
+ * Gets a guild's stats card template, filled in with defaults
+ * @param {string|null} guildId - Guild ID
+ * @returns {{fields: Array<string>, color: number, platformColors: Object, layout: string}} Template
+ */
+function getEmbedTemplate(guildId) {
+    const custom = guildId ? getGuildSettings(guildId).embedTemplate : {};
+    const fields = (custom.fields || DEFAULT_FIELDS).filter(stat => STATS[stat]);
+    return {
+        fields: fields.length > 0 ? fields : DEFAULT_FIELDS,
+        color: typeof custom.color === 'number' ? custom.color : DEFAULT_COLOR,
+        platformColors: custom.platformColors || {},
+        layout: LAYOUTS.includes(custom.layout) ? custom.layout : 'full'
+    };
+}
+
+/**
+ * Changes and saves some of a guild's template settings
+ * @param {string} guildId - Guild ID
+ * @param {Object} changes - Template settings to change, e.g. { layout: 'compact' }
+ * @returns {Object} The updated template, from getEmbedTemplate
+ */
+function updateEmbedTemplate(guildId, changes) {
+    const { embedTemplate } = getGuildSettings(guildId);
+    updateGuildSettings(guildId, { embedTemplate: { ...embedTemplate, ...changes } });
+    return getEmbedTemplate(guildId);
+}
+
+/**
+ * Restores a guild's default template
+ * @param {string} guildId - Guild ID
+ */
+function resetEmbedTemplate(guildId) {
+    updateGuildSettings(guildId, { embedTemplate: { fields: null, color: null, platformColors: {}, layout: 'full' } });
+}
+
+/**
+ * Gets the card color for a player's platform
+ * @param {Object} template - Template from getEmbedTemplate
+ * @param {string} platform - Platform name
+ * @returns {number} Color
+ */
+function getEmbedColor(template, platform) {
+    const color = template.platformColors[platform];
+    return typeof color === 'number' ? color : template.color;
+}
+
+/**
+ * Parses a hex color like "#FF4500" or "ff4500"
+ * @param {string} input - Color text
+ * @returns {number|null} Color, or null if the text is not a hex color
+ */
+function parseColor(input) {
+    const match = (input || '').trim().match(/^#?([0-9a-f]{6})$/i);
+    return match ? parseInt(match[1], 16) : null;
+}
+
+/**
+ * Formats a color as hex, e.g. "#0099FF"
+ * @param {number} color - Color
+ * @returns {string} Hex color
+ */
+function formatColor(color) {
+    return `#${color.toString(16).toUpperCase().padStart(6, '0')}`;
+}
+
+/**
+ * Parses a comma-separated list of stats, matched by key, English label or the label in a locale
+ * @param {string} input - e.g. "kills, K/D Ratio, wins"
+ * @param {string} [locale] - Locale code of the labels the user may type
+ * @returns {{fields: Array<string>, unknown: Array<string>}} Stat keys in order, and the entries that matched none
+ */
+function parseFieldList(input, locale) {
+    const fields = [];
+    const unknown = [];
+    for (const entry of (input || '').split(',').map(part => part.trim()).filter(Boolean)) {
+        const lower = entry.toLowerCase();
+        const stat = Object.keys(STATS).find(key =>
+            key.toLowerCase() === lower ||
+            STATS[key].label.toLowerCase() === lower ||
+            getStatLabel(key, locale).toLowerCase() === lower
+        );
+        if (!stat) {
+            unknown.push(entry);
+        } else if (!fields.includes(stat)) {
+            fields.push(stat);
+        }
+    }
+    return { fields, unknown };
+}
+
+module.exports = {
+    DEFAULT_FIELDS,
+    DEFAULT_COLOR,
+    LAYOUTS,
+    getEmbedTemplate,
+    updateEmbedTemplate,
+    resetEmbedTemplate,
+    getEmbedColor,
+    parseColor,
+    formatColor,
+    parseFieldList
+};
@@ -0,0 +1,302 @@
+const { EmbedBuilder } = require('discord.js');
+const { STATS, formatDuration, formatPercent, getStatLabel, formatStat } = require('./stats');
+const { getLocale, translate, formatNumber } = require('./i18n');
+const { getEmbedTemplate, getEmbedColor } = require('./embedTemplates');
+
+/**
+ * Describes what changed between two stats snapshots
+ * @param {Object} oldStats - Previously posted stats
+ * @param {Object} newStats - Current stats
+ * @param {string} [locale] - Locale code
+ * @returns {string|null} Summary like "+42 kills, +3 wins, K/D 1.21 → 1.24" or null if nothing changed
+ */
+function formatStatsDelta(oldStats, newStats, locale) {
+    if (!oldStats) return null;
+
+    const parts = [];
+    const hasBoth = field => typeof oldStats[field] === 'number' && typeof newStats[field] === 'number';
+
+    // Counters are shown as increments
+    for (const field of ['kills', 'deaths', 'wins', 'losses', 'score']) {
+        if (hasBoth(field) && newStats[field] !== oldStats[field]) {
+            const diff = newStats[field] - oldStats[field];
+            parts.push(translate(locale, `delta.${field}`, { value: `${diff > 0 ? '+' : ''}${formatNumber(locale, diff)}` }));
+        }
+    }
+    if (hasBoth('timePlayed') && newStats.timePlayed > oldStats.timePlayed) {
+        parts.push(translate(locale, 'delta.timePlayed', { duration: formatDuration(newStats.timePlayed - oldStats.timePlayed, locale) }));
+    }
+
+    // Ratios and levels are shown as before → after
+    const ratios = [
+        ['kdRatio', 2],
+        ['winPercent', 1],
+        ['killsPerMinute', 2],
+        ['scorePerMinute', 0],
+        ['rank', 0]
+    ];
+    for (const [field, digits] of ratios) {
+        if (hasBoth(field) && oldStats[field].toFixed(digits) !== newStats[field].toFixed(digits)) {
+            parts.push(`${translate(locale, `delta.${field}`)} ${formatNumber(locale, oldStats[field], digits)} → ${formatNumber(locale, newStats[field], digits)}`);
+        }
+    }
+
+    return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Creates a Discord embed with player statistics, laid out with the guild's
+ * template (stats shown, color, layout) and in the guild's locale
+ * @param {Object} stats - Player stats from API
+ * @param {string} playerName - Player's username
+ * @param {string} platform - Platform name
+ * @param {Object|null} previousStats - Last posted stats, used to show changes since then
+ * @param {string|null} guildId - Guild the card is for (null for the defaults)
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createStatsEmbed(stats, playerName, platform, previousStats = null, guildId = null) {
+    const locale = getLocale(guildId);
+    const template = getEmbedTemplate(guildId);
+
+    const embed = new EmbedBuilder()
+        .setTitle(translate(locale, 'statsCard.title', { name: playerName }))
+        .setColor(getEmbedColor(template, platform))
+        .setTimestamp()
+        .setFooter({ text: translate(locale, 'common.platform', { platform: platform.toUpperCase() }) });
+
+    const lines = [];
+
+    // Add player ID if available
+    if (stats.userName || stats.name) {
+        lines.push(translate(locale, 'statsCard.player', { name: stats.userName || stats.name }));
+    }
+
+    const shown = template.fields.filter(stat => typeof stats[stat] === 'number');
+    const delta = formatStatsDelta(previousStats, stats, locale);
+
+    if (template.layout === 'compact') {
+        if (delta) {
+            lines.push(`**${translate(locale, 'statsCard.sinceLastPost')}:** ${delta}`);
+        }
+        lines.push('', ...shown.map(stat => `${STATS[stat].emoji} **${getStatLabel(stat, locale)}:** ${formatStat(stat, stats[stat], locale)}`));
+    } else {
+        const fields = shown.map(stat => ({
+            name: `${STATS[stat].emoji} ${getStatLabel(stat, locale)}`,
+            value: formatStat(stat, stats[stat], locale),
+            inline: true
+        }));
+
+        // Show what happened since the last post first
+        if (delta) {
+            fields.unshift({ name: translate(locale, 'statsCard.sinceLastPost'), value: delta, inline: false });
+        }
+
+        // Add fields to embed (Discord limit is 25 fields)
+        embed.addFields(fields.slice(0, 25));
+    }
+
+    const description = lines.join('\n').trim();
+    if (description) {
+        embed.setDescription(description);
+    }
+
+    // Add thumbnail if available
+    if (stats.avatar) {
+        embed.setThumbnail(stats.avatar);
+    }
+
+    return embed;
+}
+
+/**
+ * Creates the confirmation embed shown after a player is added to tracking
+ * @param {Object} player - Player object with name, platform, and personaId
+ * @param {number} totalTracked - Number of tracked players after adding
+ * @param {string} [locale] - Locale code
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createTrackedEmbed(player, totalTracked, locale) {
+    return new EmbedBuilder()
+        .setTitle(translate(locale, 'trackedCard.title'))
+        .setDescription(`**${player.name}** (${player.platform.toUpperCase()})`)
+        .addFields(
+            { name: translate(locale, 'trackedCard.playerId'), value: player.personaId || translate(locale, 'common.notAvailable'), inline: true },
+            { name: translate(locale, 'trackedCard.platform'), value: player.platform.toUpperCase(), inline: true },
+            { name: translate(locale, 'trackedCard.totalTracked'), value: formatNumber(locale, totalTracked), inline: true }
+        )
+        .setColor(0x00FF00)
+        .setTimestamp();
+}
+
+/**
+ * Creates a Discord embed comparing two players side by side
+ * @param {Object} playerA - First player { name, platform }
+ * @param {Object} statsA - First player's stats from API
+ * @param {Object} playerB - Second player { name, platform }
+ * @param {Object} statsB - Second player's stats from API
+ * @param {string} [locale] - Locale code
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createCompareEmbed(playerA, statsA, playerB, statsB, locale) {
+    const labels = [];
+    const valuesA = [];
+    const valuesB = [];
+    let leadsA = 0;
+    let leadsB = 0;
+
+    for (const [stat, definition] of Object.entries(STATS)) {
+        const a = statsA[stat];
+        const b = statsB[stat];
+        if (typeof a !== 'number' && typeof b !== 'number') continue;
+
+        // Mark whoever leads this row (lower is better for deaths and losses)
+        let leader = null;
+        if (typeof a === 'number' && typeof b === 'number' && a !== b) {
+            const aBetter = definition.lowerIsBetter ? a < b : a > b;
+            leader = aBetter ? 'a' : 'b';
+            if (aBetter) leadsA++; else leadsB++;
+        }
+
+        labels.push(`${definition.emoji} ${getStatLabel(stat, locale)}`);
+        valuesA.push(`${formatStat(stat, a, locale)}${leader === 'a' ? ' 👑' : ''}`);
+        valuesB.push(`${formatStat(stat, b, locale)}${leader === 'b' ? ' 👑' : ''}`);
+    }
+
+    let verdict = translate(locale, 'compareCard.tie', { a: leadsA, b: leadsB });
+    if (leadsA !== leadsB) {
+        const winner = leadsA > leadsB ? playerA : playerB;
+        verdict = translate(locale, 'compareCard.leads', { name: winner.name, high: Math.max(leadsA, leadsB), low: Math.min(leadsA, leadsB) });
+    }
+
+    const none = translate(locale, 'common.notAvailable');
+    return new EmbedBuilder()
+        .setTitle(translate(locale, 'compareCard.title', { a: playerA.name, b: playerB.name }))
+        .setDescription(verdict)
+        .addFields(
+            { name: translate(locale, 'compareCard.stat'), value: labels.join('\n') || none, inline: true },
+            { name: `${playerA.name} (${playerA.platform.toUpperCase()})`, value: valuesA.join('\n') || none, inline: true },
+            { name: `${playerB.name} (${playerB.platform.toUpperCase()})`, value: valuesB.join('\n') || none, inline: true }
+        )
+        .setColor(0xFF4500)
+        .setTimestamp()
+        .setFooter({ text: translate(locale, 'compareCard.footer') });
+}
+
+/**
+ * Creates the daily digest embed summarizing every player's changes
+ * @param {Array<{player: Object, previousStats: Object|null, stats: Object}>} entries - Players that changed
+ * @param {string} date - Local date of the digest (YYYY-MM-DD)
+ * @param {string} [locale] - Locale code
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createDigestEmbed(entries, date, locale) {
+    // Discord limit is 4096 characters per description
+    const lines = [];
+    let length = 0;
+    for (const { player, previousStats, stats } of entries) {
+        const summary = formatStatsDelta(previousStats, stats, locale) || translate(locale, 'digest.firstUpdate', {
+            kills: formatStat('kills', stats.kills, locale),
+            kd: formatStat('kdRatio', stats.kdRatio, locale)
+        });
+        const line = `**${player.name}** (${player.platform.toUpperCase()}): ${summary}`;
+        if (length + line.length + 1 > 4000) {
+            lines.push(translate(locale, 'common.andMore', { count: entries.length - lines.length }));
+            break;
+        }
+        lines.push(line);
+        length += line.length + 1;
+    }
+
+    return new EmbedBuilder()
+        .setTitle(translate(locale, 'digest.title', { date }))
+        .setDescription(lines.join('\n'))
+        .setColor(0x0099FF)
+        .setTimestamp()
+        .setFooter({ text: translate(locale, 'digest.footer', { count: entries.length }) });
+}
+
+/**
+ * Creates the recap embed posted when a player's play session ends
+ * @param {Object} recap - Session recap from sessions.trackSession
+ * @param {string} [locale] - Locale code
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createSessionRecapEmbed(recap, locale) {
+    const games = recap.wins + recap.losses;
+    const field = stat => ({ name: `${STATS[stat].emoji} ${getStatLabel(stat, locale)}`, value: formatStat(stat, recap[stat], locale), inline: true });
+    return new EmbedBuilder()
+        .setTitle(translate(locale, 'sessionRecap.title', { name: recap.name }))
+        .setDescription(translate(locale, 'sessionRecap.played', {
+            start: `<t:${Math.floor(new Date(recap.startedAt).getTime() / 1000)}:t>`,
+            end: `<t:${Math.floor(new Date(recap.endedAt).getTime() / 1000)}:t>`
+        }))
+        .setColor(0x9B59B6)
+        .addFields(
+            field('kills'),
+            field('deaths'),
+            field('kdRatio'),
+            { name: translate(locale, 'sessionRecap.winsLosses'), value: `${recap.wins} / ${recap.losses}${games > 0 ? ` (${formatPercent((recap.wins / games) * 100, locale)})` : ''}`, inline: true },
+            field('score'),
+            { name: translate(locale, 'sessionRecap.duration'), value: formatDuration(recap.duration, locale), inline: true }
+        )
+        .setTimestamp(new Date(recap.endedAt))
+        .setFooter({ text: translate(locale, 'common.platform', { platform: recap.platform.toUpperCase() }) });
+}
+
+/**
+ * Lists report lines in an embed field, cut to fit Discord's limit
+ * @param {Array<string>} lines - Lines to list
+ * @param {string} [locale] - Locale code
+ * @returns {string} Field value
+ */
+function formatReportLines(lines, locale) {
+    if (lines.length === 0) {
+        return translate(locale, 'common.none');
+    }
+    // Discord limit is 1024 characters per field
+    const shown = [];
+    let length = 0;
+    for (const line of lines) {
+        if (length + line.length + 30 > 1024) {
+            shown.push(translate(locale, 'common.andMore', { count: lines.length - shown.length }));
+            break;
+        }
+        shown.push(line);
+        length += line.length + 1;
+    }
+    return shown.join('\n');
+}
+
+/**
+ * Creates the report embed shown after a roster import
+ * @param {Object} report - Import report from importRoster
+ * @param {number} totalTracked - Number of tracked players after the import
+ * @param {string} [locale] - Locale code
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createImportReportEmbed(report, totalTracked, locale) {
+    const { added, skipped, failed } = report;
+    const counts = { added: added.length, skipped: skipped.length, failed: failed.length };
+    const describeSkip = ({ name, reason, vars }) => `${name}: ${translate(locale, reason, vars)}`;
+    return new EmbedBuilder()
+        .setTitle(translate(locale, 'importReport.title'))
+        .setDescription(translate(locale, 'importReport.summary', counts))
+        .addFields(
+            { name: translate(locale, 'importReport.added', counts), value: formatReportLines(added.map(p => `${p.name} (${p.platform.toUpperCase()})`), locale) },
+            { name: translate(locale, 'importReport.skipped', counts), value: formatReportLines(skipped.map(describeSkip), locale) },
+            { name: translate(locale, 'importReport.failed', counts), value: formatReportLines(failed.map(describeSkip), locale) }
+        )
+        .setColor(failed.length > 0 ? 0xFFA500 : 0x00FF00)
+        .setTimestamp()
+        .setFooter({ text: translate(locale, 'importReport.footer', { count: totalTracked }) });
+}
+
+module.exports = {
+    formatStatsDelta,
+    createStatsEmbed,
+    createTrackedEmbed,
+    createCompareEmbed,
+    createDigestEmbed,
+    createSessionRecapEmbed,
+    createImportReportEmbed
+};
@@ -0,0 +1,203 @@
+const storage = require('./storage');
+const { getPlayerKey } = require('./players');
+const { getGuildSettings } = require('./guilds');
+const { getLocalTime } = require('./postingPolicy');
+const { STATS } = require('./stats');
+const { createLogger } = require('./logger');
+
+/**
+ * Personal stat goals of server members for their linked (and tracked) BF6
+ * account, e.g. "1.5 K/D" or "500 wins by 2026-12-31":
+ * { [guildId]: [{ userId, playerKey, name, platform, stat, target, startValue, deadline, createdAt, status, endedAt }] }
+ * with status 'active', 'achieved' or 'missed' (missed goals also keep their lastValue).
+ * Goals are checked against the stats fetched at every update.
+ */
+
+const log = createLogger('goals');
+
+// Stats a goal can be set for (counting up to fewer deaths or losses makes no sense)
+const GOAL_STATS = Object.keys(STATS).filter(stat => !STATS[stat].lowerIsBetter);
+
+// Most active goals per member in a server
+const MAX_GOALS = 10;
+
+// Length of a progress bar in blocks
+const BAR_LENGTH = 10;
+
+let goals = {};
+
+/**
+ * Load goals from storage
+ */
+function loadGoals() {
+    try {
+        goals = storage.loadDocument('goals') || {};
+        const count = Object.values(goals).reduce((total, list) => total + list.length, 0);
+        log.info(`Loaded ${count} goal(s) in ${Object.keys(goals).length} guild(s) from file.`);
+    } catch (error) {
+        log.error('Error loading goals', { error: error.message });
+        goals = {};
+    }
+}
+
+/**
+ * Save goals to storage
+ */
+function saveGoals() {
+    try {
+        storage.saveDocument('goals', goals);
+    } catch (error) {
+        log.error('Error saving goals', { error: error.message });
+    }
+}
+
+/**
+ * Gets a member's goals in a guild, active ones first
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID
+ * @returns {Array<Object>} Goals
+ */
+function getUserGoals(guildId, userId) {
+    const order = { active: 0, achieved: 1, missed: 2 };
+    return (goals[guildId] || [])
+        .filter(goal => goal.userId === userId)
+        .sort((a, b) => order[a.status] - order[b.status]);
+}
+
+/**
+ * Sets a member's goal for a stat, replacing their active goal for that stat
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID
+ * @param {Object} player - Tracked player the goal is for
+ * @param {Object} goal - Goal
+ * @param {string} goal.stat - Stat key from GOAL_STATS
+ * @param {number} goal.target - Value to reach
+ * @param {number} goal.startValue - Value when the goal was set
+ * @param {string|null} goal.deadline - Last day (YYYY-MM-DD in the guild's timezone), or null for no deadline
+ * @returns {Object|null} The new goal, or null if the member has too many active goals
+ */
+function setGoal(guildId, userId, player, { stat, target, startValue, deadline }) {
+    if (!goals[guildId]) {
+        goals[guildId] = [];
+    }
+    const others = goals[guildId].filter(goal => !(goal.userId === userId && goal.stat === stat && goal.status === 'active'));
+    if (others.filter(goal => goal.userId === userId && goal.status === 'active').length >= MAX_GOALS) {
+        return null;
+    }
+
+    const goal = {
+        userId,
+        playerKey: getPlayerKey(player),
+        name: player.name,
+        platform: player.platform,
+        stat,
+        target,
+        startValue,
+        deadline,
+        createdAt: new Date().toISOString(),
+        status: 'active',
+        endedAt: null
+    };
+    goals[guildId] = [...others, goal];
+    saveGoals();
+    return goal;
+}
+
+/**
+ * Removes a member's goal for a stat
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} stat - Stat key
+ * @returns {number} Number of goals removed
+ */
+function removeGoals(guildId, userId, stat) {
+    const list = goals[guildId] || [];
+    const kept = list.filter(goal => !(goal.userId === userId && goal.stat === stat));
+    if (kept.length !== list.length) {
+        goals[guildId] = kept;
+        saveGoals();
+    }
+    return list.length - kept.length;
+}
+
+/**
+ * Computes how far a goal is done
+ * @param {Object} goal - Goal
+ * @param {number} value - Current value of the goal's stat
+ * @returns {number} Progress from 0 to 1
+ */
+function getProgress(goal, value) {
+    if (goal.status === 'achieved') {
+        return 1;
+    }
+    const progress = (value - goal.startValue) / (goal.target - goal.startValue);
+    return Math.min(Math.max(progress, 0), 1);
+}
+
+/**
+ * Draws a progress bar
+ * @param {number} progress - Progress from 0 to 1
+ * @returns {string} e.g. "▰▰▰▱▱▱▱▱▱▱ 30%"
+ */
+function formatProgressBar(progress) {
+    const filled = Math.round(progress * BAR_LENGTH);
+    return `${'▰'.repeat(filled)}${'▱'.repeat(BAR_LENGTH - filled)} ${Math.floor(progress * 100)}%`;
+}
+
+/**
+ * Checks whether a goal's deadline has passed
+ * @param {string} guildId - Guild ID
+ * @param {Object} goal - Goal
+ * @returns {boolean} True if the last day of the goal is over
+ */
+function isPastDeadline(guildId, goal) {
+    return Boolean(goal.deadline) && getLocalTime(getGuildSettings(guildId).timezone).date > goal.deadline;
+}
+
+/**
+ * Checks a player's active goals against freshly fetched stats
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Tracked player
+ * @param {Object} stats - Current player stats
+ * @returns {{reached: Array<Object>, missed: Array<Object>}} Goals that were just reached or just ran out of time
+ */
+function checkGoals(guildId, player, stats) {
+    const key = getPlayerKey(player);
+    const reached = [];
+    const missed = [];
+
+    for (const goal of goals[guildId] || []) {
+        if (goal.status !== 'active' || goal.playerKey !== key) continue;
+
+        const value = stats[goal.stat];
+        if (typeof value === 'number' && value >= goal.target) {
+            goal.status = 'achieved';
+            reached.push(goal);
+        } else if (isPastDeadline(guildId, goal)) {
+            goal.status = 'missed';
+            goal.lastValue = typeof value === 'number' ? value : null;
+            missed.push(goal);
+        } else {
+            continue;
+        }
+        goal.endedAt = new Date().toISOString();
+    }
+
+    if (reached.length > 0 || missed.length > 0) {
+        saveGoals();
+    }
+    return { reached, missed };
+}
+
+module.exports = {
+    GOAL_STATS,
+    MAX_GOALS,
+    loadGoals,
+    getUserGoals,
+    setGoal,
+    removeGoals,
+    getProgress,
+    formatProgressBar,
+    isPastDeadline,
+    checkGoals
+};
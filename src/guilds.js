@@ -0,0 +1,111 @@
+const CONFIG = require('./config');
+const storage = require('./storage');
+const { createLogger } = require('./logger');
+
+/**
+ * Per-guild settings: { [guildId]: { channelId, updateInterval, ... } }
+ */
+
+const log = createLogger('guilds');
+
+// Settings every guild starts with
+const DEFAULT_SETTINGS = {
+    // Channel where stats are posted (null = not configured)
+    channelId: null,
+    // Update interval in milliseconds (null = CONFIG.UPDATE_INTERVAL)
+    updateInterval: null,
+    // Stat ranked by the weekly leaderboard post ('off' to disable)
+    weeklyLeaderboardStat: 'kills',
+    // When the last weekly leaderboard was posted (ISO timestamp)
+    lastWeeklyLeaderboardAt: null,
+    // Roles allowed to change the roster and trigger updates (besides Manage Server)
+    managerRoleIds: [],
+    // 'instant' posts a card per changed player at every update, 'digest' one summary a day,
+    // 'live' edits one pinned roster message, 'session' a recap when a player stops playing
+    postMode: 'instant',
+    // Minimum changes before a card is posted, e.g. { matches: 1, kills: 10 } (any one is enough)
+    postThresholds: {},
+    // Timezone used for quiet hours and the digest time (IANA name)
+    timezone: 'UTC',
+    // Hours without posts, e.g. { start: 23, end: 8 } (null = off); updates are posted afterwards
+    quietHours: null,
+    // Hour of the day (in the guild's timezone) the digest is posted
+    digestHour: 21,
+    // Local date of the last digest (YYYY-MM-DD)
+    lastDigestDate: null,
+    // Time without stat changes in milliseconds that ends a play session (null = CONFIG.SESSION_IDLE_TIMEOUT)
+    sessionIdleTimeout: null,
+    // Channel and messages of the live roster (postMode 'live')
+    liveChannelId: null,
+    liveMessageIds: [],
+    // Channel where admins are alerted about problems (null = only logged)
+    alertChannelId: null,
+    // Language of replies and posts, e.g. 'de' (null = CONFIG.DEFAULT_LOCALE)
+    locale: null,
+    // Look of stats cards: stats shown in order (null = all), color (null = default),
+    // colors per platform and 'full' (one field per stat) or 'compact' (one line per stat) layout
+    embedTemplate: { fields: null, color: null, platformColors: {}, layout: 'full' }
+};
+
+let guildSettings = {};
+
+/**
+ * Load guild settings from storage
+ */
+function loadGuildSettings() {
+    try {
+        guildSettings = storage.loadDocument('guildSettings') || {};
+        log.info(`Loaded settings for ${Object.keys(guildSettings).length} guild(s) from file.`);
+    } catch (error) {
+        log.error('Error loading guild settings', { error: error.message });
+        guildSettings = {};
+    }
+}
+
+/**
+ * Save guild settings to storage
+ */
+function saveGuildSettings() {
+    try {
+        storage.saveDocument('guildSettings', guildSettings);
+    } catch (error) {
+        log.error('Error saving guild settings', { error: error.message });
+    }
+}
+
+/**
+ * Gets a guild's settings, filled in with defaults
+ * @param {string} guildId - Guild ID
+ * @returns {Object} Guild settings
+ */
+function getGuildSettings(guildId) {
+    return { ...DEFAULT_SETTINGS, ...guildSettings[guildId] };
+}
+
+/**
+ * Updates and saves some of a guild's settings
+ * @param {string} guildId - Guild ID
+ * @param {Object} changes - Settings to change
+ * @returns {Object} The updated guild settings
+ */
+function updateGuildSettings(guildId, changes) {
+    guildSettings[guildId] = { ...guildSettings[guildId], ...changes };
+    saveGuildSettings();
+    return getGuildSettings(guildId);
+}
+
+/**
+ * Gets the update interval used for a guild
+ * @param {string} guildId - Guild ID
+ * @returns {number} Interval in milliseconds
+ */
+function getUpdateInterval(guildId) {
+    return getGuildSettings(guildId).updateInterval || CONFIG.UPDATE_INTERVAL;
+}
+
+module.exports = {
+    loadGuildSettings,
+    getGuildSettings,
+    updateGuildSettings,
+    getUpdateInterval
+};
@@ -0,0 +1,225 @@
+const storage = require('./storage');
+const CONFIG = require('./config');
+const { createLogger } = require('./logger');
+
+/**
+ * Append-only stats history stored as JSON lines.
+ * Each line is one snapshot: { key, guildId, timestamp, posted, stats }
+ * The log is read once and then kept in memory, indexed by guild and player.
+ */
+
+const log = createLogger('history');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// guildId -> player key -> snapshots, oldest first (null until the log is read)
+let index = null;
+
+// When old snapshots were last pruned
+let lastPruneAt = 0;
+
+// Stat fields kept in each snapshot (nested breakdowns are not stored)
+const SNAPSHOT_FIELDS = [
+    'userName', 'name', 'avatar', 'kills', 'deaths', 'kdRatio', 'score', 'wins', 'losses',
+    'winPercent', 'killsPerMinute', 'scorePerMinute', 'timePlayed', 'rank', 'matchesPlayed'
+];
+
+/**
+ * Strips a full API response down to the fields stored in history
+ * @param {Object} stats - Player stats from API
+ * @returns {Object} Trimmed stats
+ */
+function trimStats(stats) {
+    const trimmed = {};
+    for (const field of SNAPSHOT_FIELDS) {
+        if (stats[field] !== undefined && stats[field] !== null) {
+            trimmed[field] = stats[field];
+        }
+    }
+    return trimmed;
+}
+
+/**
+ * Adds a snapshot to the in-memory index
+ * @param {Object} snapshot - Snapshot
+ */
+function addToIndex(snapshot) {
+    if (!index.has(snapshot.guildId)) {
+        index.set(snapshot.guildId, new Map());
+    }
+    const byKey = index.get(snapshot.guildId);
+    if (!byKey.has(snapshot.key)) {
+        byKey.set(snapshot.key, []);
+    }
+    byKey.get(snapshot.key).push(snapshot);
+}
+
+/**
+ * Gets the index of stored snapshots, reading the log on first use
+ * @returns {Map<string, Map<string, Array<Object>>>} guildId -> player key -> snapshots, oldest first
+ */
+function getIndex() {
+    if (!index) {
+        index = new Map();
+        for (const snapshot of storage.readRecords('statsHistory')) {
+            addToIndex(snapshot);
+        }
+        pruneSnapshots();
+    }
+    return index;
+}
+
+/**
+ * Removes snapshots older than HISTORY_RETENTION_DAYS, at most once a day.
+ * Each player's latest snapshot and latest posted snapshot are always kept.
+ */
+function pruneSnapshots() {
+    const now = Date.now();
+    if (!CONFIG.HISTORY_RETENTION_DAYS || now - lastPruneAt < DAY) {
+        return;
+    }
+    lastPruneAt = now;
+
+    const cutoff = new Date(now - CONFIG.HISTORY_RETENTION_DAYS * DAY);
+    let pruned = 0;
+    for (const byKey of index.values()) {
+        for (const [key, snapshots] of byKey) {
+            const latestPosted = snapshots.filter(snapshot => snapshot.posted).pop();
+            const kept = snapshots.filter((snapshot, position) =>
+                new Date(snapshot.timestamp) >= cutoff ||
+                position === snapshots.length - 1 ||
+                snapshot === latestPosted
+            );
+            pruned += snapshots.length - kept.length;
+            byKey.set(key, kept);
+        }
+    }
+    if (pruned === 0) {
+        return;
+    }
+
+    const remaining = [];
+    for (const byKey of index.values()) {
+        for (const snapshots of byKey.values()) {
+            remaining.push(...snapshots);
+        }
+    }
+    remaining.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    try {
+        storage.replaceRecords('statsHistory', remaining);
+        log.info(`Pruned ${pruned} stats snapshot(s) older than ${CONFIG.HISTORY_RETENTION_DAYS} days.`);
+    } catch (error) {
+        log.error('Error pruning stats history', { error });
+    }
+}
+
+/**
+ * Appends a timestamped snapshot to the history file
+ * @param {string} key - Player key (personaId or name_platform)
+ * @param {Object} stats - Player stats from API
+ * @param {boolean} posted - Whether these stats were posted to Discord
+ * @param {string} guildId - Guild the stats were fetched for
+ * @returns {Object} The stored snapshot
+ */
+function recordSnapshot(key, stats, posted, guildId) {
+    const snapshot = {
+        key,
+        guildId,
+        timestamp: new Date().toISOString(),
+        posted: Boolean(posted),
+        stats: trimStats(stats)
+    };
+
+    // Unchanged stats aren't stored again, unless they are now posted for the first time
+    const snapshots = (getIndex().get(guildId) || new Map()).get(key) || [];
+    const previous = snapshots[snapshots.length - 1];
+    if (previous && (previous.posted || !snapshot.posted) &&
+        JSON.stringify(previous.stats) === JSON.stringify(snapshot.stats)) {
+        return previous;
+    }
+
+    try {
+        storage.appendRecord('statsHistory', snapshot);
+        addToIndex(snapshot);
+    } catch (error) {
+        log.error('Error saving stats snapshot', { error });
+    }
+
+    pruneSnapshots();
+    return snapshot;
+}
+
+/**
+ * Builds the key under which a guild's last posted stats for a player are kept
+ * @param {string} guildId - Guild ID
+ * @param {string} key - Player key
+ * @returns {string} "guildId:key"
+ */
+function getPostKey(guildId, key) {
+    return `${guildId}:${key}`;
+}
+
+/**
+ * Builds a map of the most recently posted stats for each player in each guild
+ * @returns {Map<string, Object>} Post key (see getPostKey) -> last posted stats
+ */
+function loadLastPosted() {
+    const lastPosted = new Map();
+    for (const [guildId, byKey] of getIndex()) {
+        if (!guildId) continue;
+        for (const [key, snapshots] of byKey) {
+            const latestPosted = snapshots.filter(snapshot => snapshot.posted).pop();
+            if (latestPosted) {
+                lastPosted.set(getPostKey(guildId, key), latestPosted.stats);
+            }
+        }
+    }
+    return lastPosted;
+}
+
+/**
+ * Gets all snapshots recorded for a player
+ * @param {string} key - Player key
+ * @param {Date|null} since - Only return snapshots at or after this time. Unchanged stats
+ *                            aren't stored again, so the last snapshot before it is
+ *                            included with its time moved to `since`.
+ * @param {string|null} guildId - Only return snapshots fetched for this guild
+ * @returns {Array<Object>} Snapshots, oldest first
+ */
+function getSnapshots(key, since = null, guildId = null) {
+    const guilds = guildId ? [getIndex().get(guildId) || new Map()] : [...getIndex().values()];
+    const snapshots = guilds.flatMap(byKey => byKey.get(key) || []);
+    if (!guildId) {
+        snapshots.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+    if (!since) {
+        return snapshots;
+    }
+
+    const inRange = snapshots.filter(snapshot => new Date(snapshot.timestamp) >= since);
+    const before = snapshots.filter(snapshot => new Date(snapshot.timestamp) < since).pop();
+    return before ? [{ ...before, timestamp: since.toISOString() }, ...inRange] : inRange;
+}
+
+/**
+ * Groups all snapshots fetched for a guild by player
+ * @param {string} guildId - Guild ID
+ * @returns {Map<string, Array<Object>>} Player key -> snapshots, oldest first
+ */
+function getSnapshotsByKey(guildId) {
+    const byKey = new Map();
+    for (const [key, snapshots] of getIndex().get(guildId) || []) {
+        byKey.set(key, snapshots.slice());
+    }
+    return byKey;
+}
+
+module.exports = {
+    trimStats,
+    recordSnapshot,
+    getPostKey,
+    loadLastPosted,
+    getSnapshots,
+    getSnapshotsByKey
+};
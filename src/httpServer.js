@@ -0,0 +1,419 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const CONFIG = require('./config');
+const history = require('./history');
+const { getTrackedPlayers, getPlayerKey, findTrackedPlayer, getPlayerTeam } = require('./players');
+const { PERIODS, getPeriodStats, buildLeaderboard } = require('./leaderboard');
+const { trackPlayerById, untrackPlayer } = require('./roster');
+const { STATS } = require('./stats');
+const { createLogger } = require('./logger');
+
+/**
+ * Optional HTTP server with a JSON API over the bot's rosters and stats, and a
+ * small web dashboard, so websites and stream overlays can use the data
+ * without reading Discord. Read endpoints are open; the track and untrack
+ * endpoints need the HTTP_API_TOKEN as a bearer token.
+ */
+
+const log = createLogger('http');
+
+// Static files of the web dashboard
+const WEB_DIR = path.join(__dirname, '..', 'web');
+const STATIC_FILES = {
+    '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+    '/dashboard.js': { file: 'dashboard.js', type: 'text/javascript; charset=utf-8' },
+    '/style.css': { file: 'style.css', type: 'text/css; charset=utf-8' }
+};
+
+// Largest accepted request body in bytes
+const MAX_BODY_SIZE = 16 * 1024;
+
+// Days of history returned when the request doesn't say
+const DEFAULT_HISTORY_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Error answered with an HTTP status and a JSON { error } body
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Error message for the client
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Gets the CORS headers; without HTTP_CORS_ORIGIN only the dashboard (same origin) can call the API
+ * @returns {Object} Headers
+ */
+function getCorsHeaders() {
+    return CONFIG.HTTP_CORS_ORIGIN ? { 'Access-Control-Allow-Origin': CONFIG.HTTP_CORS_ORIGIN } : {};
+}
+
+/**
+ * Sends a JSON response
+ * @param {ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Value to send as JSON
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        ...getCorsHeaders(),
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {IncomingMessage} req - HTTP request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ * @throws {HttpError} If the body is too large or not a JSON object
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new HttpError(413, 'Request body is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8').trim();
+            if (!text) {
+                return resolve({});
+            }
+            try {
+                const body = JSON.parse(text);
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    return reject(new HttpError(400, 'Request body must be a JSON object'));
+                }
+                resolve(body);
+            } catch (error) {
+                reject(new HttpError(400, 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Checks the bearer token of a write request
+ * @param {IncomingMessage} req - HTTP request
+ * @throws {HttpError} If writes are disabled or the token is missing or wrong
+ */
+function requireToken(req) {
+    if (!CONFIG.HTTP_API_TOKEN) {
+        throw new HttpError(403, 'Write endpoints are disabled. Set HTTP_API_TOKEN to enable them.');
+    }
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    const given = Buffer.from(match ? match[1].trim() : '');
+    const expected = Buffer.from(CONFIG.HTTP_API_TOKEN);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new HttpError(401, 'Missing or invalid API token');
+    }
+}
+
+/**
+ * Describes a tracked player for API responses
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Tracked player
+ * @returns {Object} { name, platform, personaId, team, unreachable }
+ */
+function serializePlayer(guildId, player) {
+    const team = getPlayerTeam(guildId, player);
+    return {
+        name: player.name,
+        platform: player.platform,
+        personaId: player.personaId || null,
+        team: team ? team.name : null,
+        unreachable: Boolean(player.unreachable)
+    };
+}
+
+/**
+ * Finds a tracked player named in a request path
+ * @param {string} guildId - Guild ID
+ * @param {string} query - personaId or player name from the path
+ * @returns {Object} The tracked player
+ * @throws {HttpError} If the player is not tracked
+ */
+function requireTrackedPlayer(guildId, query) {
+    const player = findTrackedPlayer(guildId, query);
+    if (!player) {
+        throw new HttpError(404, `Player "${query}" is not being tracked`);
+    }
+    return player;
+}
+
+/**
+ * GET /api/guilds - Servers the bot is in
+ * @param {Object} request - Parsed request { client }
+ * @returns {Object} { guilds: [{ id, name, players }] }
+ */
+function listGuilds({ client }) {
+    const guilds = [...client.guilds.cache.values()].map(guild => ({
+        id: guild.id,
+        name: guild.name,
+        players: getTrackedPlayers(guild.id).length
+    }));
+    return { guilds };
+}
+
+/**
+ * GET /api/guilds/:guildId/players[?period=daily|weekly] - Tracked players with their latest stats,
+ * and what they earned in the period when one is given
+ * @param {Object} request - Parsed request { guildId, query }
+ * @returns {Object} { period, players: [{ ..., updatedAt, stats, periodStats }] }
+ */
+function listPlayers({ guildId, query }) {
+    const period = query.get('period');
+    if (period && (!PERIODS[period] || !PERIODS[period].duration)) {
+        throw new HttpError(400, `Unknown period "${period}". Use ${Object.keys(PERIODS).filter(p => PERIODS[p].duration).join(' or ')}.`);
+    }
+    const since = period ? new Date(Date.now() - PERIODS[period].duration) : null;
+    const snapshotsByKey = history.getSnapshotsByKey(guildId);
+
+    const players = getTrackedPlayers(guildId).map(player => {
+        const snapshots = snapshotsByKey.get(getPlayerKey(player)) || [];
+        const latest = snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+        return {
+            ...serializePlayer(guildId, player),
+            updatedAt: latest ? latest.timestamp : null,
+            stats: latest ? latest.stats : null,
+            ...(period ? { periodStats: getPeriodStats(snapshots, since) } : {})
+        };
+    });
+    return { period: period || null, players };
+}
+
+/**
+ * GET /api/guilds/:guildId/players/:player/history[?days=30] - A player's stats snapshots, oldest first
+ * @param {Object} request - Parsed request { guildId, params, query }
+ * @returns {Object} { player, snapshots: [{ timestamp, stats }] }
+ */
+function getPlayerHistory({ guildId, params, query }) {
+    const player = requireTrackedPlayer(guildId, params[0]);
+    const days = query.has('days') ? Number(query.get('days')) : DEFAULT_HISTORY_DAYS;
+    if (!Number.isFinite(days) || days < 0) {
+        throw new HttpError(400, '"days" must be a positive number (0 for all history)');
+    }
+
+    const since = days > 0 ? new Date(Date.now() - days * DAY) : null;
+    const snapshots = history.getSnapshots(getPlayerKey(player), since, guildId)
+        .map(({ timestamp, stats }) => ({ timestamp, stats }));
+    return { player: serializePlayer(guildId, player), snapshots };
+}
+
+/**
+ * GET /api/guilds/:guildId/leaderboard?stat=kills[&period=all|daily|weekly] - Tracked players ranked by a stat
+ * @param {Object} request - Parsed request { guildId, query }
+ * @returns {Object} { stat, period, rows: [{ position, player, value }], missing }
+ */
+function getLeaderboard({ guildId, query }) {
+    const stat = query.get('stat') || 'kills';
+    const period = query.get('period') || 'all';
+    if (!STATS[stat]) {
+        throw new HttpError(400, `Unknown stat "${stat}". Use one of: ${Object.keys(STATS).join(', ')}.`);
+    }
+    if (!PERIODS[period]) {
+        throw new HttpError(400, `Unknown period "${period}". Use one of: ${Object.keys(PERIODS).join(', ')}.`);
+    }
+
+    const { rows, missing } = buildLeaderboard(guildId, stat, period);
+    return {
+        stat,
+        period,
+        rows: rows.map((row, index) => ({ position: index + 1, player: serializePlayer(guildId, row.player), value: row.value })),
+        missing: missing.map(player => serializePlayer(guildId, player))
+    };
+}
+
+/**
+ * POST /api/guilds/:guildId/players { id, platform? } - Tracks a player by ID, like /track
+ * @param {Object} request - Parsed request { guildId, body }
+ * @returns {Promise<Object>} { status: 201, player }
+ */
+async function trackPlayer({ guildId, body }) {
+    const id = typeof body.id === 'string' || typeof body.id === 'number' ? String(body.id).trim() : '';
+    if (!id) {
+        throw new HttpError(400, 'Missing player "id"');
+    }
+    const platform = body.platform ? String(body.platform).toLowerCase() : null;
+    if (platform && !CONFIG.PLATFORMS.includes(platform)) {
+        throw new HttpError(400, `Unknown platform "${body.platform}". Use one of: ${CONFIG.PLATFORMS.join(', ')}.`);
+    }
+
+    const { player, added } = await trackPlayerById(guildId, id, platform);
+    if (!player) {
+        throw new HttpError(404, `Could not find player with ID "${id}"`);
+    }
+    if (!added) {
+        throw new HttpError(409, `${player.name} (${player.platform.toUpperCase()}) is already being tracked`);
+    }
+
+    log.info(`Tracked ${player.name} through the HTTP API`, { guildId, player: getPlayerKey(player) });
+    return { status: 201, player: serializePlayer(guildId, player) };
+}
+
+/**
+ * DELETE /api/guilds/:guildId/players/:player - Stops tracking a player, like /untrack
+ * @param {Object} request - Parsed request { guildId, params }
+ * @returns {Object} { player }
+ */
+function removePlayer({ guildId, params }) {
+    const player = untrackPlayer(guildId, params[0]);
+    if (!player) {
+        throw new HttpError(404, `Player "${params[0]}" is not being tracked`);
+    }
+
+    log.info(`Untracked ${player.name} through the HTTP API`, { guildId, player: getPlayerKey(player) });
+    return { player: { name: player.name, platform: player.platform, personaId: player.personaId || null } };
+}
+
+// API routes; guild routes only answer for servers the bot is in
+const ROUTES = [
+    { method: 'GET', pattern: /^\/api\/guilds$/, handler: listGuilds },
+    { method: 'GET', pattern: /^\/api\/guilds\/(\d+)\/players$/, handler: listPlayers },
+    { method: 'POST', pattern: /^\/api\/guilds\/(\d+)\/players$/, handler: trackPlayer, write: true },
+    { method: 'GET', pattern: /^\/api\/guilds\/(\d+)\/players\/([^/]+)\/history$/, handler: getPlayerHistory },
+    { method: 'DELETE', pattern: /^\/api\/guilds\/(\d+)\/players\/([^/]+)$/, handler: removePlayer, write: true },
+    { method: 'GET', pattern: /^\/api\/guilds\/(\d+)\/leaderboard$/, handler: getLeaderboard }
+];
+
+/**
+ * Answers an API request
+ * @param {Client} client - Discord client
+ * @param {IncomingMessage} req - HTTP request
+ * @param {ServerResponse} res - HTTP response
+ * @param {URL} url - Parsed request URL
+ */
+async function handleApiRequest(client, req, res, url) {
+    const matches = ROUTES.filter(route => route.pattern.test(url.pathname));
+    if (matches.length === 0) {
+        throw new HttpError(404, 'Not found');
+    }
+    const route = matches.find(r => r.method === req.method);
+    if (!route) {
+        res.setHeader('Allow', matches.map(r => r.method).join(', '));
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+    }
+
+    if (route.write) {
+        requireToken(req);
+    }
+
+    const [, guildId, ...encodedParams] = url.pathname.match(route.pattern);
+    let params;
+    try {
+        params = encodedParams.map(decodeURIComponent);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed URL encoding in the path');
+    }
+    if (guildId && !client.guilds.cache.has(guildId)) {
+        throw new HttpError(404, `Unknown guild ${guildId}`);
+    }
+
+    const body = req.method === 'POST' ? await readJsonBody(req) : {};
+    const { status = 200, ...result } = await route.handler({
+        client,
+        guildId,
+        params,
+        query: url.searchParams,
+        body
+    });
+    sendJson(res, status, result);
+}
+
+/**
+ * Serves a file of the web dashboard
+ * @param {ServerResponse} res - HTTP response
+ * @param {Object} entry - Entry from STATIC_FILES
+ */
+async function serveStatic(res, entry) {
+    const content = await fs.promises.readFile(path.join(WEB_DIR, entry.file));
+    res.writeHead(200, { 'Content-Type': entry.type });
+    res.end(content);
+}
+
+/**
+ * Handles one HTTP request
+ * @param {Client} client - Discord client
+ * @param {IncomingMessage} req - HTTP request
+ * @param {ServerResponse} res - HTTP response
+ */
+async function handleRequest(client, req, res) {
+    try {
+        let url;
+        try {
+            url = new URL(req.url, 'http://localhost');
+        } catch (error) {
+            throw new HttpError(400, 'Malformed request URL');
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CONFIG.HTTP_CORS_ORIGIN ? {
+                ...getCorsHeaders(),
+                'Access-Control-Allow-Methods': 'GET, POST, DELETE',
+                'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+            } : {});
+            return res.end();
+        }
+
+        if (url.pathname.startsWith('/api/')) {
+            return await handleApiRequest(client, req, res, url);
+        }
+
+        const entry = STATIC_FILES[url.pathname];
+        if (!entry || req.method !== 'GET') {
+            throw new HttpError(404, 'Not found');
+        }
+        await serveStatic(res, entry);
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendJson(res, error.status, { error: error.message });
+        }
+        log.error(`Error answering ${req.method} ${req.url}`, { error });
+        if (!res.headersSent) {
+            sendJson(res, 500, { error: 'Internal server error' });
+        } else {
+            res.end();
+        }
+    }
+}
+
+/**
+ * Starts the HTTP API and web dashboard
+ * @param {Client} client - Discord client
+ * @returns {http.Server} The server
+ */
+function startHttpServer(client) {
+    const server = http.createServer((req, res) => handleRequest(client, req, res));
+
+    server.on('error', error => {
+        log.error(`HTTP server error: ${error.message}`, { port: CONFIG.HTTP_PORT });
+    });
+    server.listen(CONFIG.HTTP_PORT, CONFIG.HTTP_HOST, () => {
+        log.info(`🌐 HTTP API and dashboard listening on http://${CONFIG.HTTP_HOST}:${server.address().port}/`, {
+            writes: CONFIG.HTTP_API_TOKEN ? 'enabled' : 'disabled'
+        });
+    });
+    return server;
+}
+
+module.exports = {
+    startHttpServer
+};
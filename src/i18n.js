@@ -0,0 +1,125 @@
+const CONFIG = require('./config');
+const { getGuildSettings } = require('./guilds');
+const { createLogger } = require('./logger');
+
+/**
+ * Translations of the bot's replies. Messages come from src/locales/<code>.json
+ * as nested keys with {placeholder} values:
+ *   { "track": { "added": "Now tracking **{name}**." } }
+ * A message missing from a locale falls back to English.
+ */
+
+const log = createLogger('i18n');
+
+// Supported locales: BCP 47 tag used to format numbers, and the name shown to admins
+const LOCALES = {
+    en: { tag: 'en-US', name: 'English' },
+    de: { tag: 'de-DE', name: 'Deutsch' },
+    fr: { tag: 'fr-FR', name: 'Français' }
+};
+
+const FALLBACK_LOCALE = 'en';
+
+const messages = {};
+for (const code of Object.keys(LOCALES)) {
+    try {
+        messages[code] = require(`./locales/${code}.json`);
+    } catch (error) {
+        log.error(`Error loading messages for locale "${code}"`, { error: error.message });
+        messages[code] = {};
+    }
+}
+
+// Number formatters by locale and number of decimals, created on first use
+const numberFormats = new Map();
+
+/**
+ * Returns a supported locale code, or the default one
+ * @param {string|null} code - Locale code, e.g. "de"
+ * @returns {string} Supported locale code
+ */
+function resolveLocale(code) {
+    if (LOCALES[code]) return code;
+    return LOCALES[CONFIG.DEFAULT_LOCALE] ? CONFIG.DEFAULT_LOCALE : FALLBACK_LOCALE;
+}
+
+/**
+ * Gets the locale a guild's replies and posts use
+ * @param {string|null} guildId - Guild ID (null in DMs)
+ * @returns {string} Locale code
+ */
+function getLocale(guildId) {
+    return resolveLocale(guildId ? getGuildSettings(guildId).locale : null);
+}
+
+/**
+ * Looks up a message by its dotted key
+ * @param {string} locale - Locale code
+ * @param {string} key - Message key, e.g. "track.added"
+ * @returns {string|undefined} Message, or undefined if the locale has none
+ */
+function lookup(locale, key) {
+    let value = messages[locale];
+    for (const part of key.split('.')) {
+        if (!value || typeof value !== 'object') return undefined;
+        value = value[part];
+    }
+    return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Checks whether a message exists in a locale (or in English)
+ * @param {string} locale - Locale code
+ * @param {string} key - Message key
+ * @returns {boolean} True if the message exists
+ */
+function hasTranslation(locale, key) {
+    return lookup(resolveLocale(locale), key) !== undefined || lookup(FALLBACK_LOCALE, key) !== undefined;
+}
+
+/**
+ * Translates a message and fills in its placeholders
+ * @param {string|null} locale - Locale code (null for the default locale)
+ * @param {string} key - Message key, e.g. "track.added"
+ * @param {Object} [vars] - Placeholder values, e.g. { name: "Player" }
+ * @returns {string} Translated message (the key itself when no locale has it)
+ */
+function translate(locale, key, vars = {}) {
+    let message = lookup(resolveLocale(locale), key);
+    if (message === undefined) {
+        message = lookup(FALLBACK_LOCALE, key);
+    }
+    if (message === undefined) {
+        log.warn(`Missing message "${key}"`, { locale });
+        return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (vars[name] !== undefined ? String(vars[name]) : placeholder));
+}
+
+/**
+ * Formats a number the way a locale writes it, e.g. 1,234.5 or 1.234,5
+ * @param {string} locale - Locale code
+ * @param {number} value - Number
+ * @param {number} [digits] - Decimals shown
+ * @returns {string} Formatted number
+ */
+function formatNumber(locale, value, digits = 0) {
+    const code = resolveLocale(locale);
+    const cacheKey = `${code}:${digits}`;
+    if (!numberFormats.has(cacheKey)) {
+        numberFormats.set(cacheKey, new Intl.NumberFormat(LOCALES[code].tag, {
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        }));
+    }
+    return numberFormats.get(cacheKey).format(value);
+}
+
+module.exports = {
+    LOCALES,
+    resolveLocale,
+    getLocale,
+    hasTranslation,
+    translate,
+    formatNumber
+};
@@ -0,0 +1,185 @@
+const { EmbedBuilder } = require('discord.js');
+const history = require('./history');
+const { getTrackedPlayers, getPlayerKey } = require('./players');
+const { getGuildSettings, updateGuildSettings } = require('./guilds');
+const { STATS, formatStat, getStatLabel, diffStats } = require('./stats');
+const { getLocale, translate } = require('./i18n');
+const { createLogger } = require('./logger');
+
+const log = createLogger('leaderboard');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Leaderboard periods; "all" ranks lifetime stats, the others rank what was earned in the window.
+// Labels are used for slash command choices; replies use getPeriodLabel.
+const PERIODS = {
+    all: { label: 'All Time', duration: null },
+    daily: { label: 'Last 24 Hours', duration: DAY },
+    weekly: { label: 'Last 7 Days', duration: 7 * DAY }
+};
+
+// How often to check whether a weekly leaderboard is due
+const WEEKLY_CHECK_INTERVAL = 60 * 60 * 1000;
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+/**
+ * Gets a period's label in a locale
+ * @param {string} period - Period key from PERIODS
+ * @param {string} [locale] - Locale code
+ * @returns {string} Label, e.g. "Last 7 Days"
+ */
+function getPeriodLabel(period, locale) {
+    return translate(locale, `periods.${period}`);
+}
+
+/**
+ * Computes a player's stats for a period from their snapshots
+ * @param {Array<Object>} snapshots - Player's snapshots, oldest first
+ * @param {Date|null} since - Start of the period, or null for lifetime stats
+ * @returns {Object|null} Stats for the period, or null if there is no history
+ */
+function getPeriodStats(snapshots, since) {
+    if (!snapshots || snapshots.length === 0) {
+        return null;
+    }
+
+    const latest = snapshots[snapshots.length - 1];
+    if (!since) {
+        return latest.stats;
+    }
+
+    // Compare against the last snapshot before the period (or the first one inside it)
+    let baseline = null;
+    for (const snapshot of snapshots) {
+        if (new Date(snapshot.timestamp) > since) break;
+        baseline = snapshot;
+    }
+    if (!baseline) {
+        baseline = snapshots[0];
+    }
+
+    return diffStats(baseline.stats, latest.stats);
+}
+
+/**
+ * Ranks a guild's tracked players by a stat
+ * @param {string} guildId - Guild ID
+ * @param {string} stat - Stat key from STATS
+ * @param {string} period - Period key from PERIODS
+ * @returns {{rows: Array<{player: Object, value: number}>, missing: Array<Object>}} Ranked rows and players without data
+ */
+function buildLeaderboard(guildId, stat, period = 'all') {
+    const { duration } = PERIODS[period];
+    const since = duration ? new Date(Date.now() - duration) : null;
+    const snapshotsByKey = history.getSnapshotsByKey(guildId);
+
+    const rows = [];
+    const missing = [];
+    for (const player of getTrackedPlayers(guildId)) {
+        const stats = getPeriodStats(snapshotsByKey.get(getPlayerKey(player)), since);
+        if (!stats || typeof stats[stat] !== 'number') {
+            missing.push(player);
+            continue;
+        }
+        rows.push({ player, value: stats[stat] });
+    }
+
+    const direction = STATS[stat].lowerIsBetter ? 1 : -1;
+    rows.sort((a, b) => direction * (a.value - b.value));
+
+    return { rows, missing };
+}
+
+/**
+ * Creates a Discord embed showing a leaderboard
+ * @param {string} guildId - Guild ID
+ * @param {string} stat - Stat key from STATS
+ * @param {string} period - Period key from PERIODS
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createLeaderboardEmbed(guildId, stat, period = 'all') {
+    const { rows, missing } = buildLeaderboard(guildId, stat, period);
+    const definition = STATS[stat];
+    const locale = getLocale(guildId);
+
+    const embed = new EmbedBuilder()
+        .setTitle(translate(locale, 'leaderboard.title', { stat: getStatLabel(stat, locale), period: getPeriodLabel(period, locale) }))
+        .setColor(0xFFD700)
+        .setTimestamp();
+
+    if (rows.length === 0) {
+        embed.setDescription(translate(locale, 'leaderboard.noStats'));
+        return embed;
+    }
+
+    // Discord limit is 4096 characters per description
+    const lines = [];
+    let length = 0;
+    for (const [index, row] of rows.entries()) {
+        const position = MEDALS[index] || `**${index + 1}.**`;
+        const line = `${position} **${row.player.name}** (${row.player.platform.toUpperCase()}) — ${definition.emoji} ${formatStat(stat, row.value, locale)}`;
+        if (length + line.length + 1 > 4000) break;
+        lines.push(line);
+        length += line.length + 1;
+    }
+    embed.setDescription(lines.join('\n'));
+
+    if (missing.length > 0) {
+        embed.setFooter({ text: translate(locale, 'leaderboard.missing', { count: missing.length }) });
+    }
+
+    return embed;
+}
+
+/**
+ * Posts the weekly leaderboard in every guild where one is due
+ * @param {Client} client - Discord client
+ */
+async function postWeeklyLeaderboards(client) {
+    for (const guildId of client.guilds.cache.keys()) {
+        const settings = getGuildSettings(guildId);
+        if (settings.weeklyLeaderboardStat === 'off' || !settings.channelId) continue;
+        if (getTrackedPlayers(guildId).length === 0) continue;
+
+        // Start counting the week from the first check
+        if (!settings.lastWeeklyLeaderboardAt) {
+            updateGuildSettings(guildId, { lastWeeklyLeaderboardAt: new Date().toISOString() });
+            continue;
+        }
+        if (Date.now() - new Date(settings.lastWeeklyLeaderboardAt).getTime() < PERIODS.weekly.duration) continue;
+
+        const channel = client.channels.cache.get(settings.channelId);
+        if (!channel) {
+            log.error(`Stats channel for guild ${guildId} not found!`);
+            continue;
+        }
+
+        try {
+            const embed = createLeaderboardEmbed(guildId, settings.weeklyLeaderboardStat, 'weekly');
+            await channel.send({ content: translate(getLocale(guildId), 'leaderboard.weekly'), embeds: [embed] });
+            updateGuildSettings(guildId, { lastWeeklyLeaderboardAt: new Date().toISOString() });
+            log.info(`Posted weekly leaderboard in guild ${guildId}`);
+        } catch (error) {
+            log.error(`Error posting weekly leaderboard in guild ${guildId}`, { error: error.message });
+        }
+    }
+}
+
+/**
+ * Starts checking for due weekly leaderboards
+ * @param {Client} client - Discord client
+ */
+function startWeeklyLeaderboards(client) {
+    postWeeklyLeaderboards(client);
+    setInterval(() => postWeeklyLeaderboards(client), WEEKLY_CHECK_INTERVAL);
+}
+
+module.exports = {
+    PERIODS,
+    getPeriodLabel,
+    getPeriodStats,
+    buildLeaderboard,
+    createLeaderboardEmbed,
+    startWeeklyLeaderboards
+};
@@ -0,0 +1,151 @@
+const storage = require('./storage');
+const { getPlayerKey } = require('./players');
+const { createLogger } = require('./logger');
+
+const log = createLogger('links');
+
+/**
+ * Discord users linked to their BF6 accounts:
+ * { [userId]: { primary: playerKey, accounts: [{ personaId, name, platform }] } }
+ * Links belong to the user, so they work in every server the bot is in.
+ */
+
+let accountLinks = {};
+
+/**
+ * Load account links from storage
+ */
+function loadAccountLinks() {
+    try {
+        accountLinks = storage.loadDocument('accountLinks') || {};
+        log.info(`Loaded account links for ${Object.keys(accountLinks).length} user(s) from file.`);
+    } catch (error) {
+        log.error('Error loading account links', { error: error.message });
+        accountLinks = {};
+    }
+}
+
+/**
+ * Save account links to storage
+ */
+function saveAccountLinks() {
+    try {
+        storage.saveDocument('accountLinks', accountLinks);
+    } catch (error) {
+        log.error('Error saving account links', { error: error.message });
+    }
+}
+
+/**
+ * Gets the accounts a user has linked, primary first
+ * @param {string} userId - Discord user ID
+ * @returns {Array<Object>} Linked players { personaId, name, platform, primary }
+ */
+function getLinkedAccounts(userId) {
+    const link = accountLinks[userId];
+    if (!link) {
+        return [];
+    }
+    return link.accounts
+        .map(account => ({ ...account, primary: getPlayerKey(account) === link.primary }))
+        .sort((a, b) => b.primary - a.primary);
+}
+
+/**
+ * Gets the account to use for a user: the one on the given platform, or the primary
+ * @param {string} userId - Discord user ID
+ * @param {string|null} platform - Prefer the account on this platform
+ * @returns {Object|null} Linked player, or null if the user has none (on that platform)
+ */
+function getLinkedPlayer(userId, platform = null) {
+    const accounts = getLinkedAccounts(userId);
+    if (platform) {
+        return accounts.find(account => account.platform === platform) || null;
+    }
+    return accounts[0] || null;
+}
+
+/**
+ * Links a player to a user. The first linked account becomes the primary one.
+ * @param {string} userId - Discord user ID
+ * @param {Object} player - Player object with name, platform, and personaId
+ * @param {boolean} primary - Make this the primary account
+ * @returns {{added: boolean, primary: boolean}} Whether the account was new and whether it is the primary one
+ */
+function linkAccount(userId, player, primary = false) {
+    const key = getPlayerKey(player);
+    const link = accountLinks[userId] || { primary: null, accounts: [] };
+
+    const added = !link.accounts.some(account => getPlayerKey(account) === key);
+    if (added) {
+        link.accounts.push({ personaId: player.personaId, name: player.name, platform: player.platform });
+    }
+    if (primary || !link.primary) {
+        link.primary = key;
+    }
+
+    accountLinks[userId] = link;
+    saveAccountLinks();
+    return { added, primary: link.primary === key };
+}
+
+/**
+ * Updates the name and platform stored for a linked account after the player renamed
+ * @param {Object} player - Player object with the new name and platform, and personaId
+ */
+function updateLinkedAccount(player) {
+    let changed = false;
+    for (const link of Object.values(accountLinks)) {
+        for (const account of link.accounts) {
+            if (account.personaId && account.personaId === player.personaId &&
+                (account.name !== player.name || account.platform !== player.platform)) {
+                account.name = player.name;
+                account.platform = player.platform;
+                changed = true;
+            }
+        }
+    }
+    if (changed) {
+        saveAccountLinks();
+    }
+}
+
+/**
+ * Unlinks one of a user's accounts. If it was the primary, the next one takes over.
+ * @param {string} userId - Discord user ID
+ * @param {string} query - personaId or player name
+ * @returns {Object|null} The unlinked player, or null if no linked account matches
+ */
+function unlinkAccount(userId, query) {
+    const link = accountLinks[userId];
+    if (!link) {
+        return null;
+    }
+
+    const account = link.accounts.find(a =>
+        (a.personaId && a.personaId === query) ||
+        a.name.toLowerCase() === query.toLowerCase()
+    );
+    if (!account) {
+        return null;
+    }
+
+    link.accounts.splice(link.accounts.indexOf(account), 1);
+    if (link.accounts.length === 0) {
+        delete accountLinks[userId];
+    } else if (link.primary === getPlayerKey(account)) {
+        link.primary = getPlayerKey(link.accounts[0]);
+    }
+
+    saveAccountLinks();
+    return account;
+}
+
+module.exports = {
+    loadAccountLinks,
+    getLinkedAccounts,
+    getLinkedPlayer,
+    linkAccount,
+    updateLinkedAccount,
+    unlinkAccount
+};
@@ -0,0 +1,88 @@
+const CONFIG = require('./config');
+
+/**
+ * Structured logger with levels. Each entry has a time, level, scope (the
+ * module that logged it), a message and optional fields. Entries are written
+ * as readable text lines, or as one JSON object per line with LOG_FORMAT=json.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Turns a field value into something JSON can hold (errors lose their prototype otherwise)
+ * @param {*} value - Field value
+ * @returns {*} Serializable value
+ */
+function serializeValue(value) {
+    if (value instanceof Error) {
+        return { message: value.message, name: value.name, ...(value.status ? { status: value.status } : {}), stack: value.stack };
+    }
+    return value;
+}
+
+/**
+ * Formats a field value for a text log line
+ * @param {*} value - Field value
+ * @returns {string} Formatted value
+ */
+function formatTextValue(value) {
+    if (value instanceof Error) {
+        return JSON.stringify(value.message);
+    }
+    if (typeof value === 'string') {
+        return /\s|"/.test(value) ? JSON.stringify(value) : value;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Writes one log entry
+ * @param {string} level - Level name from LEVELS
+ * @param {string} scope - Module that logged the entry
+ * @param {string} message - Message
+ * @param {Object} fields - Extra fields, e.g. { guildId, player, error }
+ */
+function write(level, scope, message, fields = {}) {
+    if (LEVELS[level] < (LEVELS[CONFIG.LOG_LEVEL] || LEVELS.info)) {
+        return;
+    }
+    const output = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    const time = new Date().toISOString();
+
+    if (CONFIG.LOG_FORMAT === 'json') {
+        const entry = { time, level, scope, msg: message };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) entry[key] = serializeValue(value);
+        }
+        output.write(JSON.stringify(entry) + '\n');
+        return;
+    }
+
+    const extras = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${formatTextValue(value)}`);
+    const line = [time, level.toUpperCase().padEnd(5), `[${scope}]`, message, ...extras].join(' ');
+    output.write(line + '\n');
+
+    // Errors passed as Error objects (rather than their message) are unexpected; keep their stack trace
+    if (fields.error instanceof Error && fields.error.stack) {
+        output.write(fields.error.stack + '\n');
+    }
+}
+
+/**
+ * Creates a logger for a module
+ * @param {string} scope - Module name shown with every entry, e.g. "tracker"
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} Log functions taking (message, fields)
+ */
+function createLogger(scope) {
+    return Object.fromEntries(Object.keys(LEVELS).map(level => [
+        level,
+        (message, fields) => write(level, scope, message, fields)
+    ]));
+}
+
+module.exports = {
+    LEVELS,
+    createLogger
+};
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const { EmbedBuilder } = require('discord.js');
+const CONFIG = require('./config');
+const storage = require('./storage');
+const { STATS, getStatLabel } = require('./stats');
+const { resolveLocale, translate, formatNumber } = require('./i18n');
+const { createLogger } = require('./logger');
+
+/**
+ * Milestone definitions come from milestones.json:
+ *   [{ stat, thresholds: [..], message: "{player} hit {threshold} kills!", unit?: "hours" }]
+ * The message is optional and may be one text per locale: { "en": "...", "de": "..." }
+ * Announced milestones are recorded per guild and player so each is only posted once:
+ *   { [guildId]: { [playerKey]: ["kills:1000", ...] } }
+ */
+
+const log = createLogger('milestones');
+
+// Multipliers converting a definition's unit into the API's unit
+const UNITS = {
+    hours: 3600,
+    minutes: 60
+};
+
+let announced = {};
+
+/**
+ * Load announced milestones from storage
+ */
+function loadAnnouncedMilestones() {
+    try {
+        announced = storage.loadDocument('announcedMilestones') || {};
+    } catch (error) {
+        log.error('Error loading announced milestones', { error: error.message });
+        announced = {};
+    }
+}
+
+/**
+ * Save announced milestones to storage
+ */
+function saveAnnouncedMilestones() {
+    try {
+        storage.saveDocument('announcedMilestones', announced);
+    } catch (error) {
+        log.error('Error saving announced milestones', { error: error.message });
+    }
+}
+
+/**
+ * Reads the milestone definitions, flattened to one entry per threshold.
+ * The file is read on every call so edits apply without a restart.
+ * @returns {Array<{id: string, stat: string, threshold: number, value: number, message: string|Object|null}>} Milestones
+ */
+function getMilestones() {
+    let definitions = [];
+    try {
+        definitions = JSON.parse(fs.readFileSync(CONFIG.MILESTONES_FILE, 'utf8'));
+    } catch (error) {
+        log.error('Error loading milestone definitions', { error: error.message });
+        return [];
+    }
+
+    const milestones = [];
+    for (const definition of definitions) {
+        if (!STATS[definition.stat] || !Array.isArray(definition.thresholds)) {
+            log.warn(`Skipping invalid milestone definition for stat "${definition.stat}"`);
+            continue;
+        }
+        const multiplier = UNITS[definition.unit] || 1;
+        for (const threshold of definition.thresholds) {
+            milestones.push({
+                id: `${definition.stat}:${threshold}`,
+                stat: definition.stat,
+                threshold,
+                unit: definition.unit || null,
+                value: threshold * multiplier,
+                message: definition.message || null
+            });
+        }
+    }
+    return milestones;
+}
+
+/**
+ * Gets the milestones already announced for a player
+ * @param {string} guildId - Guild ID
+ * @param {string} playerKey - Player key
+ * @returns {Array<string>} Milestone IDs
+ */
+function getAnnouncedMilestones(guildId, playerKey) {
+    return (announced[guildId] && announced[guildId][playerKey]) || [];
+}
+
+/**
+ * Finds the milestones a player has newly reached and records them as announced.
+ * The first time a player is seen, milestones they already reached are recorded
+ * silently so lifetime achievements aren't announced all at once.
+ * @param {string} guildId - Guild ID
+ * @param {string} playerKey - Player key
+ * @param {Object} stats - Current player stats
+ * @returns {Array<Object>} Milestones to announce (the highest newly reached one per stat)
+ */
+function checkMilestones(guildId, playerKey, stats) {
+    if (!announced[guildId]) {
+        announced[guildId] = {};
+    }
+    const firstCheck = !announced[guildId][playerKey];
+    const records = announced[guildId][playerKey] || [];
+
+    const reached = getMilestones().filter(milestone =>
+        typeof stats[milestone.stat] === 'number' &&
+        stats[milestone.stat] >= milestone.value &&
+        !records.includes(milestone.id)
+    );
+
+    if (firstCheck || reached.length > 0) {
+        announced[guildId][playerKey] = records.concat(reached.map(m => m.id));
+        saveAnnouncedMilestones();
+    }
+
+    if (firstCheck) {
+        return [];
+    }
+
+    // When several thresholds of a stat are crossed at once, only announce the highest
+    return reached.filter(milestone => !reached.some(other =>
+        other.stat === milestone.stat && other.value > milestone.value
+    ));
+}
+
+/**
+ * Formats a threshold with as many decimals as it was defined with, e.g. "10,000" or "1.5"
+ * @param {number} threshold - Threshold from milestones.json
+ * @param {string} [locale] - Locale code
+ * @returns {string} Formatted threshold
+ */
+function formatThreshold(threshold, locale) {
+    const decimals = (String(threshold).split('.')[1] || '').length;
+    return formatNumber(locale, threshold, decimals);
+}
+
+/**
+ * Formats a milestone threshold for display
+ * @param {Object} milestone - Milestone
+ * @param {string} [locale] - Locale code
+ * @returns {string} e.g. "10,000 Kills" or "100 hours Time Played"
+ */
+function formatMilestone(milestone, locale) {
+    const amount = formatThreshold(milestone.threshold, locale);
+    const label = getStatLabel(milestone.stat, locale);
+    return milestone.unit
+        ? `${amount} ${translate(locale, `units.${milestone.unit}`)} ${label}`
+        : `${amount} ${label}`;
+}
+
+/**
+ * Builds the announcement of a reached milestone in a locale
+ * @param {Object} milestone - Milestone
+ * @param {string} playerName - Player name, as shown in the announcement
+ * @param {string} [locale] - Locale code
+ * @returns {string} e.g. "**Alpha** hit 1,000 kills!"
+ */
+function formatMilestoneMessage(milestone, playerName, locale) {
+    let message = milestone.message;
+    if (message && typeof message === 'object') {
+        // Messages missing in the locale fall back to the default locale, then to English
+        message = message[resolveLocale(locale)] || message[resolveLocale(null)] || message.en || Object.values(message)[0];
+    }
+
+    const threshold = formatThreshold(milestone.threshold, locale);
+    if (typeof message !== 'string') {
+        return translate(locale, 'milestones.default', {
+            player: playerName,
+            threshold: milestone.unit ? `${threshold} ${translate(locale, `units.${milestone.unit}`)}` : threshold,
+            stat: getStatLabel(milestone.stat, locale)
+        });
+    }
+    return message
+        .replace(/\{player\}/g, playerName)
+        .replace(/\{threshold\}/g, threshold);
+}
+
+/**
+ * Creates a celebratory embed for newly reached milestones
+ * @param {Object} player - Player object with name and platform
+ * @param {Array<Object>} milestones - Reached milestones
+ * @param {string} [locale] - Locale code
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createMilestoneEmbed(player, milestones, locale) {
+    const lines = milestones.map(milestone =>
+        `${STATS[milestone.stat].emoji} ${formatMilestoneMessage(milestone, `**${player.name}**`, locale)}`);
+
+    return new EmbedBuilder()
+        .setTitle(translate(locale, 'milestones.reachedTitle'))
+        .setDescription(lines.join('\n'))
+        .setColor(0xFFD700)
+        .setTimestamp()
+        .setFooter({ text: translate(locale, 'common.platform', { platform: player.platform.toUpperCase() }) });
+}
+
+module.exports = {
+    loadAnnouncedMilestones,
+    getMilestones,
+    getAnnouncedMilestones,
+    checkMilestones,
+    formatMilestone,
+    createMilestoneEmbed
+};
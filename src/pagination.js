@@ -0,0 +1,135 @@
+const {
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    StringSelectMenuBuilder,
+    MessageFlags
+} = require('discord.js');
+const { createLogger } = require('./logger');
+
+const log = createLogger('pagination');
+
+// How long the buttons of a paginated reply keep working
+const PAGINATION_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Builds the navigation components of a paginated reply
+ * @param {Object} state - Current state { page, sort }
+ * @param {number} pageCount - Number of pages
+ * @param {Array<{label: string, value: string}>} sortChoices - Sort options (empty for none)
+ * @param {CommandContext} ctx - Command context, used to translate the menu
+ * @param {boolean} disabled - Disable every component (after the timeout)
+ * @returns {Array<ActionRowBuilder>} Message components
+ */
+function buildComponents(state, pageCount, sortChoices, ctx, disabled = false) {
+    const rows = [];
+
+    if (pageCount > 1) {
+        rows.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('page:prev')
+                .setEmoji('◀️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(disabled || state.page === 0),
+            new ButtonBuilder()
+                .setCustomId('page:indicator')
+                .setLabel(`${state.page + 1} / ${pageCount}`)
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(true),
+            new ButtonBuilder()
+                .setCustomId('page:next')
+                .setEmoji('▶️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(disabled || state.page >= pageCount - 1)
+        ));
+    }
+
+    if (sortChoices.length > 0) {
+        rows.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId('page:sort')
+                .setPlaceholder(ctx.t('pagination.sortPlaceholder'))
+                .setDisabled(disabled)
+                .addOptions(sortChoices.map(choice => ({
+                    label: ctx.t('pagination.sortBy', { column: choice.label }),
+                    value: choice.value,
+                    default: choice.value === state.sort
+                })))
+        ));
+    }
+
+    return rows;
+}
+
+/**
+ * Replies with a paginated embed that the command's user can page through
+ * with buttons and re-sort with a select menu
+ * @param {CommandContext} ctx - Command context
+ * @param {Object} options
+ * @param {Function} options.render - (state) => EmbedBuilder for the current page
+ * @param {Function} options.getPageCount - (state) => number of pages
+ * @param {Array<{label: string, value: string}>} [options.sortChoices] - Sort options
+ * @param {string|null} [options.sort] - Initial sort value
+ * @returns {Promise<Message>} The reply
+ */
+async function sendPaginated(ctx, { render, getPageCount, sortChoices = [], sort = null }) {
+    const state = { page: 0, sort };
+
+    const message = await ctx.reply({
+        embeds: [render(state)],
+        components: buildComponents(state, getPageCount(state), sortChoices, ctx)
+    });
+
+    if (getPageCount(state) <= 1 && sortChoices.length === 0) {
+        return message;
+    }
+
+    const collector = message.createMessageComponentCollector({ time: PAGINATION_TIMEOUT });
+
+    collector.on('collect', async (interaction) => {
+        if (interaction.user.id !== ctx.user.id) {
+            try {
+                await interaction.reply({
+                    content: ctx.t('pagination.notYours', { user: `${ctx.user}` }),
+                    flags: MessageFlags.Ephemeral
+                });
+            } catch (error) {
+                log.error('Error answering a click on someone else\'s pages', { error: error.message });
+            }
+            return;
+        }
+
+        if (interaction.customId === 'page:prev') {
+            state.page = Math.max(0, state.page - 1);
+        } else if (interaction.customId === 'page:next') {
+            state.page = Math.min(getPageCount(state) - 1, state.page + 1);
+        } else if (interaction.customId === 'page:sort') {
+            state.sort = interaction.values[0];
+            state.page = 0;
+        }
+
+        try {
+            await interaction.update({
+                embeds: [render(state)],
+                components: buildComponents(state, getPageCount(state), sortChoices, ctx)
+            });
+        } catch (error) {
+            log.error('Error updating paginated message', { error: error.message });
+        }
+    });
+
+    collector.on('end', async () => {
+        try {
+            await message.edit({ components: buildComponents(state, getPageCount(state), sortChoices, ctx, true) });
+        } catch (error) {
+            // The message may have been deleted
+        }
+    });
+
+    return message;
+}
+
+module.exports = {
+    PAGINATION_TIMEOUT,
+    sendPaginated
+};
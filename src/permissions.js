@@ -0,0 +1,59 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { getGuildSettings } = require('./guilds');
+
+/**
+ * Permission levels a command can require (set as `permission` on the command module)
+ */
+const PERMISSIONS = {
+    // Anyone can run the command (default)
+    PUBLIC: 'public',
+    // Changes the roster or triggers updates: manager roles or Manage Server
+    MANAGE_ROSTER: 'manageRoster',
+    // Changes server settings: Manage Server only
+    ADMIN: 'admin'
+};
+
+/**
+ * Checks whether the user who ran a command may use it
+ * @param {CommandContext} ctx - Command context
+ * @param {string} level - Permission level from PERMISSIONS
+ * @returns {{allowed: boolean, reason: string|null}} Result, with a user-facing reason when denied
+ */
+function checkPermission(ctx, level = PERMISSIONS.PUBLIC) {
+    if (level === PERMISSIONS.PUBLIC) {
+        return { allowed: true, reason: null };
+    }
+
+    if (!ctx.guild || !ctx.member) {
+        return { allowed: false, reason: ctx.t('permissions.serverOnly') };
+    }
+
+    if (ctx.hasPermission(PermissionFlagsBits.ManageGuild)) {
+        return { allowed: true, reason: null };
+    }
+
+    if (level === PERMISSIONS.MANAGE_ROSTER) {
+        const { managerRoleIds } = getGuildSettings(ctx.guild.id);
+        const roles = ctx.member.roles;
+        // Slash command members may be raw API data where roles is an array of IDs
+        const memberRoleIds = Array.isArray(roles) ? roles : [...roles.cache.keys()];
+        if (managerRoleIds.some(roleId => memberRoleIds.includes(roleId))) {
+            return { allowed: true, reason: null };
+        }
+
+        const roleList = managerRoleIds.map(roleId => `<@&${roleId}>`).join(', ');
+        return {
+            allowed: false,
+            reason: roleList
+                ? ctx.t('permissions.needRole', { roles: roleList })
+                : ctx.t('permissions.needManageServerOrRole')
+        };
+    }
+
+    return { allowed: false, reason: ctx.t('permissions.needManageServer') };
+}
+
+module.exports = {
+    PERMISSIONS,
+    checkPermission
+};
@@ -0,0 +1,153 @@
+const CONFIG = require('./config');
+const { fetchPlayerStats, findPlayerById } = require('./api');
+const { renameTrackedPlayer, recordFetchFailure, recordFetchSuccess } = require('./players');
+const { updateLinkedAccount } = require('./links');
+const { getGuildSettings } = require('./guilds');
+const { notifyAdmins } = require('./alerts');
+const { getLocale, translate } = require('./i18n');
+const { createLogger } = require('./logger');
+
+/**
+ * Keeps tracked players reachable: follows players who renamed or moved
+ * platform (by their persona ID), and flags players that keep failing.
+ */
+
+const log = createLogger('playerHealth');
+
+/**
+ * Checks whether a response belongs to a tracked player (a new owner of an old name doesn't)
+ * @param {Object} player - Tracked player
+ * @param {Object} stats - API response
+ * @returns {boolean} True if the response is for this player
+ */
+function isSamePlayer(player, stats) {
+    return !player.personaId || !stats.personaId || String(stats.personaId) === player.personaId;
+}
+
+/**
+ * Finds a player by persona ID, on their stored platform first
+ * @param {Object} player - Tracked player with a personaId
+ * @returns {Promise<Object|null>} Player { name, personaId, platform } or null if not found
+ */
+async function reresolvePlayer(player) {
+    const platforms = [player.platform, ...CONFIG.PLATFORMS.filter(p => p !== player.platform)];
+    for (const platform of platforms) {
+        const found = await findPlayerById(player.personaId, platform);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Fetches a tracked player's stats. When the stored name no longer works, the
+ * player is looked up again by persona ID.
+ * @param {Object} player - Tracked player
+ * @returns {Promise<{stats: Object, platform: string}|null>} Stats and the platform they are from, or null if not found
+ */
+async function fetchTrackedStats(player) {
+    const stats = await fetchPlayerStats(player.name, player.platform, player.personaId);
+    if (stats && isSamePlayer(player, stats)) {
+        return { stats, platform: player.platform };
+    }
+    if (!player.personaId) {
+        return null;
+    }
+
+    // The player may have renamed or moved platform
+    const found = await reresolvePlayer(player);
+    if (!found) {
+        return null;
+    }
+    const refetched = await fetchPlayerStats(found.name, found.platform, found.personaId);
+    return refetched ? { stats: refetched, platform: found.platform } : null;
+}
+
+/**
+ * Builds the mentions that reach a guild's roster managers
+ * @param {string} guildId - Guild ID
+ * @returns {{content: string, allowedMentions: Object}} Mention prefix and allowed mentions
+ */
+function getManagerMentions(guildId) {
+    const { managerRoleIds } = getGuildSettings(guildId);
+    return {
+        content: managerRoleIds.map(roleId => `<@&${roleId}>`).join(' '),
+        allowedMentions: { roles: managerRoleIds }
+    };
+}
+
+/**
+ * Sends a notice to a stats channel, logging instead of throwing on failure
+ * @param {TextChannel} channel - Stats channel
+ * @param {Object} payload - Message options
+ */
+async function sendNotice(channel, payload) {
+    try {
+        await channel.send(payload);
+    } catch (error) {
+        log.error('Error sending player notice', { error: error.message });
+    }
+}
+
+/**
+ * Fetches a tracked player's stats, updating their stored name and platform
+ * when they changed and tracking failed fetches. Reachability notices go to
+ * the admin alert channel, renames to the stats channel.
+ * @param {Client} client - Discord client
+ * @param {TextChannel} channel - Stats channel, also used for alerts when no alert channel is set
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Tracked player (updated in place)
+ * @returns {Promise<Object|null>} Player stats, or null if they could not be fetched
+ */
+async function fetchAndCheckPlayer(client, channel, guildId, player) {
+    const result = await fetchTrackedStats(player);
+
+    if (!result) {
+        if (recordFetchFailure(player, CONFIG.UNREACHABLE_AFTER)) {
+            log.warn(`${player.name} (${player.platform}) failed ${player.failures} times in a row, marking as unreachable.`, { guildId });
+            const mentions = getManagerMentions(guildId);
+            const notice = translate(getLocale(guildId), 'health.unreachable', {
+                name: player.name,
+                platform: player.platform.toUpperCase(),
+                count: player.failures
+            });
+            await notifyAdmins(client, guildId, {
+                content: `${mentions.content ? `${mentions.content} ` : ''}${notice}`,
+                allowedMentions: mentions.allowedMentions
+            }, channel);
+        }
+        return null;
+    }
+
+    const { stats, platform } = result;
+    if (recordFetchSuccess(player)) {
+        log.info(`${player.name} (${player.platform}) is reachable again.`, { guildId });
+        await notifyAdmins(client, guildId, {
+            content: translate(getLocale(guildId), 'health.reachable', { name: player.name, platform: player.platform.toUpperCase() })
+        }, channel);
+    }
+
+    // Players without a persona ID are stored by name, so they can't be followed
+    const name = stats.userName || stats.name || player.name;
+    if (player.personaId && (name !== player.name || platform !== player.platform)) {
+        const oldName = player.name;
+        const oldPlatform = player.platform;
+        renameTrackedPlayer(player, { name, platform });
+        updateLinkedAccount(player);
+        log.info(`${oldName} (${oldPlatform}) is now known as ${name} (${platform}).`, { guildId });
+
+        const vars = { oldName, oldPlatform: oldPlatform.toUpperCase(), name, platform: platform.toUpperCase() };
+        await sendNotice(channel, {
+            content: translate(getLocale(guildId), platform !== oldPlatform ? 'health.movedPlatform' : 'health.renamed', vars),
+            allowedMentions: { parse: [] }
+        });
+    }
+
+    return stats;
+}
+
+module.exports = {
+    fetchTrackedStats,
+    fetchAndCheckPlayer
+};
@@ -0,0 +1,92 @@
+const { ActionRowBuilder, StringSelectMenuBuilder, MessageFlags } = require('discord.js');
+const { formatNumber } = require('./i18n');
+const { createLogger } = require('./logger');
+
+const log = createLogger('playerPicker');
+
+// How long the user has to pick a player
+const PICKER_TIMEOUT = 60 * 1000;
+
+/**
+ * Builds the select menu listing candidate players
+ * @param {Array<Object>} players - Candidates { name, platform, personaId, rank, kills }
+ * @param {CommandContext} ctx - Command context, used to translate the menu
+ * @param {boolean} disabled - Disable the menu (after the timeout)
+ * @returns {ActionRowBuilder} Message component row
+ */
+function buildPlayerMenu(players, ctx, disabled = false) {
+    return new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+            .setCustomId('picker:player')
+            .setPlaceholder(ctx.t('picker.placeholder'))
+            .setDisabled(disabled)
+            .addOptions(players.slice(0, 25).map((player, index) => {
+                const details = [
+                    player.rank ? ctx.t('picker.rank', { rank: player.rank }) : null,
+                    player.kills ? ctx.t('picker.kills', { kills: formatNumber(ctx.locale, player.kills) }) : null,
+                    player.personaId ? `ID ${player.personaId}` : null
+                ].filter(Boolean);
+                return {
+                    label: `${player.name} (${player.platform.toUpperCase()})`.slice(0, 100),
+                    description: details.length > 0 ? details.join(' • ') : undefined,
+                    value: String(index)
+                };
+            }))
+    );
+}
+
+/**
+ * Asks the command's user to choose one of several players with a select menu
+ * @param {CommandContext} ctx - Command context
+ * @param {Array<Object>} players - Candidates { name, platform, personaId, rank, kills }
+ * @param {string} prompt - Message shown above the menu
+ * @returns {Promise<{player: Object, interaction: StringSelectMenuInteraction}|null>}
+ *          The chosen player and the (already acknowledged) menu interaction, or null on timeout
+ */
+async function pickPlayer(ctx, players, prompt) {
+    const message = await ctx.reply({ content: prompt, components: [buildPlayerMenu(players, ctx)] });
+
+    return new Promise((resolve) => {
+        const collector = message.createMessageComponentCollector({ time: PICKER_TIMEOUT });
+        let picked = false;
+
+        collector.on('collect', async (interaction) => {
+            if (interaction.user.id !== ctx.user.id) {
+                return interaction.reply({
+                    content: ctx.t('picker.notYours', { user: `${ctx.user}` }),
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+
+            const player = players[Number(interaction.values[0])];
+            picked = true;
+            collector.stop('picked');
+
+            try {
+                await interaction.update({
+                    content: ctx.t('picker.loading', { name: player.name, platform: player.platform.toUpperCase() }),
+                    components: []
+                });
+                resolve({ player, interaction });
+            } catch (error) {
+                log.error('Error updating player picker', { error: error.message });
+                resolve(null);
+            }
+        });
+
+        collector.on('end', async () => {
+            if (picked) return;
+            try {
+                await message.edit({ content: `${prompt}\n${ctx.t('picker.timedOut')}`, components: [buildPlayerMenu(players, ctx, true)] });
+            } catch (error) {
+                // The message may have been deleted
+            }
+            resolve(null);
+        });
+    });
+}
+
+module.exports = {
+    PICKER_TIMEOUT,
+    pickPlayer
+};
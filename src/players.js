@@ -0,0 +1,377 @@
+const storage = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('players');
+
+// Tracked players per guild: { [guildId]: [{ personaId: string, name: string, platform: string,
+//   aliases?: [{ name, platform, until }], failures?: number, unreachable?: boolean }] }
+let trackedPlayers = {};
+
+// Teams per guild: { [guildId]: [{ name: string, members: [playerKey] }] }
+let teams = {};
+
+// Roster from the old single-channel file format, waiting to be assigned to a guild
+let legacyPlayers = null;
+
+/**
+ * Load tracked players from storage
+ */
+function loadTrackedPlayers() {
+    try {
+        const data = storage.loadDocument('trackedPlayers');
+        if (data) {
+            trackedPlayers = data.guilds;
+            teams = data.teams;
+            legacyPlayers = data.legacy || null;
+            if (legacyPlayers) {
+                // Old format: one global roster
+                log.info(`Loaded ${legacyPlayers.length} tracked player(s) from legacy file.`);
+            } else {
+                log.info(`Loaded ${getTotalTrackedCount()} tracked player(s) in ${Object.keys(trackedPlayers).length} guild(s) from file.`);
+            }
+        } else {
+            trackedPlayers = {};
+            teams = {};
+            legacyPlayers = null;
+            saveTrackedPlayers(); // Create empty file
+        }
+    } catch (error) {
+        log.error('Error loading tracked players', { error: error.message });
+        trackedPlayers = {};
+        teams = {};
+        legacyPlayers = null;
+    }
+}
+
+/**
+ * Save tracked players to storage
+ */
+function saveTrackedPlayers() {
+    try {
+        // A legacy roster that hasn't been assigned to a guild yet is kept as is
+        storage.saveDocument('trackedPlayers', legacyPlayers
+            ? { guilds: trackedPlayers, teams, legacy: legacyPlayers }
+            : { guilds: trackedPlayers, teams });
+    } catch (error) {
+        log.error('Error saving tracked players', { error: error.message });
+    }
+}
+
+/**
+ * Checks whether a roster in the old single-channel format is waiting to be migrated
+ * @returns {boolean} True if a legacy roster was loaded
+ */
+function hasLegacyRoster() {
+    return legacyPlayers !== null;
+}
+
+/**
+ * Moves a roster loaded from the old single-channel format into a guild
+ * @param {string} guildId - Guild that used to own the global roster
+ * @returns {number} Number of players migrated
+ */
+function assignLegacyRoster(guildId) {
+    const players = legacyPlayers || [];
+    legacyPlayers = null;
+    trackedPlayers[guildId] = (trackedPlayers[guildId] || []).concat(players);
+    saveTrackedPlayers();
+    return players.length;
+}
+
+/**
+ * Gets the players tracked in a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Array<Object>} Tracked players
+ */
+function getTrackedPlayers(guildId) {
+    return trackedPlayers[guildId] || [];
+}
+
+/**
+ * Gets the IDs of all guilds with a roster
+ * @returns {Array<string>} Guild IDs
+ */
+function getRosterGuildIds() {
+    return Object.keys(trackedPlayers);
+}
+
+/**
+ * Counts tracked players across all guilds
+ * @returns {number} Number of tracked entries
+ */
+function getTotalTrackedCount() {
+    return Object.values(trackedPlayers).reduce((total, players) => total + players.length, 0);
+}
+
+/**
+ * Builds the key used to store stats for a player
+ * @param {Object} player - Player object with name, platform, and personaId
+ * @returns {string} personaId, or name_platform when no ID is known
+ */
+function getPlayerKey(player) {
+    return player.personaId || `${player.name}_${player.platform}`;
+}
+
+/**
+ * Finds a tracked player matching the given player (same ID, or same name and platform)
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Player object with name, platform, and personaId
+ * @returns {Object|undefined} The tracked player
+ */
+function findTrackedMatch(guildId, player) {
+    return getTrackedPlayers(guildId).find(p =>
+        (p.personaId && p.personaId === player.personaId) ||
+        (p.name === player.name && p.platform === player.platform)
+    );
+}
+
+/**
+ * Finds a tracked player by ID or (case-insensitive) name
+ * @param {string} guildId - Guild ID
+ * @param {string} query - personaId or player name
+ * @returns {Object|undefined} The tracked player
+ */
+function findTrackedPlayer(guildId, query) {
+    return getTrackedPlayers(guildId).find(p =>
+        (p.personaId && p.personaId === query) ||
+        p.name.toLowerCase() === query.toLowerCase()
+    );
+}
+
+/**
+ * Adds a player to a guild's tracking
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Player object with name, platform, and personaId
+ * @returns {boolean} False if the player was already tracked
+ */
+function addTrackedPlayer(guildId, player) {
+    if (findTrackedMatch(guildId, player)) {
+        return false;
+    }
+    if (!trackedPlayers[guildId]) {
+        trackedPlayers[guildId] = [];
+    }
+    trackedPlayers[guildId].push(player);
+    saveTrackedPlayers();
+    return true;
+}
+
+/**
+ * Removes a player from a guild's tracking
+ * @param {string} guildId - Guild ID
+ * @param {string} query - personaId or player name
+ * @returns {Object|null} The removed player, or null if not tracked
+ */
+function removeTrackedPlayer(guildId, query) {
+    const player = findTrackedPlayer(guildId, query);
+    if (!player) {
+        return null;
+    }
+    const players = trackedPlayers[guildId];
+    players.splice(players.indexOf(player), 1);
+
+    // Untracked players leave their team too
+    const key = getPlayerKey(player);
+    for (const team of getTeams(guildId)) {
+        team.members = team.members.filter(member => member !== key);
+    }
+
+    saveTrackedPlayers();
+    return player;
+}
+
+/**
+ * Updates a tracked player's name and/or platform after they changed, keeping the old ones as an alias
+ * @param {Object} player - Tracked player (changed in place)
+ * @param {Object} changes - New name and platform
+ * @param {string} changes.name - Current name
+ * @param {string} changes.platform - Current platform
+ */
+function renameTrackedPlayer(player, { name, platform }) {
+    player.aliases = [
+        ...(player.aliases || []),
+        { name: player.name, platform: player.platform, until: new Date().toISOString() }
+    ];
+    player.name = name;
+    player.platform = platform;
+    saveTrackedPlayers();
+}
+
+/**
+ * Counts a failed stats fetch for a tracked player
+ * @param {Object} player - Tracked player (changed in place)
+ * @param {number} limit - Consecutive failures after which the player is unreachable
+ * @returns {boolean} True if the player just became unreachable
+ */
+function recordFetchFailure(player, limit) {
+    player.failures = (player.failures || 0) + 1;
+    const becameUnreachable = !player.unreachable && player.failures >= limit;
+    if (becameUnreachable) {
+        player.unreachable = true;
+    }
+    saveTrackedPlayers();
+    return becameUnreachable;
+}
+
+/**
+ * Clears the failure count of a tracked player after a successful fetch
+ * @param {Object} player - Tracked player (changed in place)
+ * @returns {boolean} True if the player was flagged as unreachable before
+ */
+function recordFetchSuccess(player) {
+    const wasUnreachable = Boolean(player.unreachable);
+    if (player.failures || wasUnreachable) {
+        delete player.failures;
+        delete player.unreachable;
+        saveTrackedPlayers();
+    }
+    return wasUnreachable;
+}
+
+/**
+ * Sets or clears a tracked player's own update interval
+ * @param {Object} player - Tracked player (changed in place)
+ * @param {number|null} interval - Interval in milliseconds, or null to go back to the automatic one
+ */
+function setPollInterval(player, interval) {
+    if (interval) {
+        player.pollInterval = interval;
+    } else {
+        delete player.pollInterval;
+    }
+    saveTrackedPlayers();
+}
+
+/**
+ * Gets the teams of a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Array<{name: string, members: Array<string>}>} Teams with the player keys of their members
+ */
+function getTeams(guildId) {
+    return teams[guildId] || [];
+}
+
+/**
+ * Finds a team by (case-insensitive) name
+ * @param {string} guildId - Guild ID
+ * @param {string} name - Team name
+ * @returns {Object|undefined} The team
+ */
+function findTeam(guildId, name) {
+    return getTeams(guildId).find(team => team.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Creates an empty team
+ * @param {string} guildId - Guild ID
+ * @param {string} name - Team name
+ * @returns {Object|null} The new team, or null if a team with this name exists
+ */
+function createTeam(guildId, name) {
+    if (findTeam(guildId, name)) {
+        return null;
+    }
+    const team = { name, members: [] };
+    teams[guildId] = [...getTeams(guildId), team];
+    saveTrackedPlayers();
+    return team;
+}
+
+/**
+ * Deletes a team (its players stay tracked)
+ * @param {string} guildId - Guild ID
+ * @param {string} name - Team name
+ * @returns {Object|null} The deleted team, or null if there is no such team
+ */
+function deleteTeam(guildId, name) {
+    const team = findTeam(guildId, name);
+    if (!team) {
+        return null;
+    }
+    teams[guildId] = getTeams(guildId).filter(t => t !== team);
+    saveTrackedPlayers();
+    return team;
+}
+
+/**
+ * Gets the team a tracked player belongs to
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Player object with name, platform, and personaId
+ * @returns {Object|undefined} The player's team
+ */
+function getPlayerTeam(guildId, player) {
+    const key = getPlayerKey(player);
+    return getTeams(guildId).find(team => team.members.includes(key));
+}
+
+/**
+ * Puts a tracked player in a team, moving them out of their previous team
+ * @param {string} guildId - Guild ID
+ * @param {Object} team - Team from findTeam
+ * @param {Object} player - Tracked player
+ * @returns {Object|null} The player's previous team, or null if they had none
+ */
+function addTeamMember(guildId, team, player) {
+    const previous = getPlayerTeam(guildId, player) || null;
+    const key = getPlayerKey(player);
+    if (previous) {
+        previous.members = previous.members.filter(member => member !== key);
+    }
+    team.members.push(key);
+    saveTrackedPlayers();
+    return previous;
+}
+
+/**
+ * Takes a player out of a team
+ * @param {string} guildId - Guild ID
+ * @param {Object} team - Team from findTeam
+ * @param {Object} player - Tracked player
+ * @returns {boolean} False if the player was not in the team
+ */
+function removeTeamMember(guildId, team, player) {
+    const key = getPlayerKey(player);
+    if (!team.members.includes(key)) {
+        return false;
+    }
+    team.members = team.members.filter(member => member !== key);
+    saveTrackedPlayers();
+    return true;
+}
+
+/**
+ * Gets the tracked players of a team
+ * @param {string} guildId - Guild ID
+ * @param {Object} team - Team from findTeam
+ * @returns {Array<Object>} Tracked players in the team
+ */
+function getTeamPlayers(guildId, team) {
+    return getTrackedPlayers(guildId).filter(player => team.members.includes(getPlayerKey(player)));
+}
+
+module.exports = {
+    loadTrackedPlayers,
+    saveTrackedPlayers,
+    hasLegacyRoster,
+    assignLegacyRoster,
+    getTrackedPlayers,
+    getRosterGuildIds,
+    getTotalTrackedCount,
+    getPlayerKey,
+    findTrackedMatch,
+    findTrackedPlayer,
+    addTrackedPlayer,
+    removeTrackedPlayer,
+    renameTrackedPlayer,
+    recordFetchFailure,
+    recordFetchSuccess,
+    setPollInterval,
+    getTeams,
+    findTeam,
+    createTeam,
+    deleteTeam,
+    getPlayerTeam,
+    addTeamMember,
+    removeTeamMember,
+    getTeamPlayers
+};
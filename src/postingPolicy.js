@@ -0,0 +1,143 @@
+const { translate } = require('./i18n');
+
+/**
+ * Per-guild posting policy: minimum changes before a stats card is posted,
+ * quiet hours in the guild's timezone, and the daily digest time.
+ */
+
+/**
+ * Reads a counter's increase between two stats snapshots
+ * @param {Object} oldStats - Previously posted stats
+ * @param {Object} newStats - Current stats
+ * @param {string} field - Stat field
+ * @returns {number} Increase (0 when either value is missing)
+ */
+function getIncrease(oldStats, newStats, field) {
+    if (typeof oldStats[field] !== 'number' || typeof newStats[field] !== 'number') {
+        return 0;
+    }
+    return newStats[field] - oldStats[field];
+}
+
+// Changes a threshold can be set on
+const THRESHOLD_STATS = {
+    matches: { label: 'Matches', get: (o, n) => getIncrease(o, n, 'wins') + getIncrease(o, n, 'losses') },
+    kills: { label: 'Kills', get: (o, n) => getIncrease(o, n, 'kills') },
+    deaths: { label: 'Deaths', get: (o, n) => getIncrease(o, n, 'deaths') },
+    score: { label: 'Score', get: (o, n) => getIncrease(o, n, 'score') },
+    wins: { label: 'Wins', get: (o, n) => getIncrease(o, n, 'wins') },
+    minutes: { label: 'Minutes Played', get: (o, n) => getIncrease(o, n, 'timePlayed') / 60 }
+};
+
+/**
+ * Checks whether a player changed enough to be posted. Meeting any one threshold is enough.
+ * @param {Object|null} oldStats - Previously posted stats (null if never posted)
+ * @param {Object} newStats - Current stats
+ * @param {Object} thresholds - Minimum changes, e.g. { matches: 1, kills: 10 }
+ * @returns {boolean} True if there are no thresholds, no previous stats, or a threshold is met
+ */
+function meetsThresholds(oldStats, newStats, thresholds) {
+    const entries = Object.entries(thresholds || {}).filter(([stat]) => THRESHOLD_STATS[stat]);
+    if (!oldStats || entries.length === 0) {
+        return true;
+    }
+    return entries.some(([stat, minimum]) => THRESHOLD_STATS[stat].get(oldStats, newStats) >= minimum);
+}
+
+/**
+ * Checks whether a timezone name is known
+ * @param {string} timezone - IANA timezone, e.g. "Europe/Berlin"
+ * @returns {boolean} True if it can be used
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Gets the local date and hour in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Moment to convert
+ * @returns {{date: string, hour: number}} Local date as YYYY-MM-DD and hour (0-23)
+ */
+function getLocalTime(timezone, date = new Date()) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23'
+    });
+    for (const part of formatter.formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+}
+
+/**
+ * Checks whether a guild is in its quiet hours
+ * @param {Object} settings - Guild settings
+ * @param {Date} date - Moment to check
+ * @returns {boolean} True if posts should wait
+ */
+function isQuietTime(settings, date = new Date()) {
+    const { quietHours, timezone } = settings;
+    if (!quietHours || quietHours.start === quietHours.end) {
+        return false;
+    }
+    const { hour } = getLocalTime(timezone, date);
+    // Quiet hours may wrap around midnight (e.g. 23 to 8)
+    return quietHours.start < quietHours.end
+        ? hour >= quietHours.start && hour < quietHours.end
+        : hour >= quietHours.start || hour < quietHours.end;
+}
+
+/**
+ * Formats an hour of the day
+ * @param {number} hour - Hour (0-23)
+ * @returns {string} e.g. "08:00"
+ */
+function formatHour(hour) {
+    return `${String(hour).padStart(2, '0')}:00`;
+}
+
+/**
+ * Describes a guild's posting policy
+ * @param {Object} settings - Guild settings
+ * @param {string} [locale] - Locale code
+ * @returns {Array<string>} One line per policy setting
+ */
+function describePolicy(settings, locale) {
+    const thresholds = Object.entries(settings.postThresholds)
+        .filter(([stat]) => THRESHOLD_STATS[stat])
+        .map(([stat, minimum]) => translate(locale, `policy.thresholdAmounts.${stat}`, { count: minimum }));
+
+    return [
+        translate(locale, `policy.describe.${settings.postMode}`, { hour: formatHour(settings.digestHour) }),
+        translate(locale, 'policy.describe.minimum', {
+            value: thresholds.length > 0 ? thresholds.join(translate(locale, 'policy.describe.or')) : translate(locale, 'policy.describe.anyChange')
+        }),
+        translate(locale, 'policy.describe.quietHours', {
+            value: settings.quietHours
+                ? `${formatHour(settings.quietHours.start)} – ${formatHour(settings.quietHours.end)}`
+                : translate(locale, 'policy.describe.off')
+        }),
+        translate(locale, 'policy.describe.timezone', { value: settings.timezone })
+    ];
+}
+
+module.exports = {
+    THRESHOLD_STATS,
+    meetsThresholds,
+    isValidTimezone,
+    getLocalTime,
+    isQuietTime,
+    formatHour,
+    describePolicy
+};
@@ -0,0 +1,207 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+const { translate } = require('./i18n');
+
+/**
+ * Parses legacy "!command arg1 arg2" messages into the options declared by a
+ * command's slash command definition, so both interfaces share one handler.
+ */
+
+const PREFIX = '!';
+
+/**
+ * Error thrown when a prefix command's arguments don't match its definition.
+ * Carries a message key so the reply can be translated for the guild.
+ */
+class UsageError extends Error {
+    /**
+     * @param {string} key - Message key, e.g. "usage.missingOption"
+     * @param {Object} [vars] - Placeholder values
+     */
+    constructor(key, vars = {}) {
+        super(translate('en', key, vars));
+        this.key = key;
+        this.vars = vars;
+    }
+}
+
+/**
+ * Splits an argument string into tokens, keeping "quoted values" together
+ * @param {string} input - Argument string
+ * @returns {Array<{value: string, index: number}>} Tokens with their start position
+ */
+function tokenize(input) {
+    const tokens = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(input)) !== null) {
+        tokens.push({ value: match[1] !== undefined ? match[1] : match[2], index: match.index });
+    }
+    return tokens;
+}
+
+/**
+ * Builds a usage string for a command, e.g. "!track <id> [platform]"
+ * @param {Object} data - Slash command JSON
+ * @param {string} prefix - Command prefix, "!" or "/"
+ * @returns {string} Usage string
+ */
+function buildUsage(data, prefix = PREFIX) {
+    const options = data.options || [];
+    const subcommands = options.filter(o => o.type === ApplicationCommandOptionType.Subcommand);
+    const format = opts => opts
+        .filter(o => o.type !== ApplicationCommandOptionType.Attachment)
+        .map(o => (o.required ? `<${o.name}>` : `[${o.name}]`))
+        .join(' ');
+
+    if (subcommands.length > 0) {
+        return subcommands
+            .map(sub => `${prefix}${data.name} ${sub.name} ${format(sub.options || [])}`.trim())
+            .join('\n');
+    }
+    return `${prefix}${data.name} ${format(options)}`.trim();
+}
+
+/**
+ * Matches a token against an option's choices
+ * @param {Object} option - Option JSON
+ * @param {string} token - Raw token
+ * @returns {*} The choice value, or undefined if no choice matches
+ */
+function matchChoice(option, token) {
+    const lower = token.toLowerCase();
+    const choice = option.choices.find(c =>
+        String(c.value).toLowerCase() === lower || c.name.toLowerCase() === lower
+    );
+    return choice ? choice.value : undefined;
+}
+
+/**
+ * Converts a token to the value type of an option
+ * @param {Object} option - Option JSON
+ * @param {string} token - Raw token
+ * @param {Message} message - Message the command came from
+ * @returns {Promise<*>} Converted value, or undefined if the token is not valid for the option
+ */
+async function convertToken(option, token, message) {
+    if (option.choices && option.choices.length > 0) {
+        return matchChoice(option, token);
+    }
+
+    switch (option.type) {
+        case ApplicationCommandOptionType.Integer: {
+            const value = parseInt(token, 10);
+            return Number.isNaN(value) || !/^-?\d+$/.test(token) ? undefined : value;
+        }
+        case ApplicationCommandOptionType.Number: {
+            const value = parseFloat(token);
+            return Number.isNaN(value) ? undefined : value;
+        }
+        case ApplicationCommandOptionType.Boolean: {
+            const lower = token.toLowerCase();
+            if (['true', 'yes', 'on', '1'].includes(lower)) return true;
+            if (['false', 'no', 'off', '0'].includes(lower)) return false;
+            return undefined;
+        }
+        case ApplicationCommandOptionType.User: {
+            const id = (token.match(/^<@!?(\d+)>$/) || token.match(/^(\d{15,})$/) || [])[1];
+            if (!id) return undefined;
+            return message.client.users.fetch(id).catch(() => undefined);
+        }
+        case ApplicationCommandOptionType.Channel: {
+            const id = (token.match(/^<#(\d+)>$/) || token.match(/^(\d{15,})$/) || [])[1];
+            if (!id) return undefined;
+            return message.client.channels.fetch(id).catch(() => undefined);
+        }
+        case ApplicationCommandOptionType.Role: {
+            if (!message.guild) return undefined;
+            const id = (token.match(/^<@&(\d+)>$/) || token.match(/^(\d{15,})$/) || [])[1];
+            if (id) return message.guild.roles.cache.get(id);
+            return message.guild.roles.cache.find(r => r.name.toLowerCase() === token.toLowerCase());
+        }
+        default:
+            return token;
+    }
+}
+
+/**
+ * Parses the arguments of a prefix command
+ * @param {Object} data - Slash command JSON
+ * @param {string} argString - Everything after the command name
+ * @param {Message} message - Message the command came from
+ * @returns {Promise<{subcommand: string|null, options: Object}>} Parsed subcommand and options
+ * @throws {UsageError} If arguments are missing or invalid
+ */
+async function parseArgs(data, argString, message) {
+    let input = argString.trim();
+    let definitions = data.options || [];
+    let subcommand = null;
+
+    const subcommands = definitions.filter(o => o.type === ApplicationCommandOptionType.Subcommand);
+    if (subcommands.length > 0) {
+        const [first] = tokenize(input);
+        const selected = first && subcommands.find(s => s.name === first.value.toLowerCase());
+        if (!selected) {
+            throw new UsageError('usage.unknownSubcommand', { usage: buildUsage(data) });
+        }
+        subcommand = selected.name;
+        definitions = selected.options || [];
+        input = input.slice(first.index + first.value.length).trim();
+    }
+
+    const usage = subcommand
+        ? `${PREFIX}${data.name} ${subcommand} ${buildUsage({ name: '', options: definitions }, '').trim()}`.trim()
+        : buildUsage(data);
+
+    const options = {};
+    const tokens = tokenize(input);
+    let position = 0;
+
+    const positional = definitions.filter(o => o.type !== ApplicationCommandOptionType.Attachment);
+    for (let i = 0; i < positional.length; i++) {
+        const option = positional[i];
+        const token = tokens[position];
+        const isLast = i === positional.length - 1;
+
+        if (!token) {
+            if (option.required) {
+                throw new UsageError('usage.missingOption', { option: option.name, usage });
+            }
+            continue;
+        }
+
+        // The last text option takes the rest of the message (e.g. names with spaces)
+        if (isLast && option.type === ApplicationCommandOptionType.String && !option.choices) {
+            const rest = input.slice(token.index).trim();
+            options[option.name] = rest.replace(/^"(.*)"$/, '$1');
+            position = tokens.length;
+            continue;
+        }
+
+        const value = await convertToken(option, token.value, message);
+        if (value === undefined) {
+            // Optional options may be skipped, so try the token against the next one
+            if (!option.required) continue;
+            throw new UsageError('usage.invalidValue', { option: option.name, value: token.value, usage });
+        }
+        options[option.name] = value;
+        position++;
+    }
+
+    for (const option of definitions.filter(o => o.type === ApplicationCommandOptionType.Attachment)) {
+        const attachment = message.attachments.first();
+        if (attachment) {
+            options[option.name] = attachment;
+        } else if (option.required) {
+            throw new UsageError('usage.missingAttachment', { option: option.name, usage });
+        }
+    }
+
+    return { subcommand, options };
+}
+
+module.exports = {
+    PREFIX,
+    UsageError,
+    buildUsage,
+    parseArgs
+};
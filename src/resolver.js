@@ -0,0 +1,78 @@
+const { resolveTrackerUrl, findPlayerById } = require('./api');
+const { findTrackedPlayer } = require('./players');
+const { getLinkedPlayer, getLinkedAccounts } = require('./links');
+
+/**
+ * Reads the user ID from a Discord user mention
+ * @param {string} query - Text such as "<@123>" or "<@!123>"
+ * @returns {string|null} User ID, or null if the text is not a mention
+ */
+function parseUserMention(query) {
+    const match = query.trim().match(/^<@!?(\d+)>$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Resolves what a user typed into a player. Accepts a tracked player's name or
+ * personaId, any personaId, a tracker.gg profile URL, or an @mention of a member
+ * with a linked account.
+ * @param {string} guildId - Guild whose roster is searched first
+ * @param {string} query - Name, personaId, tracker.gg URL or user mention
+ * @returns {Promise<Object|null>} Player { name, personaId, platform } or null if not found
+ */
+async function resolvePlayer(guildId, query) {
+    const input = query.trim();
+
+    const mentionedId = parseUserMention(input);
+    if (mentionedId) {
+        return getLinkedPlayer(mentionedId);
+    }
+
+    const tracked = findTrackedPlayer(guildId, input);
+    if (tracked) {
+        return tracked;
+    }
+
+    if (input.startsWith('http')) {
+        const player = await resolveTrackerUrl(input);
+        return player && (findTrackedPlayer(guildId, player.personaId || player.name) || player);
+    }
+
+    if (!/^\d+$/.test(input)) {
+        return null;
+    }
+
+    return findTrackedPlayer(guildId, input) || findPlayerById(input);
+}
+
+/**
+ * Builds the reply for a command that needed a linked account the user doesn't have
+ * @param {CommandContext} ctx - Command context
+ * @param {string} userId - User whose linked account was needed
+ * @param {string|null} platform - Platform the account was needed on, if any
+ * @returns {Object} Reply payload (doesn't ping the mentioned user)
+ */
+function getNotLinkedReply(ctx, userId, platform = null) {
+    const self = userId === ctx.user.id;
+    const accounts = getLinkedAccounts(userId);
+
+    // Linked, just not on that platform: say where they are linked instead
+    let content;
+    if (platform && accounts.length > 0) {
+        const platforms = [...new Set(accounts.map(account => account.platform.toUpperCase()))].join(', ');
+        content = self
+            ? ctx.t('links.noPlatformAccount', { platform: platform.toUpperCase(), platforms })
+            : ctx.t('links.noPlatformAccountOther', { user: `<@${userId}>`, platform: platform.toUpperCase(), platforms });
+    } else {
+        content = self
+            ? ctx.t('links.notLinkedSelf')
+            : ctx.t('links.notLinkedOther', { user: `<@${userId}>` });
+    }
+    return { content, allowedMentions: { parse: [] } };
+}
+
+module.exports = {
+    parseUserMention,
+    resolvePlayer,
+    getNotLinkedReply
+};
@@ -0,0 +1,44 @@
+const { findPlayerById } = require('./api');
+const { addTrackedPlayer, removeTrackedPlayer } = require('./players');
+const { forgetPlayer } = require('./tracker');
+const { discardSession } = require('./sessions');
+
+/**
+ * Roster changes shared by the /track and /untrack commands and the HTTP API
+ */
+
+/**
+ * Looks a player up by ID and adds them to a guild's tracking
+ * @param {string} guildId - Guild ID
+ * @param {string} playerId - Player's personaId
+ * @param {string|null} platform - Only look on this platform when given
+ * @returns {Promise<{player: Object|null, added: boolean}>} The player (null if not found) and whether they were newly added
+ */
+async function trackPlayerById(guildId, playerId, platform = null) {
+    const player = await findPlayerById(playerId, platform);
+    if (!player) {
+        return { player: null, added: false };
+    }
+    return { player, added: addTrackedPlayer(guildId, player) };
+}
+
+/**
+ * Removes a player from a guild's tracking, along with their cached stats and session in progress
+ * @param {string} guildId - Guild ID
+ * @param {string} query - personaId or player name
+ * @returns {Object|null} The removed player, or null if not tracked
+ */
+function untrackPlayer(guildId, query) {
+    const player = removeTrackedPlayer(guildId, query);
+    if (!player) {
+        return null;
+    }
+    forgetPlayer(guildId, player);
+    discardSession(guildId, player);
+    return player;
+}
+
+module.exports = {
+    trackPlayerById,
+    untrackPlayer
+};
@@ -0,0 +1,262 @@
+const CONFIG = require('./config');
+const history = require('./history');
+const { findPlayerById, findPlayerByName } = require('./api');
+const { getTrackedPlayers, getPlayerKey, findTrackedMatch, addTrackedPlayer } = require('./players');
+const { translate } = require('./i18n');
+const { createLogger } = require('./logger');
+
+/**
+ * Exports a guild's roster as JSON or CSV and imports such files back,
+ * so rosters can be moved between servers or bot instances.
+ */
+
+const log = createLogger('rosterTransfer');
+
+// Stats included in exports, from the latest snapshot of each player
+const EXPORT_STATS = [
+    'kills', 'deaths', 'kdRatio', 'score', 'wins', 'losses', 'winPercent',
+    'killsPerMinute', 'scorePerMinute', 'timePlayed', 'rank', 'matchesPlayed'
+];
+
+const PLAYER_COLUMNS = ['name', 'platform', 'personaId'];
+
+/**
+ * Error thrown when a file can't be read as a roster.
+ * Carries a message key so the reply can be translated for the guild.
+ */
+class RosterFileError extends Error {
+    /**
+     * @param {string} key - Message key, e.g. "importReport.invalidJson"
+     * @param {Object} [vars] - Placeholder values
+     */
+    constructor(key, vars = {}) {
+        super(translate('en', key, vars));
+        this.key = key;
+        this.vars = vars;
+    }
+}
+
+// Most players accepted in one import, to keep within API rate limits
+const MAX_IMPORT_PLAYERS = 200;
+
+/**
+ * Quotes a value for a CSV cell when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parses CSV text into rows of cells (quoted cells may contain commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, blank lines left out
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(c => c.trim() !== ''));
+}
+
+/**
+ * Builds the export entries of a guild's roster
+ * @param {string} guildId - Guild ID
+ * @param {boolean} includeStats - Add each player's latest stats snapshot
+ * @returns {Array<Object>} { name, platform, personaId, statsUpdatedAt?, stats? } per player
+ */
+function buildExportEntries(guildId, includeStats) {
+    const snapshotsByKey = includeStats ? history.getSnapshotsByKey(guildId) : null;
+
+    return getTrackedPlayers(guildId).map(player => {
+        const entry = { name: player.name, platform: player.platform, personaId: player.personaId || null };
+        if (includeStats) {
+            const snapshots = snapshotsByKey.get(getPlayerKey(player)) || [];
+            const latest = snapshots[snapshots.length - 1];
+            entry.statsUpdatedAt = latest ? latest.timestamp : null;
+            entry.stats = latest
+                ? Object.fromEntries(EXPORT_STATS.filter(stat => latest.stats[stat] !== undefined).map(stat => [stat, latest.stats[stat]]))
+                : null;
+        }
+        return entry;
+    });
+}
+
+/**
+ * Exports a guild's roster
+ * @param {string} guildId - Guild ID
+ * @param {string} format - 'json' or 'csv'
+ * @param {boolean} includeStats - Add each player's latest stats snapshot
+ * @returns {{content: string, count: number}} File content and number of players
+ */
+function exportRoster(guildId, format, includeStats = false) {
+    const entries = buildExportEntries(guildId, includeStats);
+
+    if (format === 'csv') {
+        const columns = includeStats ? [...PLAYER_COLUMNS, 'statsUpdatedAt', ...EXPORT_STATS] : PLAYER_COLUMNS;
+        const lines = [columns.join(',')];
+        for (const entry of entries) {
+            const values = { ...entry, ...entry.stats };
+            lines.push(columns.map(column => toCsvCell(values[column])).join(','));
+        }
+        return { content: lines.join('\r\n') + '\r\n', count: entries.length };
+    }
+
+    const data = { exportedAt: new Date().toISOString(), players: entries };
+    return { content: JSON.stringify(data, null, 2), count: entries.length };
+}
+
+/**
+ * Reads the players from an exported roster file
+ * @param {string} text - File content
+ * @param {string} fileName - File name, used to tell CSV from JSON
+ * @returns {Array<{name: string|null, platform: string|null, personaId: string|null}>} Entries to import
+ * @throws {RosterFileError} If the file can't be read as a roster
+ */
+function parseRosterFile(text, fileName) {
+    const content = text.replace(/^\uFEFF/, '');
+    const isJson = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^\s*[[{]/.test(content));
+    let entries;
+
+    if (isJson) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new RosterFileError('importReport.invalidJson', { error: error.message });
+        }
+        entries = Array.isArray(data) ? data : data && data.players;
+        if (!Array.isArray(entries)) {
+            throw new RosterFileError('importReport.noPlayerList');
+        }
+    } else {
+        const [header, ...rows] = parseCsv(content);
+        const columns = (header || []).map(column => column.trim());
+        if (!columns.includes('name') && !columns.includes('personaId')) {
+            throw new RosterFileError('importReport.noCsvHeader');
+        }
+        entries = rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index]])));
+    }
+
+    return entries.map(entry => {
+        const value = key => (entry && entry[key] !== undefined && entry[key] !== null && String(entry[key]).trim()) || null;
+        const platform = value('platform');
+        return {
+            name: value('name'),
+            platform: platform ? platform.toLowerCase() : null,
+            personaId: value('personaId')
+        };
+    });
+}
+
+/**
+ * Describes an import entry for the report
+ * @param {Object} entry - Entry from parseRosterFile
+ * @returns {string} e.g. "Name (PC)" or "ID 123"
+ */
+function describeEntry(entry) {
+    const name = entry.name || `ID ${entry.personaId}`;
+    return entry.platform ? `${name} (${entry.platform.toUpperCase()})` : name;
+}
+
+/**
+ * Checks an import entry against the API
+ * @param {Object} entry - Entry from parseRosterFile
+ * @returns {Promise<{player?: Object, reason?: string, vars?: Object}>} The player as found by the API,
+ *          or the message key (and its placeholder values) of why it failed
+ */
+async function validateEntry(entry) {
+    if (!entry.name && !entry.personaId) {
+        return { reason: 'importReport.reasons.noNameOrId' };
+    }
+    if (entry.platform && !CONFIG.PLATFORMS.includes(entry.platform)) {
+        return { reason: 'importReport.reasons.unknownPlatform', vars: { platform: entry.platform } };
+    }
+
+    if (entry.personaId) {
+        const player = await findPlayerById(entry.personaId, entry.platform);
+        return player ? { player } : { reason: 'importReport.reasons.noSuchId' };
+    }
+    if (!entry.platform) {
+        return { reason: 'importReport.reasons.platformNeeded' };
+    }
+    const player = await findPlayerByName(entry.name, entry.platform);
+    return player ? { player } : { reason: 'importReport.reasons.notFound' };
+}
+
+/**
+ * Adds the players of an imported roster to a guild's tracking
+ * @param {string} guildId - Guild ID
+ * @param {Array<Object>} entries - Entries from parseRosterFile
+ * @returns {Promise<{added: Array<Object>, skipped: Array<Object>, failed: Array<Object>}>} Import report;
+ *          skipped and failed entries are { name, reason, vars } with reason a message key
+ */
+async function importRoster(guildId, entries) {
+    const report = { added: [], skipped: [], failed: [] };
+
+    for (const entry of entries) {
+        // Skip players already tracked before spending an API request on them
+        const known = findTrackedMatch(guildId, entry);
+        if (known) {
+            report.skipped.push({ name: describeEntry(known), reason: 'importReport.reasons.alreadyTracked' });
+            continue;
+        }
+
+        const { player, reason, vars } = await validateEntry(entry);
+        if (!player) {
+            report.failed.push({ name: describeEntry(entry), reason, vars });
+        } else if (!addTrackedPlayer(guildId, player)) {
+            report.skipped.push({ name: describeEntry(player), reason: 'importReport.reasons.alreadyTracked' });
+        } else {
+            report.added.push(player);
+        }
+    }
+
+    log.info(`Imported roster into guild ${guildId}: ${report.added.length} added, ${report.skipped.length} skipped, ${report.failed.length} failed`);
+    return report;
+}
+
+module.exports = {
+    MAX_IMPORT_PLAYERS,
+    RosterFileError,
+    parseCsv,
+    exportRoster,
+    parseRosterFile,
+    importRoster
+};
@@ -0,0 +1,328 @@
+const CONFIG = require('./config');
+const history = require('./history');
+const status = require('./status');
+const { getTrackedPlayers, getPlayerKey } = require('./players');
+const { getUpdateInterval } = require('./guilds');
+const { getStatsChannel, statsChanged, postPlayerStats, finishCycle } = require('./tracker');
+const { trackSession } = require('./sessions');
+const { createLogger } = require('./logger');
+
+/**
+ * Schedules stats updates player by player. Each player has their own next
+ * poll time: polls are spread evenly over the guild's update interval, players
+ * whose stats just changed are polled more often and idle players back off.
+ * Updates of one guild never run at the same time, manual ones included.
+ * Every update interval ends an update cycle (see tracker.finishCycle).
+ */
+
+const log = createLogger('scheduler');
+
+// Shortest allowed update interval in milliseconds, to stay within API rate limits
+const MIN_POLL_INTERVAL = 5 * 60 * 1000;
+
+// How often each guild checks for players that are due, in milliseconds
+const POLL_TICK = 15 * 1000;
+
+// Players whose stats changed at their last poll are polled this many times as often
+const ACTIVE_SPEEDUP = 2;
+
+// Scheduled guilds: { timer, cycleStartedAt, outcomes, running }
+const guilds = new Map();
+
+// Poll state per player in a guild (key "guildId:playerKey"): { nextPollAt, idlePolls, lastStats }
+// idlePolls counts the polls in a row without new stats (null until there is a poll to compare with)
+const pollStates = new Map();
+
+/**
+ * Creates empty counters of postPlayerStats outcomes
+ * @returns {Object<string, number>} Outcome counters
+ */
+function createOutcomes() {
+    return { fetchFailed: 0, unchanged: 0, held: 0, posted: 0, postFailed: 0, noChannel: 0 };
+}
+
+/**
+ * Gets the scheduling state of a guild, creating it if needed
+ * @param {string} guildId - Guild ID
+ * @returns {Object} { timer, cycleStartedAt, outcomes, running }
+ */
+function getGuildState(guildId) {
+    if (!guilds.has(guildId)) {
+        guilds.set(guildId, { timer: null, cycleStartedAt: new Date(), outcomes: createOutcomes(), running: null });
+    }
+    return guilds.get(guildId);
+}
+
+/**
+ * Gets the poll state of a player, creating it if needed
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Tracked player
+ * @returns {Object} { nextPollAt, idlePolls, lastStats }
+ */
+function getPollState(guildId, player) {
+    const key = history.getPostKey(guildId, getPlayerKey(player));
+    if (!pollStates.has(key)) {
+        pollStates.set(key, { nextPollAt: null, idlePolls: null, lastStats: null });
+    }
+    return pollStates.get(key);
+}
+
+/**
+ * Gets the time between two polls of a player: their own interval if set,
+ * otherwise the guild's interval adjusted to how active the player is
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Tracked player
+ * @returns {number} Interval in milliseconds
+ */
+function getPollInterval(guildId, player) {
+    if (player.pollInterval) {
+        return player.pollInterval;
+    }
+
+    const interval = getUpdateInterval(guildId);
+    const { idlePolls } = getPollState(guildId, player);
+    if (idlePolls === null) {
+        return interval;
+    }
+    if (idlePolls === 0) {
+        return Math.max(interval / ACTIVE_SPEEDUP, Math.min(MIN_POLL_INTERVAL, interval));
+    }
+    // The first poll without changes keeps the normal interval, each one after doubles it
+    return interval * Math.min(Math.max(CONFIG.MAX_POLL_BACKOFF, 1), 2 ** (idlePolls - 1));
+}
+
+/**
+ * Gets when a player is polled next
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Tracked player
+ * @returns {Date|null} Next poll time, or null if the player isn't scheduled yet
+ */
+function getNextPoll(guildId, player) {
+    const key = history.getPostKey(guildId, getPlayerKey(player));
+    const state = guilds.has(guildId) && pollStates.get(key);
+    return state && state.nextPollAt ? new Date(state.nextPollAt) : null;
+}
+
+/**
+ * Moves a player's next poll forward after their interval was shortened
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Tracked player
+ */
+function reschedulePlayer(guildId, player) {
+    if (!guilds.has(guildId)) {
+        return;
+    }
+    const state = getPollState(guildId, player);
+    const next = Date.now() + getPollInterval(guildId, player);
+    if (state.nextPollAt !== null && state.nextPollAt > next) {
+        state.nextPollAt = next;
+        recordNextPoll(guildId);
+    }
+}
+
+/**
+ * Records the earliest next poll of a guild's players in the bot status
+ * @param {string} guildId - Guild ID
+ */
+function recordNextPoll(guildId) {
+    const times = getTrackedPlayers(guildId).map(player => getPollState(guildId, player).nextPollAt || Date.now());
+    status.recordNextCycle(guildId, times.length > 0 ? new Date(Math.min(...times)) : null);
+}
+
+/**
+ * Spreads the next polls of a guild's players evenly over their intervals
+ * @param {string} guildId - Guild ID
+ * @param {number} firstSlot - Slot of the first player: 0 polls them right away, 1 after one step
+ */
+function spreadPolls(guildId, firstSlot) {
+    const players = getTrackedPlayers(guildId);
+    const now = Date.now();
+    players.forEach((player, index) => {
+        const step = getPollInterval(guildId, player) / players.length;
+        getPollState(guildId, player).nextPollAt = now + step * (index + firstSlot);
+    });
+}
+
+/**
+ * Fetches and posts one player's stats and plans their next poll
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Tracked player
+ */
+async function pollPlayer(client, guildId, player) {
+    const guild = getGuildState(guildId);
+    const state = getPollState(guildId, player);
+    const startedAt = Date.now();
+
+    const { outcome, stats } = await postPlayerStats(client, guildId, player);
+    guild.outcomes[outcome]++;
+
+    // Activity is measured against the previous poll, not the last post, so held back stats don't count twice
+    if (stats) {
+        await trackSession(client, guildId, player, state.lastStats, stats);
+        if (state.lastStats) {
+            state.idlePolls = statsChanged(state.lastStats, stats) ? 0 : (state.idlePolls || 0) + 1;
+        }
+        state.lastStats = stats;
+    }
+    state.nextPollAt = startedAt + getPollInterval(guildId, player);
+}
+
+/**
+ * Ends a guild's current update cycle and starts the next one
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ */
+async function endCycle(client, guildId) {
+    const guild = getGuildState(guildId);
+    const { cycleStartedAt, outcomes } = guild;
+    guild.cycleStartedAt = new Date();
+    guild.outcomes = createOutcomes();
+
+    const trackedPlayers = getTrackedPlayers(guildId);
+    if (trackedPlayers.length > 0) {
+        await finishCycle(client, guildId, cycleStartedAt, outcomes);
+    }
+
+    // Forget players that are no longer tracked
+    const trackedKeys = new Set(trackedPlayers.map(player => history.getPostKey(guildId, getPlayerKey(player))));
+    for (const key of pollStates.keys()) {
+        if (key.startsWith(`${guildId}:`) && !trackedKeys.has(key)) {
+            pollStates.delete(key);
+        }
+    }
+}
+
+/**
+ * Runs a task once no other update of the guild is running
+ * @param {string} guildId - Guild ID
+ * @param {Function} task - Async function to run
+ * @returns {Promise<void>} Resolves when the task is done
+ */
+function runExclusive(guildId, task) {
+    const guild = getGuildState(guildId);
+    const run = (guild.running || Promise.resolve())
+        .then(task)
+        .catch(error => log.error(`Error updating stats in guild ${guildId}`, { guildId, error }));
+    guild.running = run;
+    run.then(() => {
+        if (guild.running === run) {
+            guild.running = null;
+        }
+    });
+    return run;
+}
+
+/**
+ * Polls the players of a guild that are due, and ends the update cycle when its interval is over
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ */
+async function pollDuePlayers(client, guildId) {
+    const now = Date.now();
+    const players = getTrackedPlayers(guildId);
+
+    // Newly tracked players are spread out as well, the first one polled right away
+    const newPlayers = players.filter(player => getPollState(guildId, player).nextPollAt === null);
+    newPlayers.forEach((player, index) => {
+        getPollState(guildId, player).nextPollAt = now + getPollInterval(guildId, player) / players.length * index;
+    });
+
+    if (getStatsChannel(client, guildId)) {
+        const due = players.filter(player => getPollState(guildId, player).nextPollAt <= now);
+        for (const player of due) {
+            // The API client spaces out requests to avoid rate limiting
+            await pollPlayer(client, guildId, player);
+        }
+    } else {
+        // Nothing can be posted; move due polls on so they stay spread out once a channel is back
+        for (const player of players) {
+            const state = getPollState(guildId, player);
+            if (state.nextPollAt <= now) {
+                state.nextPollAt = now + getPollInterval(guildId, player);
+            }
+        }
+    }
+
+    if (now - getGuildState(guildId).cycleStartedAt.getTime() >= getUpdateInterval(guildId)) {
+        await endCycle(client, guildId);
+    }
+    recordNextPoll(guildId);
+}
+
+/**
+ * Checks a guild for due players, unless an update is already running there
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ */
+function tick(client, guildId) {
+    if (getGuildState(guildId).running) {
+        return;
+    }
+    runExclusive(guildId, () => pollDuePlayers(client, guildId));
+}
+
+/**
+ * Updates every player of a guild right away (e.g. for /update), after any
+ * update that is already running, then starts a new update cycle
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<void>} Resolves when the update is done
+ */
+function updateAllPlayers(client, guildId) {
+    return runExclusive(guildId, async () => {
+        for (const player of getTrackedPlayers(guildId)) {
+            await pollPlayer(client, guildId, player);
+        }
+        await endCycle(client, guildId);
+        spreadPolls(guildId, 1);
+        recordNextPoll(guildId);
+    });
+}
+
+/**
+ * Starts (or restarts) the stats updates of a guild, spreading its players over the update interval
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {boolean} runNow - Poll the first player immediately
+ */
+function scheduleGuild(client, guildId, runNow = false) {
+    const guild = getGuildState(guildId);
+    clearInterval(guild.timer);
+
+    spreadPolls(guildId, runNow ? 0 : 1);
+    recordNextPoll(guildId);
+    guild.timer = setInterval(() => tick(client, guildId), POLL_TICK);
+
+    if (runNow) {
+        tick(client, guildId);
+    }
+}
+
+/**
+ * Stops the stats updates of a guild
+ * @param {string} guildId - Guild ID
+ */
+function unscheduleGuild(guildId) {
+    if (!guilds.has(guildId)) {
+        return;
+    }
+    clearInterval(guilds.get(guildId).timer);
+    guilds.delete(guildId);
+    for (const key of pollStates.keys()) {
+        if (key.startsWith(`${guildId}:`)) {
+            pollStates.delete(key);
+        }
+    }
+    status.recordNextCycle(guildId, null);
+}
+
+module.exports = {
+    MIN_POLL_INTERVAL,
+    getPollInterval,
+    getNextPoll,
+    reschedulePlayer,
+    updateAllPlayers,
+    scheduleGuild,
+    unscheduleGuild
+};
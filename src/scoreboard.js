@@ -0,0 +1,167 @@
+const { EmbedBuilder } = require('discord.js');
+const history = require('./history');
+const { getTrackedPlayers, getPlayerKey } = require('./players');
+const { getGuildSettings, updateGuildSettings } = require('./guilds');
+const { formatStat } = require('./stats');
+const { getLocale, translate } = require('./i18n');
+const { createLogger } = require('./logger');
+
+/**
+ * Live roster: one pinned message per stats channel that is edited at every
+ * update instead of posting new cards. Large rosters are split over several
+ * embeds and, if needed, several messages.
+ */
+
+const log = createLogger('scoreboard');
+
+// Discord limits: fields per embed, embeds per message, characters per message (all embeds together)
+const MAX_FIELDS = 25;
+const MAX_EMBEDS = 10;
+const MAX_MESSAGE_CHARS = 5800;
+
+/**
+ * Formats one player's line of the scoreboard
+ * @param {Object|null} stats - Latest stats, or null if none were recorded yet
+ * @param {string} [locale] - Locale code
+ * @returns {string} Field value
+ */
+function formatScoreboardStats(stats, locale) {
+    if (!stats) {
+        return translate(locale, 'liveRoster.noStats');
+    }
+    return [
+        `💀 ${formatStat('kills', stats.kills, locale)}`,
+        `📊 ${formatStat('kdRatio', stats.kdRatio, locale)}`,
+        `🏆 ${formatStat('wins', stats.wins, locale)}`,
+        `🎖️ ${formatStat('rank', stats.rank, locale)}`
+    ].join(' • ');
+}
+
+/**
+ * Builds the scoreboard fields of a guild, most kills first
+ * @param {string} guildId - Guild ID
+ * @returns {Array<{name: string, value: string, inline: boolean}>} One field per tracked player
+ */
+function buildScoreboardFields(guildId) {
+    const locale = getLocale(guildId);
+    const snapshotsByKey = history.getSnapshotsByKey(guildId);
+    const rows = getTrackedPlayers(guildId).map(player => {
+        const snapshots = snapshotsByKey.get(getPlayerKey(player)) || [];
+        return { player, stats: snapshots.length > 0 ? snapshots[snapshots.length - 1].stats : null };
+    });
+    rows.sort((a, b) => ((b.stats && b.stats.kills) || 0) - ((a.stats && a.stats.kills) || 0));
+
+    return rows.map(({ player, stats }, index) => ({
+        name: `${index + 1}. ${player.name} (${player.platform.toUpperCase()})`,
+        value: formatScoreboardStats(stats, locale),
+        inline: false
+    }));
+}
+
+/**
+ * Splits the scoreboard into messages that stay within Discord's limits
+ * @param {Array<Object>} fields - Scoreboard fields
+ * @param {string} [locale] - Locale code
+ * @returns {Array<Array<EmbedBuilder>>} Embeds for each message
+ */
+function buildScoreboardMessages(fields, locale) {
+    const messages = [];
+    let embeds = [];
+    let chars = 0;
+
+    for (let i = 0; i < Math.max(fields.length, 1); i += MAX_FIELDS) {
+        const chunk = fields.slice(i, i + MAX_FIELDS);
+        const embed = new EmbedBuilder().setColor(0x0099FF);
+        if (chunk.length > 0) {
+            embed.addFields(chunk);
+        } else {
+            embed.setDescription(translate(locale, 'liveRoster.empty'));
+        }
+        const size = chunk.reduce((total, field) => total + field.name.length + field.value.length, 0) + 100;
+
+        if (embeds.length > 0 && (embeds.length >= MAX_EMBEDS || chars + size > MAX_MESSAGE_CHARS)) {
+            messages.push(embeds);
+            embeds = [];
+            chars = 0;
+        }
+        embeds.push(embed);
+        chars += size;
+    }
+    messages.push(embeds);
+
+    // Title on the first embed, update time on the last
+    messages[0][0].setTitle(translate(locale, 'liveRoster.title'));
+    const last = messages[messages.length - 1];
+    last[last.length - 1].setTimestamp().setFooter({ text: translate(locale, 'liveRoster.footer', { count: fields.length }) });
+    return messages;
+}
+
+/**
+ * Fetches a previously sent scoreboard message
+ * @param {TextChannel} channel - Stats channel
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Message|null>} The message, or null if it was deleted
+ */
+async function fetchMessage(channel, messageId) {
+    try {
+        return await channel.messages.fetch(messageId);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Edits a guild's live roster messages with the latest stats, sending (and
+ * pinning) them again when they are missing. When one part is missing, every
+ * part after it is sent again too, so the parts stay in order
+ * @param {TextChannel} channel - Stats channel
+ * @param {string} guildId - Guild ID
+ */
+async function updateLiveScoreboard(channel, guildId) {
+    const settings = getGuildSettings(guildId);
+    const locale = getLocale(guildId);
+    const messages = buildScoreboardMessages(buildScoreboardFields(guildId), locale);
+
+    // Messages in another channel (after /setchannel) are left alone
+    const previousIds = settings.liveChannelId === channel.id ? settings.liveMessageIds : [];
+    const previous = [];
+    for (const messageId of previousIds) {
+        previous.push(await fetchMessage(channel, messageId));
+    }
+
+    // Parts from the first missing one on are deleted (as are parts no longer
+    // needed after the roster shrank) and sent again below
+    let keep = previous.findIndex(message => !message);
+    keep = Math.min(keep === -1 ? previous.length : keep, messages.length);
+    for (const message of previous.slice(keep)) {
+        if (message) {
+            await message.delete().catch(() => {});
+        }
+    }
+
+    const messageIds = [];
+
+    for (const [index, embeds] of messages.entries()) {
+        const content = messages.length > 1 ? translate(locale, 'liveRoster.part', { part: index + 1, parts: messages.length }) : null;
+        let message = index < keep ? previous[index] : null;
+
+        if (message) {
+            await message.edit({ content, embeds });
+        } else {
+            message = await channel.send({ content, embeds });
+            if (index === 0) {
+                await message.pin().catch(error => log.warn(`Could not pin the live roster in guild ${guildId}`, { error: error.message }));
+            }
+            log.info(`Sent live roster message ${index + 1} in guild ${guildId}`);
+        }
+        messageIds.push(message.id);
+    }
+
+    updateGuildSettings(guildId, { liveChannelId: channel.id, liveMessageIds: messageIds });
+}
+
+module.exports = {
+    buildScoreboardFields,
+    buildScoreboardMessages,
+    updateLiveScoreboard
+};
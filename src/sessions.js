@@ -0,0 +1,207 @@
+const CONFIG = require('./config');
+const storage = require('./storage');
+const history = require('./history');
+const { getPlayerKey } = require('./players');
+const { getGuildSettings } = require('./guilds');
+const { getStatsChannel, statsChanged, markPosted } = require('./tracker');
+const { isQuietTime } = require('./postingPolicy');
+const { deriveRates } = require('./stats');
+const { createSessionRecapEmbed } = require('./embeds');
+const { getLocale } = require('./i18n');
+const { createLogger } = require('./logger');
+
+/**
+ * Play sessions of tracked players. A session starts when a player's stats
+ * change between two polls and ends once they haven't changed for the idle
+ * timeout. Finished sessions are kept as recaps (session totals) in the
+ * sessionRecaps log, and posted in guilds using the 'session' posting mode.
+ */
+
+const log = createLogger('sessions');
+
+// Sessions in progress per player in a guild (key "guildId:playerKey"):
+// { guildId, key, startedAt, lastChangeAt, start, latest } with the stats before and after the session so far
+let openSessions = {};
+
+/**
+ * Load the sessions in progress from storage
+ */
+function loadOpenSessions() {
+    try {
+        openSessions = storage.loadDocument('openSessions') || {};
+        log.info(`Loaded ${Object.keys(openSessions).length} play session(s) in progress from file.`);
+    } catch (error) {
+        log.error('Error loading play sessions', { error: error.message });
+        openSessions = {};
+    }
+}
+
+/**
+ * Save the sessions in progress to storage
+ */
+function saveOpenSessions() {
+    try {
+        storage.saveDocument('openSessions', openSessions);
+    } catch (error) {
+        log.error('Error saving play sessions', { error: error.message });
+    }
+}
+
+/**
+ * Gets how long a player's stats must stay unchanged before their session is over
+ * @param {string} guildId - Guild ID
+ * @returns {number} Idle timeout in milliseconds
+ */
+function getSessionIdleTimeout(guildId) {
+    return getGuildSettings(guildId).sessionIdleTimeout || CONFIG.SESSION_IDLE_TIMEOUT;
+}
+
+/**
+ * Computes the totals of a session from the stats before and after it
+ * @param {Object} start - Stats before the session
+ * @param {Object} end - Stats at the end of the session
+ * @param {number} fallbackDuration - Duration in seconds used when the stats have no play time
+ * @returns {Object} { kills, deaths, kdRatio, wins, losses, score, duration }
+ */
+function summarizeSession(start, end, fallbackDuration) {
+    const gained = field => (typeof start[field] === 'number' && typeof end[field] === 'number' ? end[field] - start[field] : 0);
+    const played = gained('timePlayed');
+    const totals = {
+        kills: gained('kills'),
+        deaths: gained('deaths'),
+        wins: gained('wins'),
+        losses: gained('losses'),
+        score: gained('score')
+    };
+
+    return { ...totals, kdRatio: deriveRates(totals).kdRatio, duration: played > 0 ? played : fallbackDuration };
+}
+
+/**
+ * Ends a session: stores its recap and, in session posting mode, posts it
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Tracked player
+ * @param {Object} session - Session from openSessions
+ * @returns {Promise<Object>} The stored recap
+ */
+async function endSession(client, guildId, player, session) {
+    const recap = {
+        guildId,
+        key: session.key,
+        name: player.name,
+        platform: player.platform,
+        startedAt: session.startedAt,
+        endedAt: session.lastChangeAt,
+        ...summarizeSession(session.start, session.latest, (new Date(session.lastChangeAt) - new Date(session.startedAt)) / 1000)
+    };
+
+    try {
+        storage.appendRecord('sessionRecaps', recap);
+    } catch (error) {
+        log.error('Error saving session recap', { error });
+    }
+    log.info(`Session of ${player.name} ended`, { guildId, player: session.key, kills: recap.kills, duration: recap.duration });
+
+    const channel = getStatsChannel(client, guildId);
+    if (getGuildSettings(guildId).postMode === 'session' && channel) {
+        try {
+            await channel.send({ embeds: [createSessionRecapEmbed(recap, getLocale(guildId))] });
+            markPosted(guildId, player, session.latest);
+        } catch (error) {
+            log.error(`Error posting session recap for ${player.name}`, { guildId, error: error.message });
+        }
+    }
+    return recap;
+}
+
+/**
+ * Follows a player's play session after a poll: starts one when their stats
+ * changed, and ends it once they stayed the same for the idle timeout
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Tracked player
+ * @param {Object|null} previousStats - Stats of the previous poll (null if there was none since the bot started)
+ * @param {Object} stats - Stats of this poll, as stored in the history
+ * @returns {Promise<Object|null>} Recap of the session that just ended, or null
+ */
+async function trackSession(client, guildId, player, previousStats, stats) {
+    const postKey = history.getPostKey(guildId, getPlayerKey(player));
+    const session = openSessions[postKey];
+    const previous = session ? session.latest : previousStats;
+    if (!previous) {
+        return null;
+    }
+
+    const now = new Date().toISOString();
+    if (statsChanged(previous, stats)) {
+        if (session) {
+            session.latest = stats;
+            session.lastChangeAt = now;
+        } else {
+            openSessions[postKey] = { guildId, key: getPlayerKey(player), startedAt: now, lastChangeAt: now, start: previous, latest: stats };
+            log.info(`${player.name} started playing`, { guildId, player: getPlayerKey(player) });
+        }
+        saveOpenSessions();
+        return null;
+    }
+
+    if (!session || Date.now() - new Date(session.lastChangeAt).getTime() < getSessionIdleTimeout(guildId)) {
+        return null;
+    }
+    // Recaps are held back during quiet hours like any other post
+    const settings = getGuildSettings(guildId);
+    if (settings.postMode === 'session' && isQuietTime(settings)) {
+        return null;
+    }
+
+    delete openSessions[postKey];
+    saveOpenSessions();
+    return endSession(client, guildId, player, session);
+}
+
+/**
+ * Forgets the session in progress of a player (e.g. after untracking)
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Tracked player
+ */
+function discardSession(guildId, player) {
+    const postKey = history.getPostKey(guildId, getPlayerKey(player));
+    if (openSessions[postKey]) {
+        delete openSessions[postKey];
+        saveOpenSessions();
+    }
+}
+
+/**
+ * Gets the session a player is in right now
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Tracked player
+ * @returns {Object|null} Session { startedAt, lastChangeAt, start, latest }, or null if they aren't playing
+ */
+function getOpenSession(guildId, player) {
+    return openSessions[history.getPostKey(guildId, getPlayerKey(player))] || null;
+}
+
+/**
+ * Gets the recaps of a player's finished sessions, newest first
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Tracked player
+ * @returns {Array<Object>} Recaps
+ */
+function getSessionRecaps(guildId, player) {
+    const key = getPlayerKey(player);
+    return storage.readRecords('sessionRecaps')
+        .filter(recap => recap.guildId === guildId && recap.key === key)
+        .reverse();
+}
+
+module.exports = {
+    loadOpenSessions,
+    getSessionIdleTimeout,
+    summarizeSession,
+    trackSession,
+    discardSession,
+    getOpenSession,
+    getSessionRecaps
+};
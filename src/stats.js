@@ -0,0 +1,119 @@
+const { translate, formatNumber } = require('./i18n');
+
+/**
+ * Definitions of the player stats the bot knows how to rank, compare and format
+ */
+
+/**
+ * Formats a duration in seconds as hours and minutes
+ * @param {number} seconds - Duration in seconds
+ * @param {string} [locale] - Locale code (default locale when omitted)
+ * @returns {string} Formatted duration, e.g. "12h 34m"
+ */
+function formatDuration(seconds, locale) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return translate(locale, 'units.duration', { hours, minutes });
+}
+
+/**
+ * Formats a percentage, e.g. "52.3%"
+ * @param {number} value - Percentage
+ * @param {string} [locale] - Locale code
+ * @returns {string} Formatted percentage
+ */
+function formatPercent(value, locale) {
+    return translate(locale, 'units.percent', { value: formatNumber(locale, value, 1) });
+}
+
+// Counters only ever grow, so a period's value is the difference between two snapshots.
+// Rates are derived from counters (e.g. K/D = kills / deaths).
+// Labels are the English ones used for slash command choices; replies use getStatLabel.
+const STATS = {
+    kills: { label: 'Kills', emoji: '💀', type: 'counter', format: (v, locale) => formatNumber(locale, v) },
+    deaths: { label: 'Deaths', emoji: '☠️', type: 'counter', format: (v, locale) => formatNumber(locale, v), lowerIsBetter: true },
+    kdRatio: { label: 'K/D Ratio', emoji: '📊', type: 'rate', format: (v, locale) => formatNumber(locale, v, 2) },
+    score: { label: 'Score', emoji: '⭐', type: 'counter', format: (v, locale) => formatNumber(locale, v) },
+    wins: { label: 'Wins', emoji: '🏆', type: 'counter', format: (v, locale) => formatNumber(locale, v) },
+    losses: { label: 'Losses', emoji: '❌', type: 'counter', format: (v, locale) => formatNumber(locale, v), lowerIsBetter: true },
+    winPercent: { label: 'Win %', emoji: '📈', type: 'rate', format: (v, locale) => formatPercent(v, locale) },
+    killsPerMinute: { label: 'Kills/Min', emoji: '⚡', type: 'rate', format: (v, locale) => formatNumber(locale, v, 2) },
+    scorePerMinute: { label: 'SPM', emoji: '📊', type: 'rate', format: (v, locale) => formatNumber(locale, v) },
+    timePlayed: { label: 'Time Played', emoji: '⏱️', type: 'counter', format: (v, locale) => formatDuration(v, locale) },
+    rank: { label: 'Rank', emoji: '🎖️', type: 'level', format: v => v.toString() }
+};
+
+/**
+ * Gets a stat's label in a locale
+ * @param {string} stat - Stat key from STATS
+ * @param {string} [locale] - Locale code
+ * @returns {string} Label, e.g. "Kills"
+ */
+function getStatLabel(stat, locale) {
+    return translate(locale, `stats.${stat}`);
+}
+
+/**
+ * Formats a stat value for display
+ * @param {string} stat - Stat key from STATS
+ * @param {number} value - Stat value
+ * @param {string} [locale] - Locale code
+ * @returns {string} Formatted value
+ */
+function formatStat(stat, value, locale) {
+    if (typeof value !== 'number' || !STATS[stat]) {
+        return translate(locale, 'common.notAvailable');
+    }
+    return STATS[stat].format(value, locale);
+}
+
+/**
+ * Derives rate stats from counter stats
+ * @param {Object} counters - Object with kills, deaths, wins, losses, score, timePlayed
+ * @returns {Object} kdRatio, winPercent, killsPerMinute, scorePerMinute (undefined when not computable)
+ */
+function deriveRates(counters) {
+    const { kills, deaths, wins, losses, score, timePlayed } = counters;
+    const minutes = typeof timePlayed === 'number' ? timePlayed / 60 : 0;
+    const games = (wins || 0) + (losses || 0);
+
+    return {
+        kdRatio: typeof kills === 'number' && typeof deaths === 'number'
+            ? (deaths > 0 ? kills / deaths : kills)
+            : undefined,
+        winPercent: games > 0 ? (wins / games) * 100 : undefined,
+        killsPerMinute: minutes > 0 && typeof kills === 'number' ? kills / minutes : undefined,
+        scorePerMinute: minutes > 0 && typeof score === 'number' ? score / minutes : undefined
+    };
+}
+
+/**
+ * Computes the stats a player earned between two snapshots
+ * @param {Object} fromStats - Stats at the start of the period
+ * @param {Object} toStats - Stats at the end of the period
+ * @returns {Object} Counter differences, derived rates and the latest rank
+ */
+function diffStats(fromStats, toStats) {
+    const result = {};
+    for (const [stat, definition] of Object.entries(STATS)) {
+        if (definition.type === 'counter' &&
+            typeof fromStats[stat] === 'number' && typeof toStats[stat] === 'number') {
+            result[stat] = toStats[stat] - fromStats[stat];
+        }
+    }
+    Object.assign(result, deriveRates(result));
+    if (typeof toStats.rank === 'number') {
+        result.rank = toStats.rank;
+    }
+    return result;
+}
+
+module.exports = {
+    STATS,
+    formatDuration,
+    formatPercent,
+    getStatLabel,
+    formatStat,
+    deriveRates,
+    diffStats
+};
@@ -0,0 +1,96 @@
+/**
+ * In-memory health of the bot since it started: update cycles per guild and
+ * the last successful and failed fetch of each tracked player.
+ */
+
+const startedAt = new Date();
+
+// Update cycles per guild: { lastStartedAt, lastFinishedAt, lastDuration, nextAt, fetched, failed, posted }
+const cycles = new Map();
+
+// Fetch results per player in a guild (key "guildId:playerKey"): { lastSuccessAt, lastFailureAt }
+const playerResults = new Map();
+
+/**
+ * Gets how long the bot has been running
+ * @returns {number} Uptime in seconds
+ */
+function getUptime() {
+    return (Date.now() - startedAt.getTime()) / 1000;
+}
+
+/**
+ * Gets the cycle record of a guild, creating it if needed
+ * @param {string} guildId - Guild ID
+ * @returns {Object} Cycle record
+ */
+function getCycle(guildId) {
+    if (!cycles.has(guildId)) {
+        cycles.set(guildId, { lastStartedAt: null, lastFinishedAt: null, lastDuration: null, nextAt: null, fetched: 0, failed: 0, posted: 0 });
+    }
+    return cycles.get(guildId);
+}
+
+/**
+ * Records when a guild's next scheduled update cycle runs
+ * @param {string} guildId - Guild ID
+ * @param {Date|null} nextAt - Time of the next cycle, or null if none is scheduled
+ */
+function recordNextCycle(guildId, nextAt) {
+    getCycle(guildId).nextAt = nextAt;
+}
+
+/**
+ * Records a finished update cycle
+ * @param {string} guildId - Guild ID
+ * @param {Date} cycleStartedAt - When the cycle started
+ * @param {{fetched: number, failed: number, posted: number}} counts - Players fetched, failed and posted
+ */
+function recordCycle(guildId, cycleStartedAt, { fetched, failed, posted }) {
+    Object.assign(getCycle(guildId), {
+        lastStartedAt: cycleStartedAt,
+        lastFinishedAt: new Date(),
+        lastDuration: Date.now() - cycleStartedAt.getTime(),
+        fetched,
+        failed,
+        posted
+    });
+}
+
+/**
+ * Gets a guild's update cycle record
+ * @param {string} guildId - Guild ID
+ * @returns {Object} { lastStartedAt, lastFinishedAt, lastDuration, nextAt, fetched, failed, posted }
+ */
+function getCycleStatus(guildId) {
+    return { ...getCycle(guildId) };
+}
+
+/**
+ * Records the result of fetching a player's stats
+ * @param {string} postKey - Player's key in the guild (see history.getPostKey)
+ * @param {boolean} success - Whether the fetch worked
+ */
+function recordPlayerResult(postKey, success) {
+    const result = playerResults.get(postKey) || { lastSuccessAt: null, lastFailureAt: null };
+    result[success ? 'lastSuccessAt' : 'lastFailureAt'] = new Date();
+    playerResults.set(postKey, result);
+}
+
+/**
+ * Gets the fetch results of a player recorded since the bot started
+ * @param {string} postKey - Player's key in the guild (see history.getPostKey)
+ * @returns {{lastSuccessAt: Date|null, lastFailureAt: Date|null}} Last success and failure
+ */
+function getPlayerResult(postKey) {
+    return playerResults.get(postKey) || { lastSuccessAt: null, lastFailureAt: null };
+}
+
+module.exports = {
+    getUptime,
+    recordNextCycle,
+    recordCycle,
+    getCycleStatus,
+    recordPlayerResult,
+    getPlayerResult
+};
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const CONFIG = require('../config');
+const JsonBackend = require('./jsonBackend');
+const SqliteBackend = require('./sqliteBackend');
+const StorageError = require('./storageError');
+const { getSchemaVersion, migrate } = require('./migrations');
+const { createLogger } = require('../logger');
+
+/**
+ * All persistent bot data goes through this module. Documents (rosters,
+ * settings, links, ...) are loaded and saved whole; logs (stats history) are
+ * append-only. The backend (JSON files or SQLite) is chosen with STORAGE_BACKEND.
+ */
+
+const log = createLogger('storage');
+
+// File of each document and log for the JSON backend
+const JSON_FILES = {
+    trackedPlayers: CONFIG.PLAYERS_FILE,
+    guildSettings: CONFIG.GUILD_SETTINGS_FILE,
+    accountLinks: CONFIG.LINKS_FILE,
+    announcedMilestones: CONFIG.MILESTONE_RECORDS_FILE,
+    goals: CONFIG.GOALS_FILE,
+    challenges: CONFIG.CHALLENGES_FILE,
+    statsHistory: CONFIG.HISTORY_FILE,
+    openSessions: CONFIG.OPEN_SESSIONS_FILE,
+    sessionRecaps: CONFIG.SESSIONS_FILE
+};
+
+const LOGS = ['statsHistory', 'sessionRecaps'];
+
+let backend = null;
+
+// Documents that could not be read; they are never overwritten
+const unreadable = new Set();
+
+// Unreadable documents whose refused save was already logged
+const refusalLogged = new Set();
+
+// Documents whose JSON file could not be imported into the database
+const notImported = new Set();
+
+/**
+ * Creates the configured backend
+ * @returns {JsonBackend|SqliteBackend} Storage backend
+ */
+function createBackend() {
+    const backupOptions = {
+        backupDir: CONFIG.BACKUP_DIR,
+        backupInterval: CONFIG.BACKUP_INTERVAL,
+        backupCount: CONFIG.BACKUP_COUNT
+    };
+    const json = new JsonBackend({ files: JSON_FILES, ...backupOptions });
+
+    if (CONFIG.STORAGE_BACKEND === 'json') {
+        return json;
+    }
+    if (CONFIG.STORAGE_BACKEND !== 'sqlite') {
+        throw new Error(`Unknown STORAGE_BACKEND "${CONFIG.STORAGE_BACKEND}" (use json or sqlite)`);
+    }
+
+    const sqlite = new SqliteBackend({ file: CONFIG.DATABASE_FILE, ...backupOptions });
+    importJsonFiles(json, sqlite);
+    return sqlite;
+}
+
+/**
+ * Copies data from JSON files into a new database, for setups switching to SQLite
+ * @param {JsonBackend} json - JSON backend reading the old files
+ * @param {SqliteBackend} sqlite - Database backend
+ */
+function importJsonFiles(json, sqlite) {
+    for (const [name, file] of Object.entries(JSON_FILES)) {
+        if (!fs.existsSync(file)) continue;
+
+        // A bad file only holds back its own data, the bot still starts
+        try {
+            if (LOGS.includes(name)) {
+                if (sqlite.readLog(name).length > 0) continue;
+                const records = json.readLog(name);
+                records.forEach(record => sqlite.append(name, record));
+                log.info(`Imported ${records.length} ${name} record(s) from ${file} into the database.`);
+            } else if (!sqlite.read(name)) {
+                const stored = json.read(name);
+                sqlite.write(name, stored.version, stored.data);
+                log.info(`Imported ${name} from ${file} into the database.`);
+            }
+        } catch (error) {
+            notImported.add(name);
+            log.error(`Could not import ${name} from ${file}. Fix or restore it from ${CONFIG.BACKUP_DIR}, then restart the bot to import it.`, { error: error.message });
+        }
+    }
+}
+
+/**
+ * Gets the storage backend, creating it on first use
+ * @returns {JsonBackend|SqliteBackend} Storage backend
+ */
+function getBackend() {
+    if (!backend) {
+        backend = createBackend();
+    }
+    return backend;
+}
+
+/**
+ * Loads a document, migrated to the current schema version
+ * @param {string} name - Document name
+ * @returns {*} Document data, or null if nothing is stored yet
+ * @throws {StorageError} If the stored data is corrupt or from a newer version; the document then can't be saved
+ */
+function loadDocument(name) {
+    let stored;
+    try {
+        stored = getBackend().read(name);
+    } catch (error) {
+        if (error instanceof StorageError) {
+            unreadable.add(name);
+        }
+        throw error;
+    }
+    unreadable.delete(name);
+    refusalLogged.delete(name);
+
+    if (!stored && notImported.has(name)) {
+        // Starting empty would overwrite the data once the file is imported
+        unreadable.add(name);
+        throw new StorageError(`${name} could not be imported into the database from its JSON file`, name);
+    }
+    if (!stored) {
+        return null;
+    }
+
+    const currentVersion = getSchemaVersion(name);
+    if (stored.version > currentVersion) {
+        unreadable.add(name);
+        throw new StorageError(`${name} was saved by a newer version of the bot (schema ${stored.version}, this version reads up to ${currentVersion})`, name);
+    }
+    if (stored.version < currentVersion) {
+        log.info(`Migrating ${name} from schema version ${stored.version} to ${currentVersion}.`);
+    }
+    return migrate(name, stored.version, stored.data);
+}
+
+/**
+ * Saves a document in the current schema version. A document whose stored copy
+ * could not be read is not saved, so it isn't overwritten; this is logged once.
+ * @param {string} name - Document name
+ * @param {*} data - Document data
+ */
+function saveDocument(name, data) {
+    if (unreadable.has(name)) {
+        if (!refusalLogged.has(name)) {
+            refusalLogged.add(name);
+            log.error(`Not saving ${name}: the stored copy could not be read and would be overwritten. Fix or restore it from ${CONFIG.BACKUP_DIR}, then restart the bot.`);
+        }
+        return;
+    }
+    getBackend().write(name, getSchemaVersion(name), data);
+}
+
+/**
+ * Appends a record to a log
+ * @param {string} name - Log name
+ * @param {Object} record - Record to append
+ */
+function appendRecord(name, record) {
+    getBackend().append(name, record);
+}
+
+/**
+ * Reads every record of a log
+ * @param {string} name - Log name
+ * @returns {Array<Object>} Records in the order they were appended
+ */
+function readRecords(name) {
+    return getBackend().readLog(name);
+}
+
+/**
+ * Replaces every record of a log (e.g. to prune old records)
+ * @param {string} name - Log name
+ * @param {Array<Object>} records - Records to keep, in order
+ */
+function replaceRecords(name, records) {
+    getBackend().replaceLog(name, records);
+}
+
+module.exports = {
+    StorageError,
+    loadDocument,
+    saveDocument,
+    appendRecord,
+    readRecords,
+    replaceRecords
+};
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const StorageError = require('./storageError');
+const { createLogger } = require('../logger');
+
+const log = createLogger('storage');
+
+/**
+ * Stores each document in its own JSON file and each log as a JSON-lines file.
+ * Documents are written atomically (temp file + rename) and backed up
+ * periodically before they are overwritten.
+ */
+class JsonBackend {
+    /**
+     * @param {Object} options
+     * @param {Object<string, string>} options.files - File path of each document and log
+     * @param {string} options.backupDir - Directory for backup copies
+     * @param {number} options.backupInterval - Least time between two backups of a document in milliseconds
+     * @param {number} options.backupCount - Backups kept per document (0 disables backups)
+     */
+    constructor({ files, backupDir, backupInterval, backupCount }) {
+        this.files = files;
+        this.backupDir = backupDir;
+        this.backupInterval = backupInterval;
+        this.backupCount = backupCount;
+        this.lastBackupAt = new Map();
+    }
+
+    /**
+     * Gets the file of a document or log
+     * @param {string} name - Document or log name
+     * @returns {string} File path
+     */
+    getFile(name) {
+        if (!this.files[name]) {
+            throw new Error(`Unknown storage document "${name}"`);
+        }
+        return this.files[name];
+    }
+
+    /**
+     * Reads a document
+     * @param {string} name - Document name
+     * @returns {{version: number, data: *}|null} Stored version and data, or null if there is none
+     * @throws {StorageError} If the file isn't valid JSON
+     */
+    read(name) {
+        const file = this.getFile(name);
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new StorageError(`${path.basename(file)} is corrupt (${error.message})`, name);
+        }
+
+        // Files written before schema versions existed hold the bare data
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed) && Number.isInteger(parsed.schemaVersion)) {
+            return { version: parsed.schemaVersion, data: parsed.data };
+        }
+        return { version: 0, data: parsed };
+    }
+
+    /**
+     * Writes a document atomically
+     * @param {string} name - Document name
+     * @param {number} version - Schema version of the data
+     * @param {*} data - Data to store
+     */
+    write(name, version, data) {
+        const file = this.getFile(name);
+        this.backup(name, file);
+
+        // Write a temp file next to the real one, then swap it in with a rename,
+        // so a crash leaves either the old or the new file, never half of one
+        const tempFile = `${file}.${process.pid}.tmp`;
+        const fd = fs.openSync(tempFile, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify({ schemaVersion: version, data }, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempFile, file);
+    }
+
+    /**
+     * Replaces every record of a log atomically (e.g. to prune old records)
+     * @param {string} name - Log name
+     * @param {Array<Object>} records - Records to keep, in order
+     */
+    replaceLog(name, records) {
+        const file = this.getFile(name);
+        const tempFile = `${file}.${process.pid}.tmp`;
+        const fd = fs.openSync(tempFile, 'w');
+        try {
+            fs.writeSync(fd, records.map(record => JSON.stringify(record) + '\n').join(''));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempFile, file);
+    }
+
+    /**
+     * Copies a document's current file to the backup directory, at most once per backup interval
+     * @param {string} name - Document name
+     * @param {string} file - Document file
+     */
+    backup(name, file) {
+        const now = Date.now();
+        if (this.backupCount === 0 || now - (this.lastBackupAt.get(name) || 0) < this.backupInterval || !fs.existsSync(file)) {
+            return;
+        }
+        this.lastBackupAt.set(name, now);
+
+        try {
+            fs.mkdirSync(this.backupDir, { recursive: true });
+            const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+            fs.copyFileSync(file, path.join(this.backupDir, `${name}-${stamp}.json`));
+
+            // Keep only the newest backups (names sort by time)
+            const backups = fs.readdirSync(this.backupDir)
+                .filter(entry => entry.startsWith(`${name}-`) && entry.endsWith('.json'))
+                .sort();
+            for (const old of backups.slice(0, Math.max(backups.length - this.backupCount, 0))) {
+                fs.unlinkSync(path.join(this.backupDir, old));
+            }
+        } catch (error) {
+            log.error(`Error backing up ${path.basename(file)}`, { error: error.message });
+        }
+    }
+
+    /**
+     * Appends a record to a log
+     * @param {string} name - Log name
+     * @param {Object} record - Record to append
+     */
+    append(name, record) {
+        fs.appendFileSync(this.getFile(name), JSON.stringify(record) + '\n');
+    }
+
+    /**
+     * Reads every record of a log
+     * @param {string} name - Log name
+     * @returns {Array<Object>} Records in the order they were appended
+     */
+    readLog(name) {
+        const file = this.getFile(name);
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+
+        const records = [];
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // A partially written line (e.g. after a crash) is skipped
+                log.warn(`Skipping malformed line in ${path.basename(file)}`);
+            }
+        }
+        return records;
+    }
+}
+
+module.exports = JsonBackend;
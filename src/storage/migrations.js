@@ -0,0 +1,74 @@
+/**
+ * Schema migrations of each stored document. MIGRATIONS[name][n] turns data of
+ * schema version n into version n + 1, so the current version of a document
+ * is the number of its migrations. Version 0 is the bare JSON the bot wrote
+ * before schema versions existed.
+ *
+ * To change a document's format, append a migration here; stored data is
+ * migrated when it is loaded and saved in the new format on the next write.
+ * A new document needs an entry here too (starting at version 1), otherwise
+ * it can't be loaded or saved.
+ */
+const MIGRATIONS = {
+    trackedPlayers: [
+        // 0 -> 1: the bare file was either one roster for the old single channel,
+        // or rosters per guild
+        data => (Array.isArray(data) ? { guilds: {}, legacy: data } : { guilds: data || {} }),
+        // 1 -> 2: teams per guild are stored with the rosters
+        data => ({ ...data, teams: {} })
+    ],
+    guildSettings: [
+        data => data || {}
+    ],
+    accountLinks: [
+        data => data || {}
+    ],
+    announcedMilestones: [
+        data => data || {}
+    ],
+    // 0 -> 1 for the documents below: files written before they were registered
+    // here hold the same data under schemaVersion 0
+    goals: [
+        data => data || {}
+    ],
+    challenges: [
+        data => data || {}
+    ],
+    openSessions: [
+        data => data || {}
+    ]
+};
+
+/**
+ * Gets the schema version a document is stored in by this version of the bot
+ * @param {string} name - Document name
+ * @returns {number} Current schema version
+ * @throws {Error} If the document has no entry in MIGRATIONS
+ */
+function getSchemaVersion(name) {
+    if (!MIGRATIONS[name]) {
+        throw new Error(`Storage document "${name}" has no schema version; register it in MIGRATIONS`);
+    }
+    return MIGRATIONS[name].length;
+}
+
+/**
+ * Migrates a document's data to the current schema version
+ * @param {string} name - Document name
+ * @param {number} version - Version the data is stored in
+ * @param {*} data - Stored data
+ * @returns {*} Data in the current schema version
+ */
+function migrate(name, version, data) {
+    const migrations = MIGRATIONS[name];
+    let migrated = data;
+    for (let step = version; step < migrations.length; step++) {
+        migrated = migrations[step](migrated);
+    }
+    return migrated;
+}
+
+module.exports = {
+    getSchemaVersion,
+    migrate
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const StorageError = require('./storageError');
+const { createLogger } = require('../logger');
+
+const log = createLogger('storage');
+
+/**
+ * Stores documents and logs in one SQLite database (requires the optional
+ * better-sqlite3 package). Every write is its own transaction, so the
+ * database is never left half-written.
+ */
+class SqliteBackend {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Database file
+     * @param {string} options.backupDir - Directory for backup copies
+     * @param {number} options.backupInterval - Least time between two backups in milliseconds
+     * @param {number} options.backupCount - Backups kept (0 disables backups)
+     */
+    constructor({ file, backupDir, backupInterval, backupCount }) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('The SQLite storage backend needs the better-sqlite3 package. Run `npm install better-sqlite3` or set STORAGE_BACKEND=json.');
+        }
+
+        this.file = file;
+        this.backupDir = backupDir;
+        this.backupInterval = backupInterval;
+        this.backupCount = backupCount;
+        this.lastBackupAt = 0;
+
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS documents (
+                name TEXT PRIMARY KEY,
+                version INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS logs_name ON logs (name, id);
+        `);
+
+        this.statements = {
+            read: this.db.prepare('SELECT version, data FROM documents WHERE name = ?'),
+            write: this.db.prepare(`
+                INSERT INTO documents (name, version, data, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT (name) DO UPDATE SET version = excluded.version, data = excluded.data, updated_at = excluded.updated_at
+            `),
+            append: this.db.prepare('INSERT INTO logs (name, data) VALUES (?, ?)'),
+            readLog: this.db.prepare('SELECT data FROM logs WHERE name = ? ORDER BY id'),
+            clearLog: this.db.prepare('DELETE FROM logs WHERE name = ?')
+        };
+        this.replaceLogTransaction = this.db.transaction((name, records) => {
+            this.statements.clearLog.run(name);
+            for (const record of records) {
+                this.statements.append.run(name, JSON.stringify(record));
+            }
+        });
+    }
+
+    /**
+     * Reads a document
+     * @param {string} name - Document name
+     * @returns {{version: number, data: *}|null} Stored version and data, or null if there is none
+     * @throws {StorageError} If the stored data isn't valid JSON
+     */
+    read(name) {
+        const row = this.statements.read.get(name);
+        if (!row) {
+            return null;
+        }
+        try {
+            return { version: row.version, data: JSON.parse(row.data) };
+        } catch (error) {
+            throw new StorageError(`Document "${name}" in ${path.basename(this.file)} is corrupt (${error.message})`, name);
+        }
+    }
+
+    /**
+     * Writes a document
+     * @param {string} name - Document name
+     * @param {number} version - Schema version of the data
+     * @param {*} data - Data to store
+     */
+    write(name, version, data) {
+        this.backup();
+        this.statements.write.run(name, version, JSON.stringify(data), new Date().toISOString());
+    }
+
+    /**
+     * Copies the database to the backup directory, at most once per backup interval
+     */
+    backup() {
+        const now = Date.now();
+        if (this.backupCount === 0 || now - this.lastBackupAt < this.backupInterval) {
+            return;
+        }
+        this.lastBackupAt = now;
+
+        // A failed backup is logged, it never blocks the write that triggered it
+        try {
+            fs.mkdirSync(this.backupDir, { recursive: true });
+        } catch (error) {
+            log.error('Error backing up the database', { error: error.message });
+            return;
+        }
+        const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+        this.db.backup(path.join(this.backupDir, `database-${stamp}.db`))
+            .then(() => {
+                // Keep only the newest backups (names sort by time)
+                const backups = fs.readdirSync(this.backupDir)
+                    .filter(entry => entry.startsWith('database-') && entry.endsWith('.db'))
+                    .sort();
+                for (const old of backups.slice(0, Math.max(backups.length - this.backupCount, 0))) {
+                    fs.unlinkSync(path.join(this.backupDir, old));
+                }
+            })
+            .catch(error => log.error('Error backing up the database', { error: error.message }));
+    }
+
+    /**
+     * Appends a record to a log
+     * @param {string} name - Log name
+     * @param {Object} record - Record to append
+     */
+    append(name, record) {
+        this.statements.append.run(name, JSON.stringify(record));
+    }
+
+    /**
+     * Replaces every record of a log in one transaction (e.g. to prune old records)
+     * @param {string} name - Log name
+     * @param {Array<Object>} records - Records to keep, in order
+     */
+    replaceLog(name, records) {
+        this.replaceLogTransaction(name, records);
+    }
+
+    /**
+     * Reads every record of a log
+     * @param {string} name - Log name
+     * @returns {Array<Object>} Records in the order they were appended
+     */
+    readLog(name) {
+        return this.statements.readLog.all(name).map(row => JSON.parse(row.data));
+    }
+}
+
+module.exports = SqliteBackend;
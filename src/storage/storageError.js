@@ -0,0 +1,17 @@
+/**
+ * Error thrown when stored data can't be read safely (corrupt, or written by a
+ * newer version of the bot), or when writing it would overwrite such data
+ */
+class StorageError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {string} name - Name of the document or log concerned
+     */
+    constructor(message, name) {
+        super(message);
+        this.name = 'StorageError';
+        this.document = name;
+    }
+}
+
+module.exports = StorageError;
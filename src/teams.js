@@ -0,0 +1,192 @@
+const { EmbedBuilder } = require('discord.js');
+const history = require('./history');
+const { getTeams, getTeamPlayers, getPlayerKey } = require('./players');
+const { PERIODS, getPeriodLabel, getPeriodStats } = require('./leaderboard');
+const { STATS, formatStat, getStatLabel, deriveRates } = require('./stats');
+const { getLocale, translate } = require('./i18n');
+
+/**
+ * Combined stats of teams (squads) of tracked players, and team leaderboards
+ */
+
+// Stats shown on a team's card
+const TEAM_CARD_STATS = ['kills', 'kdRatio', 'winPercent', 'scorePerMinute', 'timePlayed'];
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+/**
+ * Computes the combined and average stats of a team
+ * @param {string} guildId - Guild ID
+ * @param {Object} team - Team from findTeam
+ * @param {string} period - Period key from PERIODS
+ * @returns {{members: Array<{player: Object, stats: Object}>, missing: Array<Object>, total: Object, average: Object}}
+ *   Members with stats, members without, combined stats (rates derived from the totals)
+ *   and per-member averages (counters divided by members, rates averaged over members)
+ */
+function buildTeamStats(guildId, team, period = 'all') {
+    const { duration } = PERIODS[period];
+    const since = duration ? new Date(Date.now() - duration) : null;
+    const snapshotsByKey = history.getSnapshotsByKey(guildId);
+
+    const members = [];
+    const missing = [];
+    for (const player of getTeamPlayers(guildId, team)) {
+        const stats = getPeriodStats(snapshotsByKey.get(getPlayerKey(player)), since);
+        if (stats) {
+            members.push({ player, stats });
+        } else {
+            missing.push(player);
+        }
+    }
+
+    const total = {};
+    const average = {};
+    for (const [stat, definition] of Object.entries(STATS)) {
+        const values = members.map(m => m.stats[stat]).filter(v => typeof v === 'number');
+        if (values.length === 0) continue;
+        const sum = values.reduce((a, b) => a + b, 0);
+        if (definition.type === 'counter') {
+            total[stat] = sum;
+        }
+        average[stat] = sum / values.length;
+    }
+    Object.assign(total, deriveRates(total));
+
+    return { members, missing, total, average };
+}
+
+/**
+ * Gets the value a team is ranked by: averages per member for counters (so
+ * teams of different sizes compare fairly), combined rates for the rest
+ * @param {Object} teamStats - Result of buildTeamStats
+ * @param {string} stat - Stat key from STATS
+ * @returns {number|undefined} Ranking value
+ */
+function getTeamValue(teamStats, stat) {
+    return STATS[stat].type === 'rate' ? teamStats.total[stat] : teamStats.average[stat];
+}
+
+/**
+ * Ranks a guild's teams by a stat
+ * @param {string} guildId - Guild ID
+ * @param {string} stat - Stat key from STATS
+ * @param {string} period - Period key from PERIODS
+ * @returns {{rows: Array<{team: Object, value: number, size: number}>, missing: Array<Object>}} Ranked rows and teams without data
+ */
+function buildTeamLeaderboard(guildId, stat, period = 'all') {
+    const rows = [];
+    const missing = [];
+    for (const team of getTeams(guildId)) {
+        const teamStats = buildTeamStats(guildId, team, period);
+        const value = getTeamValue(teamStats, stat);
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            missing.push(team);
+            continue;
+        }
+        rows.push({ team, value, size: teamStats.members.length });
+    }
+
+    const direction = STATS[stat].lowerIsBetter ? 1 : -1;
+    rows.sort((a, b) => direction * (a.value - b.value));
+
+    return { rows, missing };
+}
+
+/**
+ * Creates a Discord embed with a team's combined and average stats
+ * @param {string} guildId - Guild ID
+ * @param {Object} team - Team from findTeam
+ * @param {string} period - Period key from PERIODS
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createTeamStatsEmbed(guildId, team, period = 'all') {
+    const { members, missing, total, average } = buildTeamStats(guildId, team, period);
+    const size = members.length + missing.length;
+    const locale = getLocale(guildId);
+
+    const embed = new EmbedBuilder()
+        .setTitle(translate(locale, 'teams.cardTitle', { name: team.name, period: getPeriodLabel(period, locale) }))
+        .setColor(0x5865F2)
+        .setTimestamp();
+
+    if (members.length === 0) {
+        embed.setDescription(translate(locale, size === 0 ? 'teams.noPlayers' : 'teams.noStats'));
+        return embed;
+    }
+
+    embed.setDescription(members
+        .map(({ player }) => `• ${player.name} (${player.platform.toUpperCase()})`)
+        .join('\n')
+        .slice(0, 4000));
+
+    for (const stat of TEAM_CARD_STATS) {
+        const { emoji, type } = STATS[stat];
+        embed.addFields({
+            name: `${emoji} ${getStatLabel(stat, locale)}`,
+            value: translate(locale, type === 'counter' ? 'teams.totalValue' : 'teams.teamValue', {
+                value: formatStat(stat, total[stat], locale),
+                average: formatStat(stat, average[stat], locale)
+            }),
+            inline: true
+        });
+    }
+
+    const footer = [translate(locale, 'teams.players', { count: size })];
+    if (missing.length > 0) {
+        footer.push(translate(locale, 'teams.membersMissing', { count: missing.length }));
+    }
+    footer.push(translate(locale, 'teams.ratesNote'));
+    embed.setFooter({ text: footer.join(' • ') });
+
+    return embed;
+}
+
+/**
+ * Creates a Discord embed ranking a guild's teams
+ * @param {string} guildId - Guild ID
+ * @param {string} stat - Stat key from STATS
+ * @param {string} period - Period key from PERIODS
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createTeamLeaderboardEmbed(guildId, stat, period = 'all') {
+    const { rows, missing } = buildTeamLeaderboard(guildId, stat, period);
+    const definition = STATS[stat];
+    const perPlayer = definition.type !== 'rate';
+    const locale = getLocale(guildId);
+
+    const embed = new EmbedBuilder()
+        .setTitle(translate(locale, 'teams.leaderboardTitle', { stat: getStatLabel(stat, locale), period: getPeriodLabel(period, locale) }))
+        .setColor(0xFFD700)
+        .setTimestamp();
+
+    if (rows.length === 0) {
+        embed.setDescription(translate(locale, 'teams.noTeamStats'));
+        return embed;
+    }
+
+    embed.setDescription(rows.map((row, index) => {
+        const position = MEDALS[index] || `**${index + 1}.**`;
+        const players = translate(locale, 'teams.players', { count: row.size });
+        return `${position} **${row.team.name}** (${players}) — ${definition.emoji} ${formatStat(stat, row.value, locale)}`;
+    }).join('\n').slice(0, 4000));
+
+    const footer = [];
+    if (perPlayer) {
+        footer.push(translate(locale, 'teams.averagePerPlayer'));
+    }
+    if (missing.length > 0) {
+        footer.push(translate(locale, 'teams.teamsMissing', { count: missing.length }));
+    }
+    if (footer.length > 0) {
+        embed.setFooter({ text: footer.join(' • ') });
+    }
+
+    return embed;
+}
+
+module.exports = {
+    buildTeamStats,
+    buildTeamLeaderboard,
+    createTeamStatsEmbed,
+    createTeamLeaderboardEmbed
+};
@@ -0,0 +1,292 @@
+const history = require('./history');
+const { getPlayerKey } = require('./players');
+const { getGuildSettings } = require('./guilds');
+const { createStatsEmbed } = require('./embeds');
+const { checkMilestones, createMilestoneEmbed } = require('./milestones');
+const { checkGoals } = require('./goals');
+const { formatStat, getStatLabel } = require('./stats');
+const { getLocale, translate } = require('./i18n');
+const { meetsThresholds, isQuietTime } = require('./postingPolicy');
+const { updateLiveScoreboard } = require('./scoreboard');
+const { fetchAndCheckPlayer } = require('./playerHealth');
+const { getApiMetrics } = require('./api');
+const { reportProblem, resolveProblem } = require('./alerts');
+const status = require('./status');
+const { createLogger } = require('./logger');
+
+const log = createLogger('tracker');
+
+// Store last posted stats per guild to avoid duplicate posts (restored from history on startup)
+const lastStats = new Map();
+
+/**
+ * Restores the last posted stats of every player from stored history
+ */
+function restoreLastStats() {
+    for (const [key, stats] of history.loadLastPosted()) {
+        lastStats.set(key, stats);
+    }
+}
+
+/**
+ * Forgets the last posted stats of a player in a guild (e.g. after untracking)
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Player object with name, platform, and personaId
+ */
+function forgetPlayer(guildId, player) {
+    lastStats.delete(history.getPostKey(guildId, getPlayerKey(player)));
+}
+
+/**
+ * Gets the stats last posted for a player in a guild
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Player object with name, platform, and personaId
+ * @returns {Object|undefined} Last posted stats
+ */
+function getLastPostedStats(guildId, player) {
+    return lastStats.get(history.getPostKey(guildId, getPlayerKey(player)));
+}
+
+/**
+ * Records stats as posted for a player outside a stats card (e.g. in a digest)
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Player object with name, platform, and personaId
+ * @param {Object} stats - Stats that were posted
+ */
+function markPosted(guildId, player, stats) {
+    const snapshot = history.recordSnapshot(getPlayerKey(player), stats, true, guildId);
+    lastStats.set(history.getPostKey(guildId, getPlayerKey(player)), snapshot.stats);
+}
+
+/**
+ * Checks if stats have changed significantly
+ * @param {Object} oldStats - Previous stats
+ * @param {Object} newStats - Current stats
+ * @returns {boolean} True if stats changed
+ */
+function statsChanged(oldStats, newStats) {
+    if (!oldStats) return true;
+
+    // Check if key stats changed
+    const keyFields = ['kills', 'deaths', 'score', 'wins', 'losses', 'rank'];
+    return keyFields.some(field => {
+        if (oldStats[field] !== undefined && newStats[field] !== undefined) {
+            return oldStats[field] !== newStats[field];
+        }
+        return false;
+    });
+}
+
+/**
+ * Gets the channel a guild's stats are posted to
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @returns {TextChannel|null} The configured channel, or null if unset or missing
+ */
+function getStatsChannel(client, guildId) {
+    const { channelId } = getGuildSettings(guildId);
+    if (!channelId) {
+        return null;
+    }
+    return client.channels.cache.get(channelId) || null;
+}
+
+/**
+ * Posts a celebration for milestones a player has newly reached
+ * @param {TextChannel} channel - Stats channel
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Player object with name, platform, and personaId
+ * @param {Object} stats - Current player stats
+ */
+async function announceMilestones(channel, guildId, player, stats) {
+    const reached = checkMilestones(guildId, getPlayerKey(player), stats);
+    if (reached.length === 0) {
+        return;
+    }
+
+    try {
+        await channel.send({ embeds: [createMilestoneEmbed(player, reached, getLocale(guildId))] });
+        log.info(`Announced ${reached.length} milestone(s) for ${player.name}`);
+    } catch (error) {
+        log.error(`Error announcing milestones for ${player.name}`, { error: error.message });
+    }
+}
+
+/**
+ * Posts the goals a player has just reached or missed
+ * @param {TextChannel} channel - Stats channel
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Player object with name, platform, and personaId
+ * @param {Object} stats - Current player stats
+ */
+async function announceGoals(channel, guildId, player, stats) {
+    const { reached, missed } = checkGoals(guildId, player, stats);
+    const locale = getLocale(guildId);
+    const describe = goal => `**${formatStat(goal.stat, goal.target, locale)} ${getStatLabel(goal.stat, locale)}**`;
+
+    try {
+        for (const goal of reached) {
+            await channel.send({
+                content: translate(locale, 'goals.reached', { user: `<@${goal.userId}>`, goal: describe(goal), name: player.name }),
+                allowedMentions: { users: [goal.userId] }
+            });
+        }
+        for (const goal of missed) {
+            const vars = { user: `<@${goal.userId}>`, goal: describe(goal), deadline: goal.deadline, name: player.name };
+            const content = goal.lastValue !== null
+                ? translate(locale, 'goals.missedAt', { ...vars, value: formatStat(goal.stat, goal.lastValue, locale) })
+                : translate(locale, 'goals.missed', vars);
+            await channel.send({ content, allowedMentions: { parse: [] } });
+        }
+        if (reached.length > 0 || missed.length > 0) {
+            log.info(`Announced ${reached.length} reached and ${missed.length} missed goal(s) for ${player.name}`, { guildId });
+        }
+    } catch (error) {
+        log.error(`Error announcing goals for ${player.name}`, { guildId, error: error.message });
+    }
+}
+
+/**
+ * Posts player stats to a guild's stats channel
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Player object with name, platform, and personaId
+ * @returns {Promise<{outcome: string, stats: Object|null}>} Outcome ('noChannel', 'fetchFailed', 'unchanged',
+ *   'held', 'posted' or 'postFailed') and the stats as stored in the history, or null if none were fetched
+ */
+async function postPlayerStats(client, guildId, player) {
+    const channel = getStatsChannel(client, guildId);
+    if (!channel) {
+        log.error(`Stats channel for guild ${guildId} not found!`, { guildId });
+        return { outcome: 'noChannel', stats: null };
+    }
+
+    const playerKey = getPlayerKey(player);
+    const postKey = history.getPostKey(guildId, playerKey);
+
+    const stats = await fetchAndCheckPlayer(client, channel, guildId, player);
+    status.recordPlayerResult(postKey, Boolean(stats));
+    if (!stats) {
+        log.error(`Failed to fetch stats for ${player.name}`, { guildId, player: playerKey, failures: player.failures });
+        return { outcome: 'fetchFailed', stats: null };
+    }
+
+    // During quiet hours nothing is posted; the next update after them catches up
+    const settings = getGuildSettings(guildId);
+    const quiet = isQuietTime(settings);
+    if (!quiet) {
+        await announceMilestones(channel, guildId, player, stats);
+        await announceGoals(channel, guildId, player, stats);
+    }
+
+    // Check if stats have changed
+    const lastStatsData = lastStats.get(postKey);
+
+    if (!statsChanged(lastStatsData, stats)) {
+        log.info(`No changes detected for ${player.name}, skipping post.`, { guildId, player: playerKey });
+        const snapshot = history.recordSnapshot(playerKey, stats, false, guildId);
+        return { outcome: 'unchanged', stats: snapshot.stats };
+    }
+
+    if (settings.postMode !== 'instant' || quiet || !meetsThresholds(lastStatsData, stats, settings.postThresholds)) {
+        const reason = settings.postMode !== 'instant' ? `${settings.postMode} mode` : (quiet ? 'quiet hours' : 'below thresholds');
+        log.info(`Holding back stats for ${player.name} (${reason}).`, { guildId, player: playerKey });
+        const snapshot = history.recordSnapshot(playerKey, stats, false, guildId);
+        return { outcome: 'held', stats: snapshot.stats };
+    }
+
+    // Create and send embed
+    const embed = createStatsEmbed(stats, player.name, player.platform, lastStatsData, guildId);
+
+    try {
+        await channel.send({ embeds: [embed] });
+        log.info(`Posted stats for ${player.name} (${player.platform})`, { guildId, player: playerKey });
+        const snapshot = history.recordSnapshot(playerKey, stats, true, guildId);
+        lastStats.set(postKey, snapshot.stats);
+        return { outcome: 'posted', stats: snapshot.stats };
+    } catch (error) {
+        log.error(`Error posting stats for ${player.name}`, { guildId, player: playerKey, error: error.message });
+        const snapshot = history.recordSnapshot(playerKey, stats, false, guildId);
+        return { outcome: 'postFailed', stats: snapshot.stats };
+    }
+}
+
+/**
+ * Reports or resolves the problems seen in an update cycle
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {Object<string, number>} outcomes - Number of players per postPlayerStats outcome
+ */
+async function checkCycleProblems(client, guildId, outcomes) {
+    const fetched = outcomes.unchanged + outcomes.held + outcomes.posted + outcomes.postFailed;
+    if (outcomes.fetchFailed > 0 && fetched === 0) {
+        const { lastFailure } = getApiMetrics();
+        await reportProblem(client, guildId, 'api', lastFailure ? 'alerts.apiFailedWithError' : 'alerts.apiFailed', {
+            count: outcomes.fetchFailed,
+            error: lastFailure ? lastFailure.message : null
+        });
+    } else if (fetched > 0) {
+        await resolveProblem(client, guildId, 'api');
+    }
+
+    if (outcomes.postFailed > 0 && outcomes.posted === 0) {
+        const { channelId } = getGuildSettings(guildId);
+        await reportProblem(client, guildId, 'posting', 'alerts.postingFailed', { channel: `<#${channelId}>` });
+    } else if (outcomes.posted > 0) {
+        await resolveProblem(client, guildId, 'posting');
+    }
+}
+
+/**
+ * Wraps up an update cycle of a guild: records it, reports or resolves
+ * problems and refreshes the live roster
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {Date} startedAt - When the cycle started
+ * @param {Object<string, number>} outcomes - Number of players per postPlayerStats outcome
+ */
+async function finishCycle(client, guildId, startedAt, outcomes) {
+    const channel = getStatsChannel(client, guildId);
+    if (!channel) {
+        const { channelId } = getGuildSettings(guildId);
+        if (channelId) {
+            await reportProblem(client, guildId, 'channel', 'alerts.channelMissing', { channelId });
+        } else {
+            log.warn(`No stats channel configured for guild ${guildId}, skipping updates.`, { guildId });
+        }
+        return;
+    }
+    await resolveProblem(client, guildId, 'channel');
+
+    const polled = Object.values(outcomes).reduce((a, b) => a + b, 0);
+    if (polled === 0) {
+        return;
+    }
+
+    status.recordCycle(guildId, startedAt, {
+        fetched: polled - outcomes.fetchFailed - outcomes.noChannel,
+        failed: outcomes.fetchFailed,
+        posted: outcomes.posted
+    });
+    log.info(`Finished update cycle in guild ${guildId}`, { guildId, durationMs: Date.now() - startedAt.getTime(), ...outcomes });
+    await checkCycleProblems(client, guildId, outcomes);
+
+    if (getGuildSettings(guildId).postMode === 'live') {
+        try {
+            await updateLiveScoreboard(channel, guildId);
+        } catch (error) {
+            log.error(`Error updating live roster in guild ${guildId}`, { error: error.message });
+        }
+    }
+}
+
+module.exports = {
+    restoreLastStats,
+    forgetPlayer,
+    getLastPostedStats,
+    markPosted,
+    statsChanged,
+    getStatsChannel,
+    postPlayerStats,
+    finishCycle
+};
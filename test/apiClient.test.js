@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { ApiClient, ApiError } = require('../src/apiClient');
+
+/**
+ * Starts a local stub of the stats API. Each request is answered by the handler
+ * for its attempt number, the last handler answers every later attempt.
+ * @param {Array<Function>} handlers - (req, res) handlers, one per attempt
+ * @returns {Promise<Object>} Stub with url, requests (received URLs), maxActive and close()
+ */
+async function startStub(handlers) {
+    const stub = { requests: [], active: 0, maxActive: 0 };
+    const sockets = new Set();
+
+    const server = http.createServer((req, res) => {
+        const handler = handlers[Math.min(stub.requests.length, handlers.length - 1)];
+        stub.requests.push(req.url);
+        stub.active++;
+        stub.maxActive = Math.max(stub.maxActive, stub.active);
+        res.on('close', () => stub.active--);
+        handler(req, res);
+    });
+    server.on('connection', socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    stub.url = `http://127.0.0.1:${server.address().port}/bf6/stats`;
+    stub.close = () => {
+        // Hanging requests (timeout tests) would keep the server open
+        sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => server.close(resolve));
+    };
+    return stub;
+}
+
+/**
+ * Answers with a JSON body
+ * @param {Object} body - Response body
+ * @param {number} [delay] - Delay before answering in milliseconds
+ * @returns {Function} Stub handler
+ */
+function json(body, delay = 0) {
+    return (req, res) => setTimeout(() => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }, delay);
+}
+
+/**
+ * Answers with an error status
+ * @param {number} status - HTTP status
+ * @param {Object} [headers] - Response headers
+ * @returns {Function} Stub handler
+ */
+function fail(status, headers = {}) {
+    return (req, res) => {
+        res.writeHead(status, headers);
+        res.end();
+    };
+}
+
+/**
+ * Creates a client for a stub with fast retries and no rate limit
+ * @param {Object} stub - Stub from startStub
+ * @param {Object} [options] - ApiClient options to override
+ * @returns {ApiClient} Client
+ */
+function createClient(stub, options = {}) {
+    return new ApiClient({
+        baseUrl: stub.url,
+        timeout: 1000,
+        maxRetries: 3,
+        backoffBase: 10,
+        backoffMax: 50,
+        minInterval: 0,
+        cacheTtl: 0,
+        ...options
+    });
+}
+
+test('retries 5xx responses until one succeeds', async () => {
+    const stub = await startStub([fail(503), fail(502), json({ userName: 'Alpha' })]);
+    try {
+        const client = createClient(stub);
+        const data = await client.get({ name: 'Alpha', platform: 'pc' });
+
+        assert.deepStrictEqual(data, { userName: 'Alpha' });
+        assert.strictEqual(stub.requests.length, 3);
+        assert.deepStrictEqual(client.getMetrics().errors, { 'HTTP 503': 1, 'HTTP 502': 1 });
+    } finally {
+        await stub.close();
+    }
+});
+
+test('gives up after the last retry with the final status', async () => {
+    const stub = await startStub([fail(500)]);
+    try {
+        const client = createClient(stub, { maxRetries: 2 });
+        await assert.rejects(client.get({ name: 'Alpha' }), error => error instanceof ApiError && error.status === 500);
+        assert.strictEqual(stub.requests.length, 3);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('does not retry 4xx responses other than 429', async () => {
+    const stub = await startStub([fail(404)]);
+    try {
+        const client = createClient(stub);
+        await assert.rejects(client.get({ name: 'Nobody' }), error => error.status === 404);
+        assert.strictEqual(stub.requests.length, 1);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('waits for Retry-After after a 429 response', async () => {
+    const stub = await startStub([fail(429, { 'Retry-After': '1' }), json({ userName: 'Alpha' })]);
+    try {
+        const client = createClient(stub);
+        const startedAt = Date.now();
+        const data = await client.get({ name: 'Alpha' });
+
+        assert.deepStrictEqual(data, { userName: 'Alpha' });
+        assert.strictEqual(stub.requests.length, 2);
+        assert.ok(Date.now() - startedAt >= 950, `retried after ${Date.now() - startedAt}ms`);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('times out requests that get no answer, then retries them', async () => {
+    const hang = () => {};
+    const stub = await startStub([hang, json({ userName: 'Alpha' })]);
+    try {
+        const client = createClient(stub, { timeout: 100 });
+        const data = await client.get({ name: 'Alpha' });
+
+        assert.deepStrictEqual(data, { userName: 'Alpha' });
+        assert.strictEqual(stub.requests.length, 2);
+        assert.deepStrictEqual(client.getMetrics().errors, { timeout: 1 });
+    } finally {
+        await stub.close();
+    }
+});
+
+test('fails with a timeout error when no attempt is answered', async () => {
+    const stub = await startStub([() => {}]);
+    try {
+        const client = createClient(stub, { timeout: 100, maxRetries: 1 });
+        await assert.rejects(client.get({ name: 'Alpha' }), error =>
+            error instanceof ApiError && error.status === null && /timed out/.test(error.message));
+        assert.strictEqual(stub.requests.length, 2);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('shares one request between concurrent calls for the same player', async () => {
+    const stub = await startStub([json({ userName: 'Alpha' }, 50)]);
+    try {
+        const client = createClient(stub);
+        const [first, second] = await Promise.all([
+            client.get({ name: 'Alpha', platform: 'pc' }),
+            client.get({ platform: 'pc', name: 'Alpha' })
+        ]);
+
+        assert.strictEqual(stub.requests.length, 1);
+        assert.strictEqual(first, second);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('never has more requests in flight than the concurrency limit', async () => {
+    const stub = await startStub([json({ userName: 'Alpha' }, 30)]);
+    try {
+        const client = createClient(stub, { concurrency: 2 });
+        await Promise.all(['A', 'B', 'C', 'D', 'E'].map(name => client.get({ name })));
+
+        assert.strictEqual(stub.requests.length, 5);
+        assert.strictEqual(stub.maxActive, 2);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('reuses cached responses until they expire', async () => {
+    const stub = await startStub([json({ userName: 'Alpha' })]);
+    try {
+        const client = createClient(stub, { cacheTtl: 100 });
+        await client.get({ name: 'Alpha' });
+        await client.get({ name: 'Alpha' });
+        assert.strictEqual(stub.requests.length, 1);
+
+        await new Promise(resolve => setTimeout(resolve, 150));
+        await client.get({ name: 'Alpha' });
+        assert.strictEqual(stub.requests.length, 2);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('fetchPlayerStats uses API_BASE_URL', async () => {
+    const stub = await startStub([json({ userName: 'Alpha', personaId: 42, kills: 7 })]);
+    process.env.API_BASE_URL = stub.url;
+    process.env.API_MIN_INTERVAL = '0';
+    try {
+        const { fetchPlayerStats } = require('../src/api');
+        const data = await fetchPlayerStats('Alpha', 'pc');
+
+        assert.strictEqual(data.kills, 7);
+        assert.deepStrictEqual(stub.requests, ['/bf6/stats?name=Alpha&platform=pc']);
+    } finally {
+        await stub.close();
+    }
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderLineChartSvg, toPoints } = require('../src/charts');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-18T12:00:00Z');
+
+/**
+ * Builds a snapshot recorded some days before NOW
+ * @param {number} daysAgo - Age of the snapshot in days
+ * @param {Object} stats - Snapshot stats
+ * @returns {Object} Snapshot
+ */
+function snapshot(daysAgo, stats) {
+    return { timestamp: new Date(NOW - daysAgo * DAY).toISOString(), stats };
+}
+
+test('an idle player\'s range chart is a flat line over the whole range', () => {
+    const snapshots = [snapshot(40, { kills: 100 }), snapshot(20, { kills: 150 })];
+    const since = new Date(NOW - 7 * DAY);
+
+    assert.deepStrictEqual(toPoints(snapshots, 'kills', since, NOW), [
+        { time: since.getTime(), value: 150 },
+        { time: NOW, value: 150 }
+    ]);
+});
+
+test('the line starts with the value from before the range', () => {
+    const snapshots = [snapshot(10, { kills: 100 }), snapshot(3, { kills: 130 }), snapshot(1, { kills: 170 })];
+    const since = new Date(NOW - 7 * DAY);
+
+    assert.deepStrictEqual(toPoints(snapshots, 'kills', since, NOW).map(point => point.value), [100, 130, 170, 170]);
+});
+
+test('without a range every snapshot is a point', () => {
+    const snapshots = [snapshot(40, { kills: 100 }), snapshot(20, { kills: 150 })];
+
+    assert.deepStrictEqual(toPoints(snapshots, 'kills', null, NOW).map(point => point.value), [100, 150, 150]);
+});
+
+test('rates are derived from counters when missing', () => {
+    const points = toPoints([snapshot(1, { kills: 30, deaths: 20 })], 'kdRatio', null, NOW);
+
+    assert.strictEqual(points[0].value, 1.5);
+});
+
+test('a player without snapshots has no points', () => {
+    assert.deepStrictEqual(toPoints([], 'kills', new Date(NOW - DAY), NOW), []);
+});
+
+test('axis dates are in UTC whatever the host timezone', () => {
+    const timezone = process.env.TZ;
+    process.env.TZ = 'America/New_York';
+    try {
+        const svg = renderLineChartSvg({
+            title: 'Kills',
+            stat: 'kills',
+            series: [{ label: 'Alpha', points: [{ time: Date.parse('2026-10-18T02:00:00Z'), value: 1 }, { time: NOW, value: 2 }] }],
+            locale: 'en'
+        });
+
+        assert.match(svg, />Oct 18 02:00</);
+        assert.match(svg, />Oct 18 12:00</);
+        assert.match(svg, />UTC</);
+    } finally {
+        if (timezone === undefined) {
+            delete process.env.TZ;
+        } else {
+            process.env.TZ = timezone;
+        }
+    }
+});
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Points every data file and the backup folder at a new temporary directory,
+ * so tests never touch the bot's real data. Call before requiring storage.
+ * The configuration is loaded here, so set environment variables first.
+ * @returns {string} The temporary directory
+ */
+function useTempData() {
+    const CONFIG = require('../src/config');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bf6-tracker-test-'));
+    for (const key of Object.keys(CONFIG)) {
+        if (key.endsWith('_FILE') && key !== 'MILESTONES_FILE') {
+            CONFIG[key] = path.join(dir, path.basename(CONFIG[key]));
+        }
+    }
+    CONFIG.BACKUP_DIR = path.join(dir, 'backups');
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+module.exports = {
+    useTempData
+};
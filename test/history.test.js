@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempData } = require('./helpers');
+
+useTempData();
+const CONFIG = require('../src/config');
+const storage = require('../src/storage');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds a stored snapshot
+ * @param {string} key - Player key
+ * @param {number} daysAgo - Age in days
+ * @param {boolean} posted - Whether it was posted
+ * @param {number} kills - Kills in the snapshot
+ * @returns {Object} Snapshot
+ */
+function snapshot(key, daysAgo, posted, kills) {
+    return { key, guildId: 'g1', timestamp: new Date(Date.now() - daysAgo * DAY).toISOString(), posted, stats: { kills } };
+}
+
+// Recorded before the history is first read, which prunes it
+CONFIG.HISTORY_RETENTION_DAYS = 30;
+const stored = [
+    snapshot('alpha', 90, false, 1),
+    snapshot('alpha', 80, true, 2),
+    snapshot('alpha', 70, false, 3),
+    snapshot('alpha', 5, false, 4),
+    snapshot('bravo', 60, true, 10),
+    snapshot('bravo', 50, false, 11)
+];
+stored.forEach(record => storage.appendRecord('statsHistory', record));
+const history = require('../src/history');
+
+test('pruning keeps recent snapshots and each player\'s latest and latest posted one', () => {
+    const byKey = history.getSnapshotsByKey('g1');
+
+    assert.deepStrictEqual(byKey.get('alpha').map(s => s.stats.kills), [2, 4]);
+    assert.deepStrictEqual(byKey.get('bravo').map(s => s.stats.kills), [10, 11]);
+    assert.deepStrictEqual(storage.readRecords('statsHistory').map(s => s.stats.kills).sort((a, b) => a - b), [2, 4, 10, 11]);
+});
+
+test('the last posted stats survive pruning', () => {
+    const lastPosted = history.loadLastPosted();
+
+    assert.deepStrictEqual(lastPosted.get('g1:alpha'), { kills: 2 });
+    assert.deepStrictEqual(lastPosted.get('g1:bravo'), { kills: 10 });
+});
+
+test('unchanged stats are not stored again', () => {
+    const before = storage.readRecords('statsHistory').length;
+    history.recordSnapshot('alpha', { kills: 4 }, false, 'g1');
+    assert.strictEqual(storage.readRecords('statsHistory').length, before);
+
+    // ...unless they are posted for the first time
+    history.recordSnapshot('alpha', { kills: 4 }, true, 'g1');
+    history.recordSnapshot('alpha', { kills: 5 }, false, 'g1');
+    assert.strictEqual(storage.readRecords('statsHistory').length, before + 2);
+    assert.deepStrictEqual(history.getSnapshotsByKey('g1').get('alpha').map(s => s.stats.kills), [2, 4, 4, 5]);
+});
+
+test('a range starts with the stats from before it', () => {
+    const since = new Date(Date.now() - 7 * DAY);
+    const snapshots = history.getSnapshots('bravo', since, 'g1');
+
+    assert.strictEqual(snapshots.length, 1);
+    assert.strictEqual(snapshots[0].timestamp, since.toISOString());
+    assert.deepStrictEqual(snapshots[0].stats, { kills: 11 });
+});
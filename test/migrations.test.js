@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getSchemaVersion, migrate } = require('../src/storage/migrations');
+
+test('the current version is the number of migrations', () => {
+    assert.strictEqual(getSchemaVersion('trackedPlayers'), 2);
+    assert.strictEqual(getSchemaVersion('goals'), 1);
+});
+
+test('documents without migrations are rejected', () => {
+    assert.throws(() => getSchemaVersion('unknownDocument'), /register it in MIGRATIONS/);
+});
+
+test('a legacy single-channel roster is kept for assignment to a guild', () => {
+    const roster = [{ name: 'Alpha', platform: 'pc' }];
+    assert.deepStrictEqual(migrate('trackedPlayers', 0, roster), { guilds: {}, legacy: roster, teams: {} });
+});
+
+test('bare per-guild rosters get an empty team list', () => {
+    const guilds = { 123: [{ name: 'Alpha', platform: 'pc' }] };
+    assert.deepStrictEqual(migrate('trackedPlayers', 0, guilds), { guilds, teams: {} });
+});
+
+test('migration starts at the stored version', () => {
+    const data = { guilds: {}, teams: { 123: [] } };
+    assert.deepStrictEqual(migrate('trackedPlayers', 2, data), data);
+    assert.deepStrictEqual(migrate('trackedPlayers', 1, { guilds: {} }), { guilds: {}, teams: {} });
+});
+
+test('empty version 0 documents become empty objects', () => {
+    for (const name of ['guildSettings', 'accountLinks', 'announcedMilestones', 'goals', 'challenges', 'openSessions']) {
+        assert.deepStrictEqual(migrate(name, 0, null), {}, name);
+    }
+});
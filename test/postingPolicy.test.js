@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isQuietTime, meetsThresholds, getLocalTime } = require('../src/postingPolicy');
+
+/**
+ * Builds a UTC time on a fixed day
+ * @param {number} hour - Hour (0-23)
+ * @returns {Date} Time
+ */
+function at(hour) {
+    return new Date(Date.UTC(2026, 0, 15, hour, 30));
+}
+
+test('quiet hours across midnight', () => {
+    const settings = { quietHours: { start: 23, end: 8 }, timezone: 'UTC' };
+
+    assert.strictEqual(isQuietTime(settings, at(23)), true);
+    assert.strictEqual(isQuietTime(settings, at(0)), true);
+    assert.strictEqual(isQuietTime(settings, at(7)), true);
+    assert.strictEqual(isQuietTime(settings, at(8)), false);
+    assert.strictEqual(isQuietTime(settings, at(22)), false);
+});
+
+test('quiet hours within a day', () => {
+    const settings = { quietHours: { start: 9, end: 17 }, timezone: 'UTC' };
+
+    assert.strictEqual(isQuietTime(settings, at(9)), true);
+    assert.strictEqual(isQuietTime(settings, at(17)), false);
+    assert.strictEqual(isQuietTime(settings, at(3)), false);
+});
+
+test('quiet hours use the guild\'s timezone', () => {
+    // 22:30 UTC is 23:30 in Berlin in January
+    const settings = { quietHours: { start: 23, end: 8 }, timezone: 'Europe/Berlin' };
+
+    assert.strictEqual(isQuietTime(settings, at(22)), true);
+    assert.deepStrictEqual(getLocalTime('Europe/Berlin', at(23)), { date: '2026-01-16', hour: 0 });
+});
+
+test('no quiet hours, or equal start and end, never pause posts', () => {
+    assert.strictEqual(isQuietTime({ quietHours: null, timezone: 'UTC' }, at(3)), false);
+    assert.strictEqual(isQuietTime({ quietHours: { start: 5, end: 5 }, timezone: 'UTC' }, at(5)), false);
+});
+
+test('meeting any one threshold is enough', () => {
+    const before = { kills: 100, wins: 10, losses: 5, timePlayed: 3600 };
+    const after = { kills: 105, wins: 11, losses: 5, timePlayed: 4800 };
+
+    assert.strictEqual(meetsThresholds(before, after, { kills: 10 }), false);
+    assert.strictEqual(meetsThresholds(before, after, { kills: 10, matches: 1 }), true);
+    assert.strictEqual(meetsThresholds(before, after, { minutes: 20 }), true);
+    assert.strictEqual(meetsThresholds(before, after, { minutes: 21 }), false);
+});
+
+test('without thresholds or previous stats everything is posted', () => {
+    assert.strictEqual(meetsThresholds({ kills: 1 }, { kills: 1 }, {}), true);
+    assert.strictEqual(meetsThresholds(null, { kills: 1 }, { kills: 100 }), true);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SlashCommandBuilder } = require('discord.js');
+const { UsageError, buildUsage, parseArgs } = require('../src/prefixParser');
+
+const track = new SlashCommandBuilder()
+    .setName('track')
+    .setDescription('Track a player')
+    .addStringOption(option => option.setName('platform').setDescription('Platform')
+        .addChoices({ name: 'PC', value: 'pc' }, { name: 'Xbox', value: 'xbox' }))
+    .addIntegerOption(option => option.setName('hours').setDescription('Hours'))
+    .addStringOption(option => option.setName('player').setDescription('Player').setRequired(true))
+    .toJSON();
+
+const team = new SlashCommandBuilder()
+    .setName('team')
+    .setDescription('Teams')
+    .addSubcommand(sub => sub.setName('create').setDescription('Create')
+        .addStringOption(option => option.setName('name').setDescription('Name').setRequired(true)))
+    .addSubcommand(sub => sub.setName('list').setDescription('List'))
+    .toJSON();
+
+const message = { attachments: { first: () => null } };
+
+test('builds the usage of a command', () => {
+    assert.strictEqual(buildUsage(track), '!track [platform] [hours] <player>');
+    assert.strictEqual(buildUsage(team), '!team create <name>\n!team list');
+});
+
+test('the last text option takes the rest of the message', async () => {
+    const { options } = await parseArgs(track, 'pc 3 Some Player Name', message);
+    assert.deepStrictEqual(options, { platform: 'pc', hours: 3, player: 'Some Player Name' });
+});
+
+test('optional options that don\'t match are skipped', async () => {
+    const { options } = await parseArgs(track, 'Alpha', message);
+    assert.deepStrictEqual(options, { player: 'Alpha' });
+});
+
+test('choices match by name or value, in any case', async () => {
+    const { options } = await parseArgs(track, 'XBOX "Alpha Bravo"', message);
+    assert.deepStrictEqual(options, { platform: 'xbox', player: 'Alpha Bravo' });
+});
+
+test('subcommands select their own options', async () => {
+    assert.deepStrictEqual(await parseArgs(team, 'create Red Squad', message), { subcommand: 'create', options: { name: 'Red Squad' } });
+    assert.deepStrictEqual(await parseArgs(team, 'LIST', message), { subcommand: 'list', options: {} });
+});
+
+test('missing arguments and unknown subcommands are usage errors', async () => {
+    await assert.rejects(parseArgs(track, '', message), error =>
+        error instanceof UsageError && error.key === 'usage.missingOption' && error.vars.option === 'player');
+    await assert.rejects(parseArgs(team, 'delete Red', message), error =>
+        error instanceof UsageError && error.key === 'usage.unknownSubcommand');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempData } = require('./helpers');
+
+useTempData();
+const { RosterFileError, parseCsv, parseRosterFile } = require('../src/rosterTransfer');
+
+test('parses quoted CSV cells with commas, quotes and line breaks', () => {
+    const csv = 'name,note\r\n"Smith, J","said ""hi"""\n"two\nlines",x\n\n';
+    assert.deepStrictEqual(parseCsv(csv), [
+        ['name', 'note'],
+        ['Smith, J', 'said "hi"'],
+        ['two\nlines', 'x']
+    ]);
+});
+
+test('reads a CSV roster with a byte order mark', () => {
+    const csv = '﻿name,platform,personaId\r\nAlpha,PC,123\r\n"Bravo, Jr",xbox,\r\n';
+    assert.deepStrictEqual(parseRosterFile(csv, 'roster.csv'), [
+        { name: 'Alpha', platform: 'pc', personaId: '123' },
+        { name: 'Bravo, Jr', platform: 'xbox', personaId: null }
+    ]);
+});
+
+test('reads a JSON roster as exported or as a bare list', () => {
+    const exported = JSON.stringify({ players: [{ name: 'Alpha', platform: 'psn', personaId: 42 }] });
+    assert.deepStrictEqual(parseRosterFile(`﻿${exported}`, 'roster.json'), [{ name: 'Alpha', platform: 'psn', personaId: '42' }]);
+    assert.deepStrictEqual(parseRosterFile('[{"personaId": "7"}]', 'roster.txt'), [{ name: null, platform: null, personaId: '7' }]);
+});
+
+test('rejects files that are not rosters', () => {
+    const rejects = (text, fileName, key) => assert.throws(() => parseRosterFile(text, fileName),
+        error => error instanceof RosterFileError && error.key === key);
+
+    rejects('{"players": [', 'roster.json', 'importReport.invalidJson');
+    rejects('{"people": []}', 'roster.json', 'importReport.noPlayerList');
+    rejects('gamertag,console\nAlpha,pc', 'roster.csv', 'importReport.noCsvHeader');
+});
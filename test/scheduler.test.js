@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { useTempData } = require('./helpers');
+
+const GUILD_ID = '100';
+const HOUR = 60 * 60 * 1000;
+
+// Kills the stub API answers with at each poll
+const kills = [100, 100, 100, 120, 120, 120, 120, 120];
+let poll = 0;
+
+const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ userName: 'Alpha', personaId: '1', kills: kills[Math.min(poll, kills.length - 1)], deaths: 50 }));
+});
+
+let scheduler;
+let players;
+let guilds;
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // The configuration is read once, so it is set up before the bot's modules load
+    process.env.API_BASE_URL = `http://127.0.0.1:${server.address().port}/bf6/stats`;
+    process.env.API_MIN_INTERVAL = '0';
+    process.env.API_CACHE_TTL = '0';
+    process.env.MAX_POLL_BACKOFF = '4';
+    process.env.UPDATE_INTERVAL = String(2 * HOUR);
+    process.env.LOG_LEVEL = 'error';
+    useTempData();
+    scheduler = require('../src/scheduler');
+    players = require('../src/players');
+    guilds = require('../src/guilds');
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('a player\'s own interval overrides the guild\'s', () => {
+    assert.strictEqual(scheduler.getPollInterval(GUILD_ID, { name: 'Own', platform: 'pc', pollInterval: 15 * 60 * 1000 }), 15 * 60 * 1000);
+    assert.strictEqual(scheduler.getPollInterval(GUILD_ID, { name: 'Unpolled', platform: 'pc' }), 2 * HOUR);
+
+    guilds.updateGuildSettings(GUILD_ID, { updateInterval: HOUR });
+    assert.strictEqual(scheduler.getPollInterval(GUILD_ID, { name: 'Unpolled', platform: 'pc' }), HOUR);
+});
+
+test('active players are polled more often and idle ones back off', async () => {
+    const channel = { id: 'c1', guildId: GUILD_ID, send: async () => ({}) };
+    const client = { channels: { cache: new Map([['c1', channel]]) }, guilds: { cache: new Map() } };
+    const player = { name: 'Alpha', platform: 'pc', personaId: '1' };
+    guilds.updateGuildSettings(GUILD_ID, { channelId: 'c1', updateInterval: HOUR });
+    players.addTrackedPlayer(GUILD_ID, player);
+
+    const intervals = [];
+    for (poll = 0; poll < kills.length; poll++) {
+        await scheduler.updateAllPlayers(client, GUILD_ID);
+        intervals.push(scheduler.getPollInterval(GUILD_ID, player) / HOUR);
+    }
+
+    // First poll: nothing to compare with. Then unchanged twice, changed, and unchanged until capped at 4x
+    assert.deepStrictEqual(intervals, [1, 1, 2, 0.5, 1, 2, 4, 4]);
+});
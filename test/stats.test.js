@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempData } = require('./helpers');
+
+useTempData();
+const { diffStats } = require('../src/stats');
+const { getPeriodStats } = require('../src/leaderboard');
+
+test('diffStats subtracts counters and derives rates from the gains', () => {
+    const result = diffStats(
+        { kills: 100, deaths: 50, wins: 10, losses: 10, score: 1000, timePlayed: 3600, kdRatio: 2, rank: 10 },
+        { kills: 130, deaths: 60, wins: 13, losses: 11, score: 1600, timePlayed: 5400, kdRatio: 2.17, rank: 11 }
+    );
+
+    assert.strictEqual(result.kills, 30);
+    assert.strictEqual(result.deaths, 10);
+    assert.strictEqual(result.kdRatio, 3);
+    assert.strictEqual(result.winPercent, 75);
+    assert.strictEqual(result.killsPerMinute, 1);
+    assert.strictEqual(result.scorePerMinute, 20);
+    assert.strictEqual(result.rank, 11);
+});
+
+test('diffStats leaves out counters missing on either side', () => {
+    const result = diffStats({ kills: 10 }, { kills: 15, deaths: 3 });
+
+    assert.strictEqual(result.kills, 5);
+    assert.strictEqual(result.deaths, undefined);
+    assert.strictEqual(result.kdRatio, undefined);
+});
+
+/**
+ * Builds a snapshot
+ * @param {string} timestamp - ISO time
+ * @param {number} kills - Kills
+ * @returns {Object} Snapshot
+ */
+function snapshot(timestamp, kills) {
+    return { timestamp, stats: { kills, deaths: 10 } };
+}
+
+test('period stats are measured from the last snapshot before the period', () => {
+    const snapshots = [
+        snapshot('2026-10-01T00:00:00Z', 100),
+        snapshot('2026-10-10T00:00:00Z', 120),
+        snapshot('2026-10-15T00:00:00Z', 150),
+        snapshot('2026-10-17T00:00:00Z', 170)
+    ];
+
+    assert.strictEqual(getPeriodStats(snapshots, new Date('2026-10-11T00:00:00Z')).kills, 50);
+    assert.strictEqual(getPeriodStats(snapshots, new Date('2026-10-15T00:00:00Z')).kills, 20);
+});
+
+test('period stats start at the first snapshot when there is none before the period', () => {
+    const snapshots = [snapshot('2026-10-15T00:00:00Z', 150), snapshot('2026-10-17T00:00:00Z', 170)];
+
+    assert.strictEqual(getPeriodStats(snapshots, new Date('2026-10-01T00:00:00Z')).kills, 20);
+});
+
+test('lifetime stats are the latest snapshot and no history gives nothing', () => {
+    assert.deepStrictEqual(getPeriodStats([snapshot('2026-10-15T00:00:00Z', 150)], null), { kills: 150, deaths: 10 });
+    assert.strictEqual(getPeriodStats([], new Date()), null);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempData } = require('./helpers');
+
+const dir = useTempData();
+const CONFIG = require('../src/config');
+const JsonBackend = require('../src/storage/jsonBackend');
+const StorageError = require('../src/storage/storageError');
+const storage = require('../src/storage');
+
+/**
+ * Creates a JSON backend for one document in the temporary directory
+ * @param {string} name - Document name
+ * @returns {{backend: JsonBackend, file: string}} Backend and document file
+ */
+function createBackend(name) {
+    const file = path.join(dir, `${name}.json`);
+    const backend = new JsonBackend({
+        files: { [name]: file },
+        backupDir: path.join(dir, `${name}-backups`),
+        backupInterval: 0,
+        backupCount: 2
+    });
+    return { backend, file };
+}
+
+test('writes documents whole, with their schema version, and leaves no temp file', () => {
+    const { backend, file } = createBackend('atomic');
+    backend.write('atomic', 3, { a: 1 });
+    backend.write('atomic', 3, { a: 2 });
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { schemaVersion: 3, data: { a: 2 } });
+    assert.deepStrictEqual(backend.read('atomic'), { version: 3, data: { a: 2 } });
+    assert.deepStrictEqual(fs.readdirSync(dir).filter(entry => entry.endsWith('.tmp')), []);
+});
+
+test('reads files written before schema versions as version 0', () => {
+    const { backend, file } = createBackend('legacy');
+    fs.writeFileSync(file, JSON.stringify([{ name: 'Alpha' }]));
+
+    assert.deepStrictEqual(backend.read('legacy'), { version: 0, data: [{ name: 'Alpha' }] });
+});
+
+test('keeps only the newest backups', () => {
+    const { backend } = createBackend('backedUp');
+    const backupDir = path.join(dir, 'backedUp-backups');
+    fs.mkdirSync(backupDir, { recursive: true });
+    for (const day of ['01', '02', '03']) {
+        fs.writeFileSync(path.join(backupDir, `backedUp-2000-01-${day}.json`), '{}');
+    }
+
+    // The first write has nothing to back up yet, the second one backs up the first
+    backend.write('backedUp', 1, { i: 1 });
+    backend.write('backedUp', 1, { i: 2 });
+
+    const backups = fs.readdirSync(backupDir).sort();
+    assert.strictEqual(backups.length, 2);
+    assert.strictEqual(backups[0], 'backedUp-2000-01-03.json');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(backupDir, backups[1]), 'utf8')).data, { i: 1 });
+});
+
+test('a corrupt file fails to read with a StorageError', () => {
+    const { backend, file } = createBackend('corrupt');
+    fs.writeFileSync(file, '{"schemaVersion": 1, "data": {');
+
+    assert.throws(() => backend.read('corrupt'), StorageError);
+});
+
+test('a document that could not be loaded is never overwritten', () => {
+    fs.writeFileSync(CONFIG.GOALS_FILE, '{broken');
+
+    assert.throws(() => storage.loadDocument('goals'), StorageError);
+    storage.saveDocument('goals', {});
+    assert.strictEqual(fs.readFileSync(CONFIG.GOALS_FILE, 'utf8'), '{broken');
+});
+
+test('documents are migrated when loaded and saved in the current version', () => {
+    fs.writeFileSync(CONFIG.PLAYERS_FILE, JSON.stringify([{ name: 'Alpha', platform: 'pc' }]));
+
+    const data = storage.loadDocument('trackedPlayers');
+    assert.deepStrictEqual(data, { guilds: {}, legacy: [{ name: 'Alpha', platform: 'pc' }], teams: {} });
+
+    storage.saveDocument('trackedPlayers', data);
+    assert.strictEqual(JSON.parse(fs.readFileSync(CONFIG.PLAYERS_FILE, 'utf8')).schemaVersion, 2);
+});
+
+test('logs are appended and replaced', () => {
+    storage.appendRecord('sessionRecaps', { n: 1 });
+    storage.appendRecord('sessionRecaps', { n: 2 });
+    assert.deepStrictEqual(storage.readRecords('sessionRecaps'), [{ n: 1 }, { n: 2 }]);
+
+    storage.replaceRecords('sessionRecaps', [{ n: 2 }]);
+    assert.deepStrictEqual(storage.readRecords('sessionRecaps'), [{ n: 2 }]);
+});
@@ -0,0 +1,220 @@
+/**
+ * Web dashboard: renders a server's roster, what each player earned in the
+ * last day or week, and a player's stats history from the bot's HTTP API.
+ */
+
+// Number formats of the table columns
+const FORMATS = {
+    count: v => Math.round(v).toLocaleString(),
+    ratio: v => v.toFixed(2),
+    percent: v => `${v.toFixed(1)}%`,
+    whole: v => v.toFixed(0),
+    duration: formatDuration
+};
+
+/**
+ * Formats a duration in seconds like the bot does, e.g. "12h 34m"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${hours}h ${minutes}m`;
+}
+
+/**
+ * Formats a stat for a table cell
+ * @param {*} value - Stat value
+ * @param {string} format - Key from FORMATS
+ * @returns {string} Cell text, "–" when there is no value
+ */
+function formatValue(value, format) {
+    return typeof value === 'number' ? FORMATS[format](value) : '–';
+}
+
+/**
+ * Fetches JSON from the bot's API
+ * @param {string} path - API path, e.g. "/api/guilds"
+ * @returns {Promise<Object>} Response body
+ */
+async function fetchApi(path) {
+    const response = await fetch(path);
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(body.error || `Request failed with status ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * Shows an error above the tables, or hides it
+ * @param {string|null} text - Error text, or null to hide
+ */
+function showMessage(text) {
+    const message = document.getElementById('message');
+    message.textContent = text || '';
+    message.hidden = !text;
+}
+
+/**
+ * Fills a table body with rows
+ * @param {HTMLTableSectionElement} tbody - Table body
+ * @param {Array<Object>} rows - Rows { cells, className, onClick }
+ * @param {number} columns - Number of columns (for the "no data" row)
+ */
+function renderRows(tbody, rows, columns) {
+    tbody.replaceChildren();
+    if (rows.length === 0) {
+        const tr = tbody.insertRow();
+        const td = tr.insertCell();
+        td.colSpan = columns;
+        td.textContent = 'No data yet.';
+        return;
+    }
+    for (const row of rows) {
+        const tr = tbody.insertRow();
+        if (row.className) tr.className = row.className;
+        if (row.onClick) tr.addEventListener('click', row.onClick);
+        for (const cell of row.cells) {
+            tr.insertCell().textContent = cell;
+        }
+    }
+}
+
+/**
+ * Renders the roster table with each player's latest stats
+ * @param {string} guildId - Guild ID
+ * @param {Array<Object>} players - Players from /api/guilds/:guildId/players
+ */
+function renderRoster(guildId, players) {
+    const rows = players.map(player => {
+        const stats = player.stats || {};
+        return {
+            className: player.unreachable ? 'unreachable' : '',
+            onClick: () => loadHistory(guildId, player),
+            cells: [
+                `${player.unreachable ? '⚠️ ' : ''}${player.name}`,
+                player.platform.toUpperCase(),
+                player.team || '–',
+                formatValue(stats.kills, 'count'),
+                formatValue(stats.kdRatio, 'ratio'),
+                formatValue(stats.wins, 'count'),
+                formatValue(stats.winPercent, 'percent'),
+                formatValue(stats.scorePerMinute, 'whole'),
+                formatValue(stats.timePlayed, 'duration'),
+                player.updatedAt ? new Date(player.updatedAt).toLocaleString() : 'never'
+            ]
+        };
+    });
+    renderRows(document.querySelector('#roster tbody'), rows, 10);
+}
+
+/**
+ * Renders the trends table with what each player earned in the period, most kills first
+ * @param {string} guildId - Guild ID
+ * @param {Array<Object>} players - Players from /api/guilds/:guildId/players?period=...
+ */
+function renderTrends(guildId, players) {
+    const rows = players
+        .filter(player => player.periodStats)
+        .sort((a, b) => (b.periodStats.kills || 0) - (a.periodStats.kills || 0))
+        .map(player => ({
+            onClick: () => loadHistory(guildId, player),
+            cells: [
+                player.name,
+                formatValue(player.periodStats.kills, 'count'),
+                formatValue(player.periodStats.deaths, 'count'),
+                formatValue(player.periodStats.kdRatio, 'ratio'),
+                formatValue(player.periodStats.wins, 'count'),
+                formatValue(player.periodStats.losses, 'count'),
+                formatValue(player.periodStats.score, 'count'),
+                formatValue(player.periodStats.timePlayed, 'duration')
+            ]
+        }));
+    renderRows(document.querySelector('#trends tbody'), rows, 8);
+}
+
+/**
+ * Loads and renders a player's stats history, newest first
+ * @param {string} guildId - Guild ID
+ * @param {Object} player - Player from the roster
+ */
+async function loadHistory(guildId, player) {
+    try {
+        const id = encodeURIComponent(player.personaId || player.name);
+        const { snapshots } = await fetchApi(`/api/guilds/${guildId}/players/${id}/history?days=30`);
+        const rows = snapshots.reverse().map(({ timestamp, stats }) => ({
+            cells: [
+                new Date(timestamp).toLocaleString(),
+                formatValue(stats.kills, 'count'),
+                formatValue(stats.deaths, 'count'),
+                formatValue(stats.kdRatio, 'ratio'),
+                formatValue(stats.wins, 'count'),
+                formatValue(stats.losses, 'count'),
+                formatValue(stats.score, 'count'),
+                formatValue(stats.timePlayed, 'duration')
+            ]
+        }));
+
+        const section = document.getElementById('history');
+        document.getElementById('history-title').textContent = `${player.name}'s History (Last 30 Days)`;
+        renderRows(section.querySelector('tbody'), rows, 8);
+        section.hidden = false;
+        section.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        showMessage(`Could not load the history of ${player.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Loads and renders the roster and trends of the selected server
+ */
+async function loadGuild() {
+    const guildId = document.getElementById('guild').value;
+    const period = document.getElementById('period').value;
+    if (!guildId) return;
+
+    try {
+        const { players } = await fetchApi(`/api/guilds/${guildId}/players?period=${period}`);
+        renderRoster(guildId, players);
+        renderTrends(guildId, players);
+        showMessage(null);
+    } catch (error) {
+        showMessage(`Could not load the roster: ${error.message}`);
+    }
+}
+
+/**
+ * Fills the server picker and shows the first server (or the one in ?guild=)
+ */
+async function init() {
+    const select = document.getElementById('guild');
+    try {
+        const { guilds } = await fetchApi('/api/guilds');
+        for (const guild of guilds) {
+            select.add(new Option(`${guild.name} (${guild.players})`, guild.id));
+        }
+        const requested = new URLSearchParams(location.search).get('guild');
+        if (requested && guilds.some(guild => guild.id === requested)) {
+            select.value = requested;
+        }
+        if (guilds.length === 0) {
+            showMessage('The bot is not in any server yet.');
+        }
+    } catch (error) {
+        showMessage(`Could not reach the bot: ${error.message}`);
+        return;
+    }
+
+    select.addEventListener('change', () => {
+        document.getElementById('history').hidden = true;
+        loadGuild();
+    });
+    document.getElementById('period').addEventListener('change', loadGuild);
+    await loadGuild();
+    // Stats change at every player update, so refresh now and then
+    setInterval(loadGuild, 60 * 1000);
+}
+
+init();